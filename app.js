@@ -35,6 +35,13 @@ const claimRoutes = require("./routes/claims");
 const dashboardRoutes = require("./routes/dashboard");
 const brandRoutes = require("./routes/brands");
 const categoriesRoutes = require("./routes/categories");
+const repairCenterRoutes = require("./routes/repair-centers");
+const notificationRoutes = require("./routes/notifications");
+const publicRoutes = require("./routes/public");
+const fileRoutes = require("./routes/files");
+const portalRoutes = require("./routes/portal");
+const privacyRoutes = require("./routes/privacy");
+const exportRoutes = require("./routes/exports");
 
 
 // Global error handler
@@ -270,6 +277,13 @@ const start = async () => {
     await fastify.register(dashboardRoutes, { prefix: "/api/dashboard" });
     await fastify.register(brandRoutes, { prefix: "/api/brands" });
     await fastify.register(categoriesRoutes, { prefix: "/api/categories" });
+    await fastify.register(repairCenterRoutes, { prefix: "/api/repair-centers" });
+    await fastify.register(notificationRoutes, { prefix: "/api/notifications" });
+    await fastify.register(publicRoutes, { prefix: "/api/public" });
+    await fastify.register(fileRoutes, { prefix: "/api/files" });
+    await fastify.register(portalRoutes, { prefix: "/api/portal" });
+    await fastify.register(privacyRoutes, { prefix: "/api/privacy" });
+    await fastify.register(exportRoutes, { prefix: "/api/exports" });
 
     // For Vercel serverless deployment
     if (process.env.VERCEL || process.env.LAMBDA_TASK_ROOT) {
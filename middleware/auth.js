@@ -2,6 +2,10 @@ const jwt = require('jsonwebtoken');
 const { User, Company, SupportPermission } = require('../schemas');
 const { HierarchyService, SupportAssignmentService } = require('../services');
 
+// Customer portal tokens carry their own audience so they are never accepted as staff tokens
+const CUSTOMER_TOKEN_AUDIENCE = 'customer-portal';
+const getCustomerTokenSecret = () => process.env.CUSTOMER_JWT_SECRET || process.env.JWT_SECRET;
+
 // Authentication middleware
 const authenticate = async (request, reply) => {
   try {
@@ -25,6 +29,12 @@ const authenticate = async (request, reply) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.aud === CUSTOMER_TOKEN_AUDIENCE) {
+        return reply.code(401).send({ 
+          success: false,
+          error: 'Invalid token.' 
+        });
+      }
       const user = await User.findOne({ 
         userId: decoded.userId,
         isActive: true 
@@ -91,6 +101,45 @@ const authenticate = async (request, reply) => {
   }
 };
 
+// Authentication for the customer portal: only customer tokens are accepted, and the customer is
+// identified by the normalised mobile number the login OTP was sent to
+const authenticateCustomer = async (request, reply) => {
+  const authHeader = request.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return reply.code(401).send({
+      success: false,
+      error: 'Access denied. No token provided or invalid format.'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.substring(7), getCustomerTokenSecret(), {
+      audience: CUSTOMER_TOKEN_AUDIENCE
+    });
+    if (!decoded.mobile) throw new jwt.JsonWebTokenError('Token has no mobile');
+
+    request.customer = { mobile: decoded.mobile };
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      return reply.code(401).send({
+        success: false,
+        error: 'Token expired. Please login again.'
+      });
+    }
+    if (jwtError.name === 'JsonWebTokenError') {
+      return reply.code(401).send({
+        success: false,
+        error: 'Invalid token.'
+      });
+    }
+    request.log.error('Customer authentication error:', jwtError);
+    return reply.code(500).send({
+      success: false,
+      error: 'Internal server error during authentication.'
+    });
+  }
+};
+
 // Authorization middleware for specific user types
 const authorize = (...userTypes) => {
   return async (request, reply) => {
@@ -403,6 +452,16 @@ const requireAdmin = async (request, reply) => {
   }
 };
 
+// Company settings are changed by the owner of the main or a white-label company
+const requireOwner = async (request, reply) => {
+  if (!request.user || !['MAIN_OWNER', 'WHITELABEL_OWNER'].includes(request.user.userType)) {
+    return reply.code(403).send({
+      success: false,
+      error: 'Access denied. Owner privileges required.'
+    });
+  }
+};
+
 const requireRetailer = async (request, reply) => {
   if (!request.user || request.user.userType !== 'RETAILER') {
     return reply.code(403).send({ 
@@ -412,6 +471,15 @@ const requireRetailer = async (request, reply) => {
   }
 };
 
+const requireRepairCenter = async (request, reply) => {
+  if (!request.user || request.user.userType !== 'REPAIR_CENTER' || !request.user.repairCenterId) {
+    return reply.code(403).send({ 
+      success: false,
+      error: 'Access denied. Repair center privileges required.' 
+    });
+  }
+};
+
 // Support employee assignment validation
 const validateSupportEmployeeAssignment = (targetParam = 'companyId') => {
   return async (request, reply) => {
@@ -458,6 +526,15 @@ const generateToken = (payload) => {
   });
 };
 
+// Generate a customer portal token; short-lived and without a refresh token, customers log in again by OTP
+const generateCustomerToken = (mobile) => {
+  return jwt.sign({ mobile }, getCustomerTokenSecret(), {
+    audience: CUSTOMER_TOKEN_AUDIENCE,
+    subject: mobile,
+    expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '2h'
+  });
+};
+
 // Generate refresh token
 const generateRefreshToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
@@ -473,6 +550,7 @@ const verifyRefreshToken = (token) => {
 module.exports = {
   // Core authentication
   authenticate,
+  authenticateCustomer,
   authorize,
   authorizeUserCategory,
   
@@ -491,10 +569,13 @@ module.exports = {
   // Legacy compatibility
   requireSuperAdmin,
   requireAdmin,
+  requireOwner,
   requireRetailer,
+  requireRepairCenter,
   
   // Token management
   generateToken,
+  generateCustomerToken,
   generateRefreshToken,
   verifyRefreshToken
 };
\ No newline at end of file
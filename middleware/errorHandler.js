@@ -129,7 +129,7 @@
    // Handle specific error types
    if (error.name === 'CastError') err = handleCastErrorDB(err);
    if (error.code === 11000) err = handleDuplicateFieldsDB(err);
-   if (error.name === 'ValidationError') err = handleValidationErrorDB(err);
+   if (error.name === 'ValidationError' && error.errors) err = handleValidationErrorDB(err);
    if (error.name === 'JsonWebTokenError') err = handleJWTError();
    if (error.name === 'TokenExpiredError') err = handleJWTExpiredError();
  
@@ -6,6 +6,7 @@ const {
 const path = require("path");
 const fs = require("fs");
 const { log } = require("winston");
+const { compileSerialPattern } = require("../services/deviceIdentifierService");
 
 
 async function brandRoutes(fastify, options) {
@@ -159,6 +160,105 @@ async function brandRoutes(fastify, options) {
     }
     );
 
+    fastify.post(
+    "/set-serial-pattern",
+    { preHandler: [authenticate, requireAdmin] },
+    async (req, reply) => {
+        try {
+        const { brandId, serialNumberPattern = null } = req.body;
+        if (!brandId) {
+            return reply
+            .status(400)
+            .send({ 
+                message: "brandId is a required field." 
+            });
+        }
+
+        // The pattern must match the whole serial number, e.g. "[A-Z0-9]{11}"; null removes it
+        if (serialNumberPattern !== null) {
+            try {
+            compileSerialPattern(serialNumberPattern);
+            } catch (patternError) {
+            return reply
+                .status(400)
+                .send({ 
+                message: patternError.message 
+                });
+            }
+        }
+
+        const brand = await Brand.findOneAndUpdate(
+            { brandId },
+            { $set: { serialNumberPattern, updatedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+        if (!brand) {
+            return reply.status(404).send({ message: `No Brand found with brandId: ${brandId}` });
+        }
+
+        reply.status(200).send(brand);
+        } catch (error) {
+        reply.status(500).send({ message: "Something went wrong!" });
+        console.log("Error while setting serial number pattern: ", error);
+        }
+    }
+    );
+
+    fastify.post(
+    "/set-manufacturer-warranties",
+    { preHandler: [authenticate, requireAdmin] },
+    async (req, reply) => {
+        try {
+        const { brandId, manufacturerWarranties } = req.body;
+        if (!brandId || !Array.isArray(manufacturerWarranties)) {
+            return reply
+            .status(400)
+            .send({ 
+                message: "brandId and manufacturerWarranties (array) are required." 
+            });
+        }
+
+        // Each entry: { categoryId?, modelName?, months }; leaving categoryId/modelName out applies it brand-wide
+        const rules = [];
+        for (const entry of manufacturerWarranties) {
+            if (!entry || !Number.isInteger(entry.months) || entry.months < 0) {
+            return reply
+                .status(400)
+                .send({ 
+                message: "Each manufacturer warranty needs months as a whole number." 
+                });
+            }
+            if (entry.categoryId && !(await Category.exists({ categoryId: entry.categoryId }))) {
+            return reply
+                .status(400)
+                .send({ 
+                message: `Category with ID "${entry.categoryId}" not found.` 
+                });
+            }
+            rules.push({
+            categoryId: entry.categoryId || null,
+            modelName: entry.modelName ? String(entry.modelName).trim() : null,
+            months: entry.months
+            });
+        }
+
+        const brand = await Brand.findOneAndUpdate(
+            { brandId },
+            { $set: { manufacturerWarranties: rules, updatedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+        if (!brand) {
+            return reply.status(404).send({ message: `No Brand found with brandId: ${brandId}` });
+        }
+
+        reply.status(200).send(brand);
+        } catch (error) {
+        reply.status(500).send({ message: "Something went wrong!" });
+        console.log("Error while setting manufacturer warranties: ", error);
+        }
+    }
+    );
+
     fastify.post(
     "/add-brand",
     { preHandler: [authenticate] },
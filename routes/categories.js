@@ -272,6 +272,121 @@ async function categoriesRoutes(fastify, options) {
         }
     });
     
+    fastify.post(
+    "/set-depreciation-schedule",
+    { preHandler: [authenticate, requireAdmin] },
+    async (req, reply) => {
+        try {
+            const { categoryId, depreciationSchedule } = req.body;
+
+            if (!categoryId || !Array.isArray(depreciationSchedule)) {
+                return reply.status(400).send({ 
+                    message: "categoryId and depreciationSchedule (array) are required." 
+                });
+            }
+
+            const schedule = validateAndFormatDepreciationSchedule(depreciationSchedule, reply);
+            if (!schedule) return; // Error response already sent
+
+            const category = await Category.findOneAndUpdate(
+                { categoryId },
+                { 
+                    $set: { depreciationSchedule: schedule },
+                    updatedAt: new Date()
+                },
+                { new: true, runValidators: true }
+            );
+
+            if (!category) {
+                return reply.status(404).send({ message: `No Category found with categoryId: ${categoryId}` });
+            }
+
+            reply.status(200).send(category);
+        } catch (error) {
+            console.log("Error while setting depreciation schedule: ", error);
+            reply.status(500).send({ message: "Something went wrong!" });
+        }
+    });
+
+    fastify.post(
+    "/set-manufacturer-warranty",
+    { preHandler: [authenticate, requireAdmin] },
+    async (req, reply) => {
+        try {
+            const { categoryId, manufacturerWarrantyMonths } = req.body;
+
+            if (!categoryId || manufacturerWarrantyMonths === undefined) {
+                return reply.status(400).send({ 
+                    message: "categoryId and manufacturerWarrantyMonths are required." 
+                });
+            }
+
+            if (manufacturerWarrantyMonths !== null &&
+                (!Number.isInteger(manufacturerWarrantyMonths) || manufacturerWarrantyMonths < 0)) {
+                return reply.status(400).send({ 
+                    message: "manufacturerWarrantyMonths must be a whole number of months or null." 
+                });
+            }
+
+            const category = await Category.findOneAndUpdate(
+                { categoryId },
+                { 
+                    $set: { manufacturerWarrantyMonths },
+                    updatedAt: new Date()
+                },
+                { new: true, runValidators: true }
+            );
+
+            if (!category) {
+                return reply.status(404).send({ message: `No Category found with categoryId: ${categoryId}` });
+            }
+
+            reply.status(200).send(category);
+        } catch (error) {
+            console.log("Error while setting manufacturer warranty: ", error);
+            reply.status(500).send({ message: "Something went wrong!" });
+        }
+    });
+
+    fastify.post(
+    "/set-identifier-rules",
+    { preHandler: [authenticate, requireAdmin] },
+    async (req, reply) => {
+        try {
+            const { categoryId, type, allowSecondImei = false } = req.body;
+
+            if (!categoryId || !["SERIAL", "IMEI"].includes(type)) {
+                return reply.status(400).send({ 
+                    message: "categoryId and type (SERIAL or IMEI) are required." 
+                });
+            }
+
+            if (allowSecondImei && type !== "IMEI") {
+                return reply.status(400).send({ 
+                    message: "A second IMEI can only be allowed for IMEI categories." 
+                });
+            }
+
+            const category = await Category.findOneAndUpdate(
+                { categoryId },
+                { 
+                    $set: { identifierRules: { type, allowSecondImei: Boolean(allowSecondImei) } },
+                    updatedAt: new Date()
+                },
+                { new: true, runValidators: true }
+            );
+
+            if (!category) {
+                return reply.status(404).send({ message: `No Category found with categoryId: ${categoryId}` });
+            }
+
+            reply.status(200).send(category);
+        } catch (error) {
+            console.log("Error while setting identifier rules: ", error);
+            reply.status(500).send({ message: "Something went wrong!" });
+        }
+    });
+
     fastify.post(
     "/add-percent-to-category",
     { preHandler: [authenticate, requireAdmin] },
@@ -581,6 +696,63 @@ function validateAndFormatPercentList(percentListData, reply) {
     return percentList;
 }
 
+function validateAndFormatDepreciationSchedule(scheduleData, reply) {
+    const schedule = [];
+
+    for (let i = 0; i < scheduleData.length; i++) {
+        const item = scheduleData[i];
+        if (typeof item !== 'object' || item === null) {
+            reply.status(400).send({ 
+                message: `Invalid data at index ${i}. Expected object with fromMonth, toMonth and percent properties.` 
+            });
+            return null;
+        }
+
+        const toMonth = item.toMonth === undefined || item.toMonth === null ? null : Number(item.toMonth);
+
+        if (isNaN(item.fromMonth) || item.fromMonth < 0) {
+            reply.status(400).send({ 
+                message: `fromMonth at index ${i} must be a number of months >= 0.` 
+            });
+            return null;
+        }
+
+        if (toMonth !== null && (isNaN(toMonth) || toMonth <= item.fromMonth)) {
+            reply.status(400).send({ 
+                message: `toMonth at index ${i} must be greater than fromMonth.` 
+            });
+            return null;
+        }
+
+        if (isNaN(item.percent) || item.percent < 0 || item.percent > 100) {
+            reply.status(400).send({ 
+                message: `percent at index ${i} must be a number between 0 and 100.` 
+            });
+            return null;
+        }
+
+        schedule.push({
+            fromMonth: Number(item.fromMonth),
+            toMonth,
+            percent: Number(item.percent)
+        });
+    }
+
+    // Slabs must not overlap, otherwise the applied percent would be ambiguous
+    schedule.sort((a, b) => a.fromMonth - b.fromMonth);
+    for (let i = 1; i < schedule.length; i++) {
+        const previous = schedule[i - 1];
+        if (previous.toMonth === null || previous.toMonth > schedule[i].fromMonth) {
+            reply.status(400).send({ 
+                message: `Depreciation slabs starting at month ${previous.fromMonth} and ${schedule[i].fromMonth} overlap.` 
+            });
+            return null;
+        }
+    }
+
+    return schedule;
+}
+
 function parsePercentDurationString(str) {
     // Remove brackets and split by comma
     const cleanStr = str.replace(/^\[|\]$/g, '');
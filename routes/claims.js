@@ -1,25 +1,196 @@
-const { Claim } = require('../schemas');
-const { authenticate } = require('../middleware/auth');
-const { catchAsync } = require('../middleware/errorHandler');
+const { Claim, User } = require('../schemas');
+const { authenticate, requireOwner } = require('../middleware/auth');
+const { catchAsync, AuthorizationError } = require('../middleware/errorHandler');
+const ClaimWorkflowService = require('../services/claimWorkflowService');
+const ClaimEligibilityService = require('../services/claimEligibilityService');
+const ClaimSettlementService = require('../services/claimSettlementService');
+const RepairCenterService = require('../services/repairCenterService');
+const ClaimSlaService = require('../services/claimSlaService');
+const ClaimFraudService = require('../services/claimFraudService');
+const ClaimMessageService = require('../services/claimMessageService');
+const ClaimQueryService = require('../services/claimQueryService');
+const ExportService = require('../services/exportService');
+const { replyWithExport } = require('../utils/export');
+
+const CLAIM_TYPES = ['ACCIDENTAL_DAMAGE', 'LIQUID_DAMAGE', 'SCREEN_DAMAGE', 'THEFT', 'OTHER'];
+const MESSAGE_VISIBILITIES = ['INTERNAL', 'RETAILER', 'CUSTOMER'];
+
+// Resolve the company a request targets (defaults to the user's own) and enforce company isolation
+const resolveClaimCompany = async (user, companyId) => {
+  const targetCompanyId = companyId || user.companyId;
+  const hasAccess = await ClaimWorkflowService.canAccessClaimCompany(user, targetCompanyId);
+  if (!hasAccess) throw new AuthorizationError('No access to claims of this company');
+  return targetCompanyId;
+};
 
 async function claimRoutes(fastify, options) {
-  
-  // Get Claims
+
+  // Get Claims (based on hierarchy). Exports stream every matching claim, or become an export job when large
+  const listClaims = async (request, reply, params) => {
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = 'claimDate',
+      sortOrder = 'desc',
+      exportFormat,
+      columns,
+      background = false,
+      ...filters
+    } = params || {};
+
+    if (exportFormat) {
+      const result = await ExportService.startExport({
+        dataset: 'claims',
+        pipeline: await ClaimQueryService.buildClaimPipeline(request.user.userId, filters),
+        sort: ClaimQueryService.buildClaimSort(sortBy, sortOrder),
+        format: exportFormat,
+        columns,
+        background,
+        companyId: filters.companyId,
+        user: request.user
+      });
+      return replyWithExport(reply, result);
+    }
+
+    const { claims, totalData, currentPage, totalPages } = await ClaimQueryService.listClaims(
+      request.user.userId,
+      filters,
+      { page, limit, sortBy, sortOrder }
+    );
+
+    return reply.send({
+      success: true,
+      data: {
+        claims,
+        pagination: {
+          currentPage,
+          totalPages,
+          totalData,
+          limit
+        }
+      }
+    });
+  };
+
+  const listClaimsProperties = {
+    search: { type: 'string', description: 'Claim ID, warranty key, description, customer name/mobile, serial number or model' },
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    claimStatus: { type: 'array', items: { type: 'string', enum: ['PENDING', 'IN_PROGRESS', 'APPROVED', 'REJECTED', 'COMPLETED'] } },
+    claimType: { type: 'array', items: { type: 'string', enum: CLAIM_TYPES } },
+    startDate: { type: 'string', format: 'date' },
+    endDate: { type: 'string', format: 'date' },
+    companyId: { type: 'string', description: "Company filter; 'ALL' for every accessible company" },
+    retailerId: { type: 'string' },
+    brand: { type: 'string' },
+    categoryId: { type: 'string' },
+    minClaimAmount: { type: 'number', minimum: 0 },
+    maxClaimAmount: { type: 'number', minimum: 0 },
+    minApprovedAmount: { type: 'number', minimum: 0 },
+    maxApprovedAmount: { type: 'number', minimum: 0 },
+    riskLevel: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+    minRiskScore: { type: 'number', minimum: 0, maximum: 100 },
+    sortBy: {
+      type: 'string',
+      enum: ['claimDate', 'claimAmount', 'approvedAmount', 'claimStatus', 'riskScore'],
+      default: 'claimDate'
+    },
+    sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    exportFormat: { type: 'string', enum: ['csv', 'xlsx', 'ndjson'], description: 'Download all matching claims instead of a page' },
+    columns: { type: 'array', items: { type: 'string' }, description: 'Export columns, see /api/exports/columns' },
+    background: { type: 'boolean', default: false, description: 'Export through a background job even when the result is small' }
+  };
+
+  fastify.post('/all', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get claims visible to the user with filters, sorting, pagination and CSV/XLSX/NDJSON export',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: { type: 'object', properties: listClaimsProperties }
+    }
+  }, catchAsync(async (request, reply) => listClaims(request, reply, request.body)));
+
+  // Earlier clients list claims with GET and query parameters
   fastify.get('/all', {
     preHandler: [authenticate],
     schema: {
-      description: 'Get claims',
+      description: 'Same as POST /all with the parameters in the query string',
       tags: ['Claims'],
-      security: [{ Bearer: [] }]
+      security: [{ Bearer: [] }],
+      querystring: { type: 'object', properties: listClaimsProperties }
+    }
+  }, catchAsync(async (request, reply) => listClaims(request, reply, request.query)));
+
+  // Get claim details with its discussion thread
+  fastify.post('/get', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get claim details with the discussion thread and unread counts',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
     }
   }, catchAsync(async (request, reply) => {
-    const claims = await Claim.find({
-      companyId: request.user.companyId
-    }).sort({ claimDate: -1 });
+    const { claim, thread } = await ClaimMessageService.getClaimDetail(
+      request.body.claimId,
+      request.user.userId
+    );
 
     return reply.send({
       success: true,
-      data: { claims }
+      data: { claim, thread }
+    });
+  }));
+
+  // Preview whether a claim would be accepted, with the reasons it would be refused
+  fastify.post('/eligibility', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Check claim eligibility against the warranty and plan coverage',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimType'],
+        anyOf: [
+          { required: ['customerId'] },
+          { required: ['warrantyKey'] }
+        ],
+        properties: {
+          customerId: { type: 'string' },
+          warrantyKey: { type: 'string' },
+          claimType: { type: 'string', enum: CLAIM_TYPES }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { eligible, reasons, customer, plan } = await ClaimEligibilityService.checkClaimEligibility(
+      request.body,
+      request.user.userId
+    );
+
+    return reply.send({
+      success: true,
+      data: {
+        eligible,
+        reasons,
+        warranty: {
+          customerId: customer.customerId,
+          warrantyKey: customer.warrantyKey,
+          startDate: customer.warrantyDetails.startDate,
+          expiryDate: customer.warrantyDetails.expiryDate,
+          planId: plan?.planId || null,
+          planName: plan?.planName || null,
+          coverage: plan?.coverage || null
+        }
+      }
     });
   }));
 
@@ -29,16 +200,46 @@ async function claimRoutes(fastify, options) {
     schema: {
       description: 'Create new claim',
       tags: ['Claims'],
-      security: [{ Bearer: [] }]
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimType', 'claimDescription'],
+        anyOf: [
+          { required: ['customerId'] },
+          { required: ['warrantyKey'] }
+        ],
+        properties: {
+          customerId: { type: 'string' },
+          warrantyKey: { type: 'string' },
+          claimType: { type: 'string', enum: CLAIM_TYPES },
+          claimDescription: { type: 'string', minLength: 1 },
+          claimAmount: { type: 'number', minimum: 0 },
+          damageImages: {
+            type: 'array',
+            maxItems: 10,
+            items: { type: 'string', pattern: '^storage://' },
+            description: 'storage:// references from POST /api/files/upload'
+          },
+          notes: { type: 'string' }
+        }
+      }
     }
   }, catchAsync(async (request, reply) => {
-    const claim = new Claim({
-      ...request.body,
-      claimId: `CLAIM_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      companyId: request.user.companyId
-    });
+    let claim = await ClaimWorkflowService.createClaim(request.body, request.user.userId);
+
+    // Fraud scoring and routing to a repair center are best effort, the claim stays valid without them
+    try {
+      claim = await ClaimFraudService.assessClaim(claim.claimId);
+    } catch (error) {
+      request.log.error(error, 'Claim fraud assessment failed');
+    }
 
-    await claim.save();
+    try {
+      const assignedClaim = await RepairCenterService.autoAssignClaim(claim, request.user.userId);
+      if (assignedClaim) claim = assignedClaim;
+    } catch (error) {
+      request.log.error(error, 'Repair center auto-assignment failed');
+    }
 
     return reply.code(201).send({
       success: true,
@@ -46,6 +247,400 @@ async function claimRoutes(fastify, options) {
       data: { claim }
     });
   }));
+
+  // Move a claim to its next status
+  fastify.post('/transition', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Change claim status (PENDING → IN_PROGRESS → APPROVED/REJECTED → COMPLETED)',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'toStatus'],
+        properties: {
+          claimId: { type: 'string' },
+          toStatus: {
+            type: 'string',
+            enum: ['IN_PROGRESS', 'APPROVED', 'REJECTED', 'COMPLETED']
+          },
+          reason: { type: 'string', maxLength: 1000 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, toStatus, reason = null } = request.body;
+
+    const claim = await ClaimWorkflowService.transitionClaim(
+      claimId,
+      toStatus,
+      request.user.userId,
+      reason
+    );
+
+    return reply.send({
+      success: true,
+      message: `Claim moved to ${toStatus}`,
+      data: { claim }
+    });
+  }));
+
+  // Preview the settlement an approval would pay out
+  fastify.post('/settlement', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Calculate claim settlement (depreciation, deductible and coverage cap)',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const claim = await Claim.findOne({ claimId: request.body.claimId, isActive: true });
+    if (!claim) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const actor = await User.findOne({ userId: request.user.userId });
+    await ClaimWorkflowService.assertCanProcessClaim(actor, claim);
+
+    // Approved claims keep the settlement they were paid with
+    const settlement = claim.settlement?.calculatedAt
+      ? claim.settlement
+      : await ClaimSettlementService.calculateClaimSettlement(claim);
+
+    return reply.send({
+      success: true,
+      data: {
+        claimId: claim.claimId,
+        claimStatus: claim.claimStatus,
+        settlement
+      }
+    });
+  }));
+
+  // Get (or recompute) the fraud signals of a claim
+  fastify.post('/fraud-assessment', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get the fraud risk score and reasons of a claim',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' },
+          recalculate: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, recalculate = false } = request.body;
+
+    let claim = await Claim.findOne({ claimId, isActive: true });
+    if (!claim) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const actor = await User.findOne({ userId: request.user.userId });
+    await ClaimWorkflowService.assertCanProcessClaim(actor, claim);
+
+    if (recalculate || !claim.fraudAssessment?.assessedAt) {
+      claim = await ClaimFraudService.assessClaim(claimId);
+    }
+
+    return reply.send({
+      success: true,
+      data: {
+        claimId: claim.claimId,
+        fraudAssessment: claim.fraudAssessment
+      }
+    });
+  }));
+
+  // Get the discussion thread of a claim
+  fastify.post('/messages', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get the discussion thread of a claim visible to the user',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const thread = await ClaimMessageService.getClaimThread(request.body.claimId, request.user.userId);
+
+    return reply.send({
+      success: true,
+      data: thread
+    });
+  }));
+
+  // Post a message (or a reply) on a claim
+  fastify.post('/messages/create', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Post a message on a claim; INTERNAL is company only, RETAILER adds the retailer, CUSTOMER also emails the customer',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'body'],
+        properties: {
+          claimId: { type: 'string' },
+          body: { type: 'string', minLength: 1, maxLength: 5000 },
+          visibility: { type: 'string', enum: MESSAGE_VISIBILITIES },
+          parentMessageId: { type: 'string' },
+          attachments: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+              type: 'object',
+              required: ['url'],
+              properties: {
+                url: { type: 'string' },
+                fileName: { type: 'string' },
+                mimeType: { type: 'string' },
+                size: { type: 'number' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, ...messageData } = request.body;
+    const message = await ClaimMessageService.postMessage(claimId, request.user.userId, messageData);
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Message posted successfully',
+      data: { message }
+    });
+  }));
+
+  // Upload attachments to reference from a claim message (multipart)
+  fastify.post('/messages/upload-attachment', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Upload message attachments (multipart: a claimId field, then the files) to the claim company\'s private storage; returns the attachment list to post with /messages/create',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    if (!request.isMultipart || !request.isMultipart()) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Multipart form data with files is required'
+      });
+    }
+
+    // The claim decides who may upload and where the files are kept, so it has to come first
+    let claimId = null;
+    const attachments = [];
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        if (part.fieldname === 'claimId') claimId = part.value;
+        continue;
+      }
+      if (!claimId) {
+        part.file.resume();
+        return reply.code(400).send({
+          success: false,
+          error: 'Send the claimId field before the files'
+        });
+      }
+      attachments.push(await ClaimMessageService.saveAttachment(claimId, request.user.userId, part));
+    }
+
+    return reply.send({
+      success: true,
+      data: { attachments }
+    });
+  }));
+
+  // Signed download URL of a message attachment
+  fastify.post('/messages/attachment-url', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get an expiring download URL for an attachment of a claim message the user can see',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'messageId', 'url'],
+        properties: {
+          claimId: { type: 'string' },
+          messageId: { type: 'string' },
+          url: { type: 'string', description: 'storage:// reference of the attachment' },
+          expiresIn: { type: 'integer', minimum: 1, maximum: 86400, default: 900 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, messageId, url, expiresIn } = request.body;
+    const download = await ClaimMessageService.getAttachmentUrl(claimId, messageId, url, request.user.userId, { expiresIn });
+
+    return reply.send({
+      success: true,
+      data: download
+    });
+  }));
+
+  // Mark claim messages as read
+  fastify.post('/messages/read', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Mark messages of a claim as read (all visible messages when messageIds is omitted)',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' },
+          messageIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, messageIds } = request.body;
+    const markedCount = await ClaimMessageService.markThreadRead(claimId, request.user.userId, messageIds);
+
+    return reply.send({
+      success: true,
+      data: { markedCount }
+    });
+  }));
+
+  // Get claim status history
+  fastify.post('/status-history', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get the status history of a claim',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const history = await ClaimWorkflowService.getClaimStatusHistory(
+      request.body.claimId,
+      request.user.userId
+    );
+
+    return reply.send({
+      success: true,
+      data: history
+    });
+  }));
+
+  // Get the claim SLA policy of a company
+  fastify.post('/sla-policy', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get the claim SLA policy of a company',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          companyId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const companyId = await resolveClaimCompany(request.user, request.body?.companyId);
+    const policy = await ClaimSlaService.getSlaPolicy(companyId);
+
+    return reply.send({
+      success: true,
+      data: { companyId, policy }
+    });
+  }));
+
+  // Update the claim SLA policy of a company (owners only, applies to claims filed afterwards)
+  fastify.post('/sla-policy/update', {
+    preHandler: [authenticate, requireOwner],
+    schema: {
+      description: 'Update the claim SLA policy of a company',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          companyId: { type: 'string' },
+          firstResponseHours: { type: 'number', minimum: 1 },
+          resolutionHours: { type: 'number', minimum: 1 },
+          atRiskPercent: { type: 'number', minimum: 1, maximum: 99 },
+          escalateEveryHours: { type: 'number', minimum: 1 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { companyId: requestedCompanyId, ...policyData } = request.body || {};
+    const companyId = await resolveClaimCompany(request.user, requestedCompanyId);
+    const policy = await ClaimSlaService.updateSlaPolicy(companyId, policyData, request.user.userId);
+
+    return reply.send({
+      success: true,
+      message: 'Claim SLA policy updated successfully',
+      data: { companyId, policy }
+    });
+  }));
+
+  // List open claims close to (or past) their SLA deadline
+  fastify.post('/sla-at-risk', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get open claims at risk of breaching their SLA, most urgent first',
+      tags: ['Claims'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          companyId: { type: 'string' },
+          includeBreached: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { companyId: requestedCompanyId, includeBreached = false } = request.body || {};
+    const companyId = await resolveClaimCompany(request.user, requestedCompanyId);
+    const claims = await ClaimSlaService.getClaimsAtRisk(request.user, companyId, { includeBreached });
+
+    return reply.send({
+      success: true,
+      data: {
+        companyId,
+        totalData: claims.length,
+        claims
+      }
+    });
+  }));
 }
 
-module.exports = claimRoutes;
\ No newline at end of file
+module.exports = claimRoutes;
@@ -1,7 +1,25 @@
  const { User, Company, AuditLog } = require('../schemas');
- const { authenticate, requireAdmin } = require('../middleware/auth');
+ const { authenticate, requireAdmin, requireOwner } = require('../middleware/auth');
  const { validate, companyValidation } = require('../utils/validation');
- const { catchAsync } = require('../middleware/errorHandler');
+ const { catchAsync, AuthorizationError } = require('../middleware/errorHandler');
+ const CertificateService = require('../services/certificateService');
+ const PremiumService = require('../services/premiumService');
+ const WarrantyStartService = require('../services/warrantyStartService');
+ const OwnershipTransferService = require('../services/ownershipTransferService');
+ const WarrantyCancellationService = require('../services/warrantyCancellationService');
+ 
+ // Resolve the company whose settings are targeted: the user's own company,
+ // or any white-label company for main company users
+ const resolveSettingsCompany = async (user, companyId) => {
+   const targetCompanyId = companyId || user.companyId;
+   if (targetCompanyId === user.companyId) return targetCompanyId;
+ 
+   if (user.userType.startsWith('MAIN_')) {
+     const company = await Company.findOne({ companyId: targetCompanyId }).select('companyType');
+     if (company?.companyType === 'WHITELABEL') return targetCompanyId;
+   }
+   throw new AuthorizationError('No access to this company');
+ };
  
  async function companyRoutes(fastify, options) {
    
@@ -383,6 +401,283 @@
        message: 'Company deactivated successfully'
      });
    }));
+ 
+   // Get the warranty certificate template of a company
+   fastify.post('/certificate-template', {
+     preHandler: [authenticate],
+     schema: {
+       description: 'Get the warranty certificate template of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const companyId = await resolveSettingsCompany(request.user, request.body?.companyId);
+     const template = await CertificateService.getTemplate(companyId);
+ 
+     return reply.send({
+       success: true,
+       data: { companyId, template }
+     });
+   }));
+ 
+   // Update the warranty certificate template of a company (owners only)
+   fastify.post('/certificate-template/update', {
+     preHandler: [authenticate, requireOwner],
+     schema: {
+       description: 'Update the warranty certificate template of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' },
+           title: { type: 'string', minLength: 1, maxLength: 100 },
+           accentColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+           headerText: { type: ['string', 'null'], maxLength: 500 },
+           footerText: { type: ['string', 'null'], maxLength: 500 },
+           termsText: { type: ['string', 'null'], maxLength: 3000 },
+           showPremium: { type: 'boolean' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const { companyId: requestedCompanyId, ...templateData } = request.body || {};
+     const companyId = await resolveSettingsCompany(request.user, requestedCompanyId);
+     const template = await CertificateService.updateTemplate(companyId, templateData, request.user.userId);
+ 
+     return reply.send({
+       success: true,
+       message: 'Certificate template updated successfully',
+       data: { companyId, template }
+     });
+   }));
+ 
+   // Get the premium rounding and minimum rules of a company
+   fastify.post('/premium-pricing', {
+     preHandler: [authenticate],
+     schema: {
+       description: 'Get the premium pricing rules (rounding, minimum premium) of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const companyId = await resolveSettingsCompany(request.user, request.body?.companyId);
+     const pricing = await PremiumService.getPricingPolicy(companyId);
+ 
+     return reply.send({
+       success: true,
+       data: { companyId, pricing }
+     });
+   }));
+ 
+   // Update the premium rounding and minimum rules of a company (owners only)
+   fastify.post('/premium-pricing/update', {
+     preHandler: [authenticate, requireOwner],
+     schema: {
+       description: 'Update the premium pricing rules of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' },
+           roundTo: { type: 'number', minimum: 0.01 },
+           roundingMode: { type: 'string', enum: ['NEAREST', 'UP', 'DOWN'] },
+           minimumPremium: { type: 'number', minimum: 0 }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const { companyId: requestedCompanyId, ...policyData } = request.body || {};
+     const companyId = await resolveSettingsCompany(request.user, requestedCompanyId);
+     const pricing = await PremiumService.updatePricingPolicy(companyId, policyData, request.user.userId);
+ 
+     return reply.send({
+       success: true,
+       message: 'Premium pricing updated successfully',
+       data: { companyId, pricing }
+     });
+   }));
+ 
+   // Get the warranty start rules (manufacturer warranty lengths) of a company
+   fastify.post('/warranty-start', {
+     preHandler: [authenticate],
+     schema: {
+       description: 'Get the manufacturer warranty default and overrides used to start extended warranties',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const companyId = await resolveSettingsCompany(request.user, request.body?.companyId);
+     const warrantyStart = await WarrantyStartService.getWarrantyStartSettings(companyId);
+ 
+     return reply.send({
+       success: true,
+       data: { companyId, warrantyStart }
+     });
+   }));
+ 
+   // Update the warranty start rules of a company (owners only); overrides replace the whole list
+   fastify.post('/warranty-start/update', {
+     preHandler: [authenticate, requireOwner],
+     schema: {
+       description: 'Update the manufacturer warranty default and per category/brand/model overrides of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' },
+           defaultManufacturerWarrantyMonths: { type: 'integer', minimum: 0 },
+           overrides: {
+             type: 'array',
+             items: {
+               type: 'object',
+               required: ['manufacturerWarrantyMonths'],
+               properties: {
+                 category: { type: ['string', 'null'] },
+                 brand: { type: ['string', 'null'] },
+                 modelName: { type: ['string', 'null'] },
+                 manufacturerWarrantyMonths: { type: 'integer', minimum: 0 }
+               },
+               additionalProperties: false
+             }
+           }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const { companyId: requestedCompanyId, ...settingsData } = request.body || {};
+     const companyId = await resolveSettingsCompany(request.user, requestedCompanyId);
+     const warrantyStart = await WarrantyStartService.updateWarrantyStartSettings(companyId, settingsData, request.user.userId);
+ 
+     return reply.send({
+       success: true,
+       message: 'Warranty start rules updated successfully',
+       data: { companyId, warrantyStart }
+     });
+   }));
+ 
+   // Get the ownership transfer fee and OTP rule of a company
+   fastify.post('/ownership-transfer', {
+     preHandler: [authenticate],
+     schema: {
+       description: 'Get the ownership transfer fee and whether the new owner must confirm with an OTP',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const companyId = await resolveSettingsCompany(request.user, request.body?.companyId);
+     const ownershipTransfer = await OwnershipTransferService.getTransferPolicy(companyId);
+ 
+     return reply.send({
+       success: true,
+       data: { companyId, ownershipTransfer }
+     });
+   }));
+ 
+   // Update the ownership transfer fee and OTP rule of a company (owners only)
+   fastify.post('/ownership-transfer/update', {
+     preHandler: [authenticate, requireOwner],
+     schema: {
+       description: 'Update the ownership transfer fee (debited from the selling retailer wallet) and OTP rule of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' },
+           fee: { type: 'number', minimum: 0 },
+           requireOtp: { type: 'boolean' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const { companyId: requestedCompanyId, ...policyData } = request.body || {};
+     const companyId = await resolveSettingsCompany(request.user, requestedCompanyId);
+     const ownershipTransfer = await OwnershipTransferService.updateTransferPolicy(companyId, policyData, request.user.userId);
+ 
+     return reply.send({
+       success: true,
+       message: 'Ownership transfer settings updated successfully',
+       data: { companyId, ownershipTransfer }
+     });
+   }));
+ 
+   // Get the cancellation free-look window of a company
+   fastify.post('/cancellation-policy', {
+     preHandler: [authenticate],
+     schema: {
+       description: 'Get the free-look window (days from the sale with a full premium refund on cancellation)',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const companyId = await resolveSettingsCompany(request.user, request.body?.companyId);
+     const cancellationPolicy = await WarrantyCancellationService.getCancellationPolicy(companyId);
+ 
+     return reply.send({
+       success: true,
+       data: { companyId, cancellationPolicy }
+     });
+   }));
+ 
+   // Update the cancellation free-look window of a company (owners only)
+   fastify.post('/cancellation-policy/update', {
+     preHandler: [authenticate, requireOwner],
+     schema: {
+       description: 'Update the free-look window of a company',
+       tags: ['Companies'],
+       security: [{ Bearer: [] }],
+       body: {
+         type: 'object',
+         properties: {
+           companyId: { type: 'string' },
+           freeLookDays: { type: 'integer', minimum: 0, maximum: 365 }
+         }
+       }
+     }
+   }, catchAsync(async (request, reply) => {
+     const { companyId: requestedCompanyId, ...policyData } = request.body || {};
+     const companyId = await resolveSettingsCompany(request.user, requestedCompanyId);
+     const cancellationPolicy = await WarrantyCancellationService.updateCancellationPolicy(companyId, policyData, request.user.userId);
+ 
+     return reply.send({
+       success: true,
+       message: 'Cancellation policy updated successfully',
+       data: { companyId, cancellationPolicy }
+     });
+   }));
  }
  
  module.exports = companyRoutes;
\ No newline at end of file
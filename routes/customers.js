@@ -6,8 +6,19 @@ const {
 } = require("../middleware/auth");
 const { HierarchyService, CustomerService } = require("../services");
 const { catchAsync } = require("../middleware/errorHandler");
-const path = require("path");
-const fs = require("fs");
+const CertificateService = require("../services/certificateService");
+const CustomerImportService = require("../services/customerImportService");
+const WarrantyCancellationService = require("../services/warrantyCancellationService");
+const OwnershipTransferService = require("../services/ownershipTransferService");
+const WarrantyRenewalService = require("../services/warrantyRenewalService");
+const PremiumService = require("../services/premiumService");
+const CustomerProfileService = require("../services/customerProfileService");
+const CustomerHistoryService = require("../services/customerHistoryService");
+const StorageService = require("../services/storageService");
+const ExportService = require("../services/exportService");
+const { replyWithExport } = require("../utils/export");
+
+const IMPORT_FILE_LIMIT = 50 * 1024 * 1024; // the images zip can be larger than a single upload
 
 async function customerRoutes(fastify, options) {
   // Create Customer (Retailers only)
@@ -58,7 +69,9 @@ async function customerRoutes(fastify, options) {
                 imei2: { type: "string" },
                 brand: { type: "string" },
                 category: { type: "string" },
+                categoryId: { type: "string" },
                 purchasePrice: { type: "number" },
+                orignalWarranty: { type: "integer", minimum: 0 },
               },
             },
             invoiceDetails: {
@@ -104,6 +117,16 @@ async function customerRoutes(fastify, options) {
         request.user.companyId
       );
 
+      // Certificate generation is best effort; it can be regenerated later
+      try {
+        await CertificateService.generateCertificate(
+          customer.customerId,
+          request.user.userId
+        );
+      } catch (error) {
+        request.log.error(error, "Warranty certificate generation failed");
+      }
+
       return reply.code(201).send({
         success: true,
         message: "Customer created successfully",
@@ -112,54 +135,90 @@ async function customerRoutes(fastify, options) {
     })
   );
 
+  // Price a registration before submitting it; /create rejects any other premiumAmount
+  fastify.post(
+    "/premium-quote",
+    {
+      preHandler: [authenticate, requireRetailer],
+      schema: {
+        description:
+          "Quote the premium of a new warranty: category percent slab for the duration applied to the purchase price, with the company's rounding and minimum premium",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["productDetails", "warrantyPeriod"],
+          properties: {
+            productDetails: {
+              type: "object",
+              required: ["purchasePrice"],
+              properties: {
+                category: { type: "string" },
+                categoryId: { type: "string" },
+                purchasePrice: { type: "number", exclusiveMinimum: 0 },
+              },
+            },
+            warrantyPeriod: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { productDetails, warrantyPeriod } = request.body;
+      const quote = await PremiumService.calculateCategoryPremium({
+        productDetails,
+        durationMonths: warrantyPeriod,
+        companyId: request.user.companyId,
+      });
+
+      return reply.send({
+        success: true,
+        data: quote,
+      });
+    })
+  );
+
+  // Upload or delete a product/invoice image (kept for existing clients; see /api/files)
   fastify.post(
     "/handle-file",
     { preHandler: [authenticate, requireRetailer] },
-    async (req, reply) => {
-      try {
-        const parts = req.parts();
-        let data = {};
-        let fileName;
-        let filePath;
-
-        for await (const part of parts) {
-          if (part.type === "field") {
-            data[part.fieldname] = part.value;
-          } else if (part.type === "file") {
-            fileName = part.filename;
-            filePath = path.join("public/", fileName);
-            const writableStream = fs.createWriteStream(filePath);
-            await part.file.pipe(writableStream);
-          }
-        }
+    catchAsync(async (request, reply) => {
+      const data = {};
+      let file = null;
 
-        const mode = data.mode;
-        const deleteFileUrl = data.deleteFile;
-
-        if (mode === "delete") {
-          if (deleteFileUrl) {
-            const fileToDelete = path.join(
-              "public/",
-              path.basename(deleteFileUrl)
-            );
-            if (fs.existsSync(fileToDelete)) {
-              fs.unlinkSync(fileToDelete);
-            }
-          }
-          return reply.send({ message: "deleted" });
+      for await (const part of request.parts()) {
+        if (part.type === "field") {
+          data[part.fieldname] = part.value;
+        } else if (file || data.mode === "delete") {
+          part.file.resume();
+        } else {
+          file = await StorageService.saveUpload(part, {
+            companyId: request.user.companyId,
+            ownerId: request.user.userId,
+            purpose: "CUSTOMER_IMAGE",
+          });
         }
+      }
 
-        if (mode === "upload") {
-          const uploadedUrl = `public/${fileName}`;
-          return reply.send({ message: uploadedUrl });
+      if (data.mode === "delete") {
+        if (file) await StorageService.deleteFile(file.fileId, request.user);
+        if (!data.deleteFile) {
+          return reply.code(400).send({ success: false, error: "deleteFile is required" });
         }
+        await StorageService.deleteFile(data.deleteFile, request.user);
+        return reply.send({ success: true, message: "deleted" });
+      }
 
-        return reply.status(400).send({ error: "Invalid mode" });
-      } catch (error) {
-        console.error(error);
-        reply.status(500).send({ error: "Internal Server Error" });
+      if (data.mode === "upload") {
+        if (!file) {
+          return reply.code(400).send({ success: false, error: "File is required" });
+        }
+        return reply.send({ success: true, message: file.ref, data: { file } });
       }
-    }
+
+      if (file) await StorageService.deleteFile(file.fileId, request.user);
+      return reply.code(400).send({ success: false, error: "Invalid mode" });
+    })
   );
 
   // Get Customers (based on hierarchy)
@@ -197,6 +256,21 @@ async function customerRoutes(fastify, options) {
               default: "desc",
             },
             isCsv: { type: "boolean", default: false },
+            format: {
+              type: "string",
+              enum: ["csv", "xlsx", "ndjson"],
+              description: "Export every matching customer instead of a page (isCsv is the same as csv)",
+            },
+            columns: {
+              type: "array",
+              items: { type: "string" },
+              description: "Export columns, see /api/exports/columns",
+            },
+            background: {
+              type: "boolean",
+              default: false,
+              description: "Export through a background job even when the result is small",
+            },
             userId: {
               type: "string",
               default: "ALL",
@@ -219,9 +293,13 @@ async function customerRoutes(fastify, options) {
         sortOrder = "desc",
         companyId = "ALL",
         isCsv = false,
+        format,
+        columns,
+        background = false,
         userId = request.user.userId,
       } = request.body;
       let targetUserId = request.user.userId;
+      const exportFormat = format || (isCsv ? "csv" : null);
 
       const filters = {};
       if (status) filters.isActive = status;
@@ -276,44 +354,52 @@ async function customerRoutes(fastify, options) {
               }
             }
 
-      const csvLimit = isCsv ? 10000 : limit; // Adjust as needed
-      const csvPage = isCsv ? 1 : page;
-      const { customers, totalData, currentPage, totalPages, companyList } =
-        await CustomerService.getAccessibleCustomers(
+      const targetCompanyId = targetUserId === request.user.userId ? request.user.companyId : targetUser.companyId;
+      const targetUserType = targetUserId === request.user.userId ? request.user.userType : targetUser.userType;
+
+      if (exportFormat) {
+        const access = await CustomerService.buildAccessibleCustomersQuery(
           targetUserId,
-          targetUserId === request.user.userId ? request.user.companyId : targetUser.companyId,
-          targetUserId === request.user.userId ? request.user.userType : targetUser.userType,
+          targetCompanyId,
+          targetUserType,
           filters,
-          csvPage,
-          csvLimit,
           search,
           sortBy,
           sortOrder
         );
+        if (!access) {
+          return reply.code(404).send({
+            success: false,
+            message: 'No customers found for export'
+          });
+        }
 
-      if (isCsv) {
-          if (!customers || customers.length === 0) {
-            return reply.code(404).send({
-              success: false,
-              message: 'No customers found for CSV export'
-            });
-          }
-
-          const csvOutput = jsonToCsv(customers);
-          
-          // Generate filename with timestamp and filters
-          const timestamp = new Date().toISOString().split('T')[0];
-          const filename = `customers__${timestamp}.csv`;
-          
-          reply.header('Content-Type', 'text/csv; charset=utf-8');
-          reply.header('Content-Disposition', `attachment; filename="${filename}"`);
-          reply.header('Cache-Control', 'no-cache');
-          reply.header('Content-Length', Buffer.byteLength(csvOutput, 'utf8'));
-          
-          // Use reply.send() instead of return
-          return reply.send(csvOutput);
+        const result = await ExportService.startExport({
+          dataset: "customers",
+          query: access.query,
+          sort: access.sortQuery,
+          format: exportFormat,
+          columns,
+          background,
+          companyId: filters.companyId || targetCompanyId,
+          user: request.user,
+        });
+        return replyWithExport(reply, result);
       }
 
+      const { customers, totalData, currentPage, totalPages, companyList } =
+        await CustomerService.getAccessibleCustomers(
+          targetUserId,
+          targetCompanyId,
+          targetUserType,
+          filters,
+          page,
+          limit,
+          search,
+          sortBy,
+          sortOrder
+        );
+
       return reply.send({
         success: true,
         data: {
@@ -330,63 +416,6 @@ async function customerRoutes(fastify, options) {
     })
   );
 
-  function jsonToCsv(jsonArray) {
-  if (!jsonArray || jsonArray.length === 0) {
-    return 'No data available';
-  }
-  
-  try {
-    // Flatten nested objects for CSV export
-    const flattenedData = jsonArray.map(customer => ({
-      warrantyKey: customer.warrantyKey || '',
-      customerId: customer.customerId || '',
-      companyId: customer.companyId || '',
-      name: customer.customerDetails.address.city || '',
-      city: customer.customerDetails.mobile || '',
-      state: customer.customerDetails.address.state || '',
-      productName: customer.productDetails.modelName || '',
-      productCategory: customer.productDetails.category || '',
-      premiumAmount: customer.warrantyDetails.premiumAmount || 0,
-      warrantyPeriod: customer.warrantyDetails.warrantyPeriod || 0,
-      createdAt: customer.dates.createdDate ? new Date(customer.dates.createdDate).toLocaleDateString() : '',
-      status: customer.status == 1 ? 'Active' : 'Inactive',
-      notes: customer.notes || ''
-    }));
-
-    // Get headers from first object
-    const headers = Object.keys(flattenedData[0]);
-    
-    // Create CSV content
-    const csvContent = [
-      headers.join(','), // Header row
-      ...flattenedData.map(row => 
-        headers.map(header => {
-          let value = row[header];
-          
-          // Handle null/undefined values
-          if (value === null || value === undefined) {
-            value = '';
-          }
-          
-          // Convert to string and handle special characters
-          value = String(value);
-          
-          // Escape quotes and wrap in quotes if contains comma, quote, or newline
-          if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
-            value = `"${value.replace(/"/g, '""')}"`;
-          }
-          
-          return value;
-        }).join(',')
-      )
-    ].join('\n');
-    return csvContent;
-  } catch (error) {
-    console.error('Error converting to CSV:', error);
-    return 'Error generating CSV data';
-  }
-}
-
   // Get Customer Details
   fastify.post(
     "/get",
@@ -433,6 +462,834 @@ async function customerRoutes(fastify, options) {
       });
     })
   );
+
+  // Customer profile with all of their warranties and claims
+  fastify.post(
+    "/profile",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Get a customer profile (the buyer) with the warranties and claims the user can see; pass profileId or the customerId of one of their warranties",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          anyOf: [{ required: ["profileId"] }, { required: ["customerId"] }],
+          properties: {
+            profileId: { type: "string" },
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { profileId, customerId } = request.body;
+      const result = await CustomerProfileService.getProfile(
+        { profileId, customerId },
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: result,
+      });
+    })
+  );
+
+  // Update a customer profile; the details are copied to all of their warranties
+  fastify.post(
+    "/profile/update",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Update the contact details of a customer profile and of every warranty linked to it",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["profile"],
+          anyOf: [{ required: ["profileId"] }, { required: ["customerId"] }],
+          properties: {
+            profileId: { type: "string" },
+            customerId: { type: "string" },
+            profile: {
+              type: "object",
+              minProperties: 1,
+              properties: {
+                name: { type: "string", minLength: 1 },
+                email: { type: "string", format: "email" },
+                mobile: { type: "string", minLength: 10, maxLength: 15 },
+                alternateNumber: { type: "string" },
+                address: {
+                  type: "object",
+                  properties: {
+                    street: { type: "string" },
+                    city: { type: "string" },
+                    state: { type: "string" },
+                    country: { type: "string" },
+                    zipCode: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { profileId, customerId, profile } = request.body;
+      const updated = await CustomerProfileService.updateProfile(
+        { profileId, customerId },
+        profile,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        message: "Customer profile updated successfully",
+        data: { profile: updated },
+      });
+    })
+  );
+
+  // Edit a warranty record; every edit is kept as a field-level revision
+  fastify.post(
+    "/update",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Update customer, product, invoice or image details of a warranty. Serial number, IMEI, invoice number and invoice date changes need a reason and, when the company requires it, approval from the retailer's parent",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "updates"],
+          properties: {
+            customerId: { type: "string" },
+            reason: { type: "string", maxLength: 500 },
+            updates: {
+              type: "object",
+              minProperties: 1,
+              additionalProperties: false,
+              properties: {
+                customerDetails: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string", minLength: 1 },
+                    email: { type: "string", format: "email" },
+                    mobile: { type: "string", minLength: 10, maxLength: 15 },
+                    alternateNumber: { type: "string" },
+                    address: {
+                      type: "object",
+                      properties: {
+                        street: { type: "string" },
+                        city: { type: "string" },
+                        state: { type: "string" },
+                        country: { type: "string" },
+                        zipCode: { type: "string" },
+                      },
+                    },
+                  },
+                },
+                productDetails: {
+                  type: "object",
+                  properties: {
+                    modelName: { type: "string" },
+                    serialNumber: { type: "string" },
+                    imei2: { type: "string" },
+                    brand: { type: "string" },
+                    category: { type: "string" },
+                    purchasePrice: { type: "number", minimum: 0 },
+                  },
+                },
+                invoiceDetails: {
+                  type: "object",
+                  properties: {
+                    invoiceNumber: { type: "string" },
+                    invoiceImage: { type: "string" },
+                    invoiceDate: { type: "string", format: "date" },
+                    invoiceAmount: { type: "number", minimum: 0 },
+                  },
+                },
+                productImages: {
+                  type: "object",
+                  properties: {
+                    frontImage: { type: "string" },
+                    backImage: { type: "string" },
+                    leftImage: { type: "string" },
+                    rightImage: { type: "string" },
+                    additionalImages: { type: "array", items: { type: "string" } },
+                  },
+                },
+                notes: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, updates, reason } = request.body;
+      const result = await CustomerService.updateCustomer(
+        customerId,
+        updates,
+        request.user.userId,
+        request.user.companyId,
+        reason
+      );
+
+      return reply.send({
+        success: true,
+        message: result.pendingRevision
+          ? "Customer updated; sensitive changes are waiting for approval"
+          : "Customer updated successfully",
+        data: result,
+      });
+    })
+  );
+
+  // Timeline of changes to a warranty record
+  fastify.post(
+    "/history",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Field-level change history of a warranty record (edits, transfers and profile updates), oldest first",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const history = await CustomerHistoryService.getHistory(
+        request.body.customerId,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: history,
+      });
+    })
+  );
+
+  // Warranty record as it was on a date
+  fastify.post(
+    "/history/as-of",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Reconstruct the customer, product, invoice and image details of a warranty as they were at a given date/time",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "asOf"],
+          properties: {
+            customerId: { type: "string" },
+            asOf: {
+              type: "string",
+              anyOf: [{ format: "date" }, { format: "date-time" }],
+            },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, asOf } = request.body;
+      const result = await CustomerHistoryService.getCustomerAsOf(
+        customerId,
+        asOf,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: result,
+      });
+    })
+  );
+
+  // Sensitive edits waiting for the current user's approval
+  fastify.post(
+    "/edits/pending",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Sensitive customer edits by child retailers waiting for the current user's approval",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const revisions = await CustomerHistoryService.getPendingApprovals(
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: { revisions },
+      });
+    })
+  );
+
+  // Approve or reject a held edit
+  fastify.post(
+    "/edits/decide",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Approve (apply) or reject a sensitive customer edit held for approval",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["revisionId", "decision"],
+          properties: {
+            revisionId: { type: "string" },
+            decision: { type: "string", enum: ["APPROVE", "REJECT"] },
+            note: { type: "string", maxLength: 500 },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { revisionId, decision, note } = request.body;
+      const revision = await CustomerHistoryService.decideRevision(
+        revisionId,
+        decision === "APPROVE",
+        note,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        message:
+          decision === "APPROVE" ? "Edit approved and applied" : "Edit rejected",
+        data: { revision },
+      });
+    })
+  );
+
+  // Download the warranty certificate PDF
+  fastify.post(
+    "/certificate",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description: "Download the warranty certificate PDF of a customer",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { certificate, pdf } = await CertificateService.getCertificate(
+        request.body.customerId,
+        request.user.userId
+      );
+
+      reply.header("Content-Type", "application/pdf");
+      reply.header(
+        "Content-Disposition",
+        `attachment; filename="${certificate.certificateNumber}.pdf"`
+      );
+      reply.header("Cache-Control", "no-cache");
+      return reply.send(pdf);
+    })
+  );
+
+  // Regenerate the warranty certificate (after customer or template changes)
+  fastify.post(
+    "/certificate/regenerate",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description: "Regenerate the warranty certificate PDF of a customer",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const certificate = await CertificateService.regenerateCertificate(
+        request.body.customerId,
+        request.user.userId
+      );
+
+      return reply.send({
+        success: true,
+        message: "Certificate regenerated successfully",
+        data: { certificate },
+      });
+    })
+  );
+
+  // Email the warranty certificate to the customer
+  fastify.post(
+    "/certificate/email",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description: "Email the warranty certificate PDF to the customer",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const result = await CertificateService.emailCertificate(
+        request.body.customerId,
+        request.user.userId
+      );
+
+      return reply.send({
+        success: true,
+        message: "Certificate emailed successfully",
+        data: result,
+      });
+    })
+  );
+
+  // Bulk warranty registration from a CSV/XLSX file plus an optional zip of images
+  fastify.post(
+    "/import",
+    {
+      preHandler: [authenticate, requireRetailer],
+      schema: {
+        description:
+          "Import warranties from a CSV/XLSX file (multipart: file, images zip, dryRun). Dry run validates every row and totals the premium; otherwise an import job is created and processed in the background",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+      },
+    },
+    catchAsync(async (request, reply) => {
+      if (!request.isMultipart || !request.isMultipart()) {
+        return reply.code(400).send({
+          success: false,
+          error: "Multipart form data with the import file is required",
+        });
+      }
+
+      const upload = { dryRun: "false" };
+      for await (const part of request.parts({
+        limits: { fileSize: IMPORT_FILE_LIMIT },
+      })) {
+        if (part.type === "file") {
+          upload[part.fieldname] = {
+            fileName: part.filename,
+            buffer: await part.toBuffer(),
+          };
+        } else {
+          upload[part.fieldname] = part.value;
+        }
+      }
+
+      if (!upload.file) {
+        return reply.code(400).send({
+          success: false,
+          error: "Import file is required",
+        });
+      }
+
+      const importData = {
+        file: upload.file,
+        images: upload.images,
+        retailerId: request.user.userId,
+        companyId: request.user.companyId,
+        createdBy: request.user.userId,
+      };
+
+      if (upload.dryRun === "true") {
+        const result = await CustomerImportService.dryRunImport(importData);
+        return reply.send({
+          success: true,
+          data: result,
+        });
+      }
+
+      const { job, summary } = await CustomerImportService.createImportJob(
+        importData
+      );
+      CustomerImportService.processImportJob(job.jobId).catch((error) =>
+        request.log.error(error, `Import job ${job.jobId} failed`)
+      );
+
+      return reply.code(202).send({
+        success: true,
+        message: "Import job created",
+        data: { jobId: job.jobId, status: job.status, ...summary },
+      });
+    })
+  );
+
+  // List own import jobs
+  fastify.post(
+    "/import/jobs",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description: "List warranty import jobs of the user",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          properties: {
+            page: { type: "integer", minimum: 1, default: 1 },
+            limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const result = await CustomerImportService.listImportJobs(
+        request.user,
+        request.body || {}
+      );
+
+      return reply.send({
+        success: true,
+        data: result,
+      });
+    })
+  );
+
+  // Get an import job with the outcome of every row
+  fastify.post(
+    "/import/get",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description: "Get a warranty import job with per-row status and errors",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["jobId"],
+          properties: {
+            jobId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const job = await CustomerImportService.getImportJob(
+        request.body.jobId,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: { job },
+      });
+    })
+  );
+
+  // Resume an interrupted import job, optionally retrying the failed rows
+  fastify.post(
+    "/import/resume",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Resume an import job: finishes pending rows and, with retryFailed, queues rows that failed during processing again. Created rows are never created twice",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["jobId"],
+          properties: {
+            jobId: { type: "string" },
+            retryFailed: { type: "boolean", default: false },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { jobId, retryFailed } = request.body;
+      const job = await CustomerImportService.resumeImportJob(
+        jobId,
+        request.user,
+        { retryFailed }
+      );
+      CustomerImportService.processImportJob(jobId).catch((error) =>
+        request.log.error(error, `Import job ${jobId} failed`)
+      );
+
+      return reply.code(202).send({
+        success: true,
+        message: "Import job resumed",
+        data: { job },
+      });
+    })
+  );
+
+  // Preview the refund for cancelling a warranty
+  fastify.post(
+    "/cancellation-quote",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Preview the refund for cancelling a warranty (full within the free-look window, pro-rata afterwards)",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const quote = await WarrantyCancellationService.getCancellationQuote(
+        request.body.customerId,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: quote,
+      });
+    })
+  );
+
+  // Cancel a warranty and refund the retailer wallet
+  fastify.post(
+    "/cancel",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Cancel a warranty; the refund is credited to the selling retailer's wallet as a REFUND transaction",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId"],
+          properties: {
+            customerId: { type: "string" },
+            reason: { type: "string", maxLength: 500 },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, reason } = request.body;
+      const result = await WarrantyCancellationService.cancelWarranty(
+        customerId,
+        request.user,
+        reason
+      );
+
+      return reply.send({
+        success: true,
+        message: "Warranty cancelled successfully",
+        data: result,
+      });
+    })
+  );
+
+  // Send an OTP to the new owner before a transfer
+  fastify.post(
+    "/transfer/request-otp",
+    {
+      preHandler: [authenticate],
+      config: { rateLimit: { max: 5, timeWindow: "15 minutes" } },
+      schema: {
+        description: "Send an OTP to the new owner's mobile to confirm a warranty transfer",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "mobile"],
+          properties: {
+            customerId: { type: "string" },
+            mobile: { type: "string", minLength: 10, maxLength: 15 },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, mobile } = request.body;
+      const result = await OwnershipTransferService.requestTransferOtp(
+        customerId,
+        mobile,
+        request.user,
+        request.ip
+      );
+
+      return reply.send({
+        success: true,
+        message: "OTP sent to the new owner",
+        data: result,
+      });
+    })
+  );
+
+  // Transfer a warranty to a new owner (resold device)
+  fastify.post(
+    "/transfer",
+    {
+      preHandler: [authenticate],
+      schema: {
+        description:
+          "Transfer a warranty to a new owner; the warranty key, coverage and claims stay with the device and the previous owner is kept in ownershipHistory",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "newOwner"],
+          dependencies: { challengeId: ["otp"] },
+          properties: {
+            customerId: { type: "string" },
+            newOwner: {
+              type: "object",
+              required: ["name", "mobile"],
+              properties: {
+                name: { type: "string", minLength: 1 },
+                email: { type: "string", format: "email" },
+                mobile: { type: "string", minLength: 10, maxLength: 15 },
+                alternateNumber: { type: "string" },
+                address: {
+                  type: "object",
+                  properties: {
+                    street: { type: "string" },
+                    city: { type: "string" },
+                    state: { type: "string" },
+                    country: { type: "string" },
+                    zipCode: { type: "string" },
+                  },
+                },
+              },
+            },
+            reason: { type: "string", maxLength: 500 },
+            challengeId: { type: "string" },
+            otp: { type: "string", pattern: "^[0-9]{6}$" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, newOwner, reason, challengeId, otp } = request.body;
+      const result = await OwnershipTransferService.transferOwnership(
+        customerId,
+        newOwner,
+        request.user,
+        { challengeId, otp, reason }
+      );
+
+      return reply.send({
+        success: true,
+        message: "Warranty transferred successfully",
+        data: result,
+      });
+    })
+  );
+
+  // Price a renewal under a plan before selling it
+  fastify.post(
+    "/renewal-quote",
+    {
+      preHandler: [authenticate, requireRetailer],
+      schema: {
+        description:
+          "Quote a warranty renewal under a plan: premium from the category slab for the plan duration and the new coverage dates",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "planId"],
+          properties: {
+            customerId: { type: "string" },
+            planId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, planId } = request.body;
+      const quote = await WarrantyRenewalService.getRenewalQuote(
+        customerId,
+        planId,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        data: quote,
+      });
+    })
+  );
+
+  // Renew (extend) a warranty under a plan
+  fastify.post(
+    "/renew",
+    {
+      preHandler: [authenticate, requireRetailer],
+      schema: {
+        description:
+          "Renew a warranty under a plan: extends the expiry date by the plan duration and debits the premium from the retailer wallet",
+        tags: ["Customers"],
+        security: [{ Bearer: [] }],
+        body: {
+          type: "object",
+          required: ["customerId", "planId"],
+          properties: {
+            customerId: { type: "string" },
+            planId: { type: "string" },
+          },
+        },
+      },
+    },
+    catchAsync(async (request, reply) => {
+      const { customerId, planId } = request.body;
+      const result = await WarrantyRenewalService.renewWarranty(
+        customerId,
+        planId,
+        request.user
+      );
+
+      return reply.send({
+        success: true,
+        message: "Warranty renewed successfully",
+        data: result,
+      });
+    })
+  );
 }
 
 module.exports = customerRoutes;
@@ -2,6 +2,8 @@ const { User, Customer, Claim } = require("../schemas");
 const { authenticate } = require("../middleware/auth");
 const { catchAsync } = require("../middleware/errorHandler");
 const { HierarchyService, CustomerService } = require("../services");
+const ClaimSlaService = require("../services/claimSlaService");
+const WarrantyCancellationService = require("../services/warrantyCancellationService");
 async function dashboardRoutes(fastify, options) {
   // Get Dashboard Stats
   fastify.post( // Changed to POST to accept body parameters
@@ -40,7 +42,7 @@ async function dashboardRoutes(fastify, options) {
     }
 
     // Parallel execution of independent queries
-    const [user, userStatsData, customerData] = await Promise.all([
+    const [user, userStatsData, customerData, slaBreaches, cancellations] = await Promise.all([
       // Get wallet balance
       User.findOne({ userId }).select("walletBalance").lean(),
       
@@ -50,7 +52,16 @@ async function dashboardRoutes(fastify, options) {
         : HierarchyService.getManageableUserTypeCounts(userId),
       
       // Get customer data
-      CustomerService.getAccessibleCustomers(userId, userCompanyId, userType, filters)
+      CustomerService.getAccessibleCustomers(userId, userCompanyId, userType, filters),
+
+      // Get claim SLA breach counts
+      ClaimSlaService.getSlaBreachCounts(
+        request.user,
+        userType === 'MAIN_OWNER' ? (filters.companyId || null) : userCompanyId
+      ),
+
+      // Get cancelled warranty counts and refunds
+      WarrantyCancellationService.getCancellationStats(request.user, filters.companyId || null)
     ]);
 
     const walletBalance = user?.walletBalance || 0;
@@ -67,6 +78,8 @@ async function dashboardRoutes(fastify, options) {
       walletBalance,
       totalCustomersCount: totalData,
       companyList,
+      slaBreaches,
+      cancellations,
       ...(userType === 'MAIN_OWNER' && { filteredCompanyId: targetCompanyId })
     });
   })
@@ -0,0 +1,81 @@
+const { authenticate } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const ExportService = require('../services/exportService');
+
+// Exports are started from the list endpoints (/api/customers/all, /api/users/get-all,
+// /api/wallet/history, /api/claims/all) with format, columns and background; large ones are picked up here
+async function exportRoutes(fastify, options) {
+
+  // Columns that can be selected per dataset
+  fastify.post('/columns', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'List the exportable columns of customers, users, wallet history and claims with the default selection',
+      tags: ['Exports'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    return reply.send({
+      success: true,
+      data: ExportService.listExportColumns()
+    });
+  }));
+
+  // Own export jobs
+  fastify.post('/jobs', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'List the background export jobs of the user',
+      tags: ['Exports'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer', minimum: 1, default: 1 },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const result = await ExportService.listExportJobs(request.user, request.body || {});
+
+    return reply.send({
+      success: true,
+      data: result
+    });
+  }));
+
+  // Job status, with a download link once the file is written
+  fastify.post('/status', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get the status of an export job; completed jobs include an expiring download URL. A job whose worker stopped is restarted',
+      tags: ['Exports'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['jobId'],
+        properties: {
+          jobId: { type: 'string' },
+          expiresIn: { type: 'integer', minimum: 60, maximum: 86400, description: 'Lifetime of the download URL in seconds' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { jobId, expiresIn } = request.body;
+    const { job, download, stalled } = await ExportService.getExportJob(jobId, request.user, { expiresIn });
+
+    if (stalled) {
+      ExportService.processExportJob(jobId).catch(error =>
+        request.log.error(error, `Export job ${jobId} failed`)
+      );
+    }
+
+    return reply.send({
+      success: true,
+      data: { job, download }
+    });
+  }));
+}
+
+module.exports = exportRoutes;
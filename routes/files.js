@@ -0,0 +1,105 @@
+const { authenticate } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const StorageService = require('../services/storageService');
+
+async function fileRoutes(fastify, options) {
+
+  // Upload a file into the company's storage folder
+  fastify.post('/upload', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Upload a file (multipart field "file", optional field "purpose"); returns its storage:// reference',
+      tags: ['Files'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    if (!request.isMultipart()) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Multipart form data with the file is required'
+      });
+    }
+
+    const fields = {};
+    let file = null;
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        fields[part.fieldname] = part.value;
+      } else if (part.fieldname === 'file' && !file) {
+        file = await StorageService.saveUpload(part, {
+          companyId: request.user.companyId,
+          ownerId: request.user.userId,
+          purpose: /^[A-Z_]{1,40}$/.test(fields.purpose || '') ? fields.purpose : 'UPLOAD'
+        });
+      } else {
+        part.file.resume();
+      }
+    }
+
+    if (!file) {
+      return reply.code(400).send({
+        success: false,
+        error: 'File is required'
+      });
+    }
+
+    return reply.code(201).send({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { file }
+    });
+  }));
+
+  // Expiring download URL for a file
+  fastify.post('/url', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get a signed, expiring download URL for a file (the uploader and users above them)',
+      tags: ['Files'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['file'],
+        properties: {
+          file: { type: 'string', description: 'storage:// reference or fileId' },
+          expiresIn: { type: 'integer', minimum: 1, maximum: 86400, default: 900 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { file, expiresIn } = request.body;
+    const download = await StorageService.createDownloadUrl(file, request.user, { expiresIn });
+
+    return reply.send({
+      success: true,
+      data: download
+    });
+  }));
+
+  // Delete a file (uploader only)
+  fastify.post('/delete', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Delete a file; only the user who uploaded it can delete it',
+      tags: ['Files'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['file'],
+        properties: {
+          file: { type: 'string', description: 'storage:// reference or fileId' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const result = await StorageService.deleteFile(request.body.file, request.user);
+
+    return reply.send({
+      success: true,
+      message: 'File deleted successfully',
+      data: result
+    });
+  }));
+}
+
+module.exports = fileRoutes;
@@ -0,0 +1,58 @@
+const { authenticate } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const NotificationService = require('../services/notificationService');
+
+async function notificationRoutes(fastify, options) {
+
+  // Get own notifications
+  fastify.post('/all', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get notifications of the logged-in user',
+      tags: ['Notifications'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          unreadOnly: { type: 'boolean', default: false },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const result = await NotificationService.getNotifications(request.user.userId, request.body || {});
+
+    return reply.send({
+      success: true,
+      data: result
+    });
+  }));
+
+  // Mark notifications as read
+  fastify.post('/read', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Mark notifications as read (all unread when notificationIds is omitted)',
+      tags: ['Notifications'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          notificationIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const markedCount = await NotificationService.markNotificationsRead(request.user.userId, {
+      notificationIds: request.body?.notificationIds
+    });
+
+    return reply.send({
+      success: true,
+      data: { markedCount }
+    });
+  }));
+}
+
+module.exports = notificationRoutes;
@@ -0,0 +1,212 @@
+const { authenticateCustomer, generateCustomerToken } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const CustomerPortalService = require('../services/customerPortalService');
+const ClaimFraudService = require('../services/claimFraudService');
+const RepairCenterService = require('../services/repairCenterService');
+const StorageService = require('../services/storageService');
+
+// Customer self-service API. Customers log in with an OTP sent to their mobile and only ever see
+// warranties registered to that number; staff tokens are not accepted here and vice versa.
+const LOGIN_RATE_LIMIT = { max: 5, timeWindow: '15 minutes' };
+
+const CLAIM_TYPES = ['ACCIDENTAL_DAMAGE', 'LIQUID_DAMAGE', 'SCREEN_DAMAGE', 'THEFT', 'OTHER'];
+
+async function portalRoutes(fastify, options) {
+
+  // Request a login OTP
+  fastify.post('/auth/request-otp', {
+    config: { rateLimit: LOGIN_RATE_LIMIT },
+    schema: {
+      description: 'Send a login OTP to a mobile number registered on a warranty',
+      tags: ['Customer Portal'],
+      body: {
+        type: 'object',
+        required: ['mobile'],
+        properties: {
+          mobile: { type: 'string', minLength: 10, maxLength: 15 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { challengeId, expiresInMinutes } = await CustomerPortalService.requestLoginOtp(request.body.mobile, request.ip);
+
+    return reply.send({
+      success: true,
+      message: 'If the number is registered on a warranty, an OTP has been sent to it',
+      data: { challengeId, expiresInMinutes }
+    });
+  }));
+
+  // Verify the login OTP and get a customer token
+  fastify.post('/auth/verify', {
+    config: { rateLimit: LOGIN_RATE_LIMIT },
+    schema: {
+      description: 'Verify the login OTP and get a customer portal token',
+      tags: ['Customer Portal'],
+      body: {
+        type: 'object',
+        required: ['challengeId', 'otp'],
+        properties: {
+          challengeId: { type: 'string' },
+          otp: { type: 'string', pattern: '^[0-9]{6}$' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { challengeId, otp } = request.body;
+    const { mobile } = await CustomerPortalService.verifyLoginOtp(challengeId, otp);
+
+    return reply.send({
+      success: true,
+      message: 'Login successful',
+      data: { token: generateCustomerToken(mobile) }
+    });
+  }));
+
+  // Warranties registered to the customer's mobile
+  fastify.post('/warranties', {
+    preHandler: [authenticateCustomer],
+    schema: {
+      description: 'List the warranties registered to the logged-in customer',
+      tags: ['Customer Portal'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    const warranties = await CustomerPortalService.listWarranties(request.customer.mobile);
+
+    return reply.send({
+      success: true,
+      data: { warranties }
+    });
+  }));
+
+  // Download the certificate of one of the customer's warranties
+  fastify.post('/warranties/certificate', {
+    preHandler: [authenticateCustomer],
+    schema: {
+      description: 'Download the warranty certificate PDF of one of the customer\'s warranties',
+      tags: ['Customer Portal'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['customerId'],
+        properties: {
+          customerId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { certificate, pdf } = await CustomerPortalService.getCertificate(request.body.customerId, request.customer.mobile);
+
+    reply.header('Content-Type', 'application/pdf');
+    reply.header('Content-Disposition', `attachment; filename="${certificate.certificateNumber}.pdf"`);
+    reply.header('Cache-Control', 'no-cache');
+    return reply.send(pdf);
+  }));
+
+  // File a claim with photos
+  fastify.post('/claims/create', {
+    preHandler: [authenticateCustomer],
+    schema: {
+      description: `File a claim against one of the customer's warranties (multipart: fields customerId, claimType, claimDescription; up to ${CustomerPortalService.MAX_CLAIM_PHOTOS} files in "photos")`,
+      tags: ['Customer Portal'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    if (!request.isMultipart()) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Multipart form data is required'
+      });
+    }
+
+    // Photos are only stored once the warranty and claim are known to be valid, so read them first
+    const fields = {};
+    const photos = [];
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        fields[part.fieldname] = part.value;
+      } else if (part.fieldname === 'photos' && photos.length < CustomerPortalService.MAX_CLAIM_PHOTOS) {
+        photos.push({ buffer: await StorageService.readUpload(part), filename: part.filename });
+      } else {
+        part.file.resume();
+      }
+    }
+
+    if (!fields.customerId || !CLAIM_TYPES.includes(fields.claimType) || !fields.claimDescription?.trim()) {
+      return reply.code(400).send({
+        success: false,
+        error: `customerId, claimType (${CLAIM_TYPES.join(', ')}) and claimDescription are required`
+      });
+    }
+
+    let claim = await CustomerPortalService.fileClaim(request.customer.mobile, {
+      customerId: fields.customerId,
+      claimType: fields.claimType,
+      claimDescription: fields.claimDescription.trim().slice(0, 5000)
+    }, photos);
+    const filedBy = claim.statusHistory[0].changedBy; // the customer's profile
+
+    // Fraud scoring and routing to a repair center are best effort, the claim stays valid without them
+    try {
+      claim = await ClaimFraudService.assessClaim(claim.claimId);
+    } catch (error) {
+      request.log.error(error, 'Claim fraud assessment failed');
+    }
+
+    try {
+      await RepairCenterService.autoAssignClaim(claim, filedBy);
+    } catch (error) {
+      request.log.error(error, 'Repair center auto-assignment failed');
+    }
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Claim filed successfully',
+      data: { claim: await CustomerPortalService.getClaim(claim.claimId, request.customer.mobile) }
+    });
+  }));
+
+  // Claims on the customer's warranties
+  fastify.post('/claims', {
+    preHandler: [authenticateCustomer],
+    schema: {
+      description: 'List the claims filed on the logged-in customer\'s warranties',
+      tags: ['Customer Portal'],
+      security: [{ Bearer: [] }]
+    }
+  }, catchAsync(async (request, reply) => {
+    const claims = await CustomerPortalService.listClaims(request.customer.mobile);
+
+    return reply.send({
+      success: true,
+      data: { claims }
+    });
+  }));
+
+  // Progress of a claim
+  fastify.post('/claims/details', {
+    preHandler: [authenticateCustomer],
+    schema: {
+      description: 'Track a claim: status timeline, repair status, photos and messages shared with the customer',
+      tags: ['Customer Portal'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const claim = await CustomerPortalService.getClaim(request.body.claimId, request.customer.mobile);
+
+    return reply.send({
+      success: true,
+      data: { claim }
+    });
+  }));
+}
+
+module.exports = portalRoutes;
@@ -0,0 +1,103 @@
+const { authenticate } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const PrivacyService = require('../services/privacyService');
+
+// The subject of a request is identified by mobile number and/or email address
+const SUBJECT_PROPERTIES = {
+  mobile: { type: 'string', minLength: 10, maxLength: 15 },
+  email: { type: 'string', format: 'email' },
+  companyId: { type: 'string', description: 'Defaults to the company of the requesting owner' },
+  legalBasis: { type: 'string', minLength: 3, maxLength: 500, description: 'Legal basis the request is handled under, e.g. "GDPR Art. 15"' },
+  reference: { type: 'string', maxLength: 200, description: 'Ticket or letter the request came in with' }
+};
+
+async function privacyRoutes(fastify, options) {
+
+  // Export everything held about a person
+  fastify.post('/export', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Export all data held about a customer (profiles, warranties, claims, audit entries, files) as JSON or a ZIP bundle with the files; company owners only',
+      tags: ['Privacy'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['legalBasis'],
+        anyOf: [
+          { required: ['mobile'] },
+          { required: ['email'] }
+        ],
+        properties: {
+          ...SUBJECT_PROPERTIES,
+          format: { type: 'string', enum: ['zip', 'json'], default: 'zip' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { requestId, fileName, contentType, body } = await PrivacyService.exportSubjectData(request.body, request.user.userId);
+
+    reply.header('Content-Type', contentType);
+    reply.header('Content-Disposition', `attachment; filename="${fileName}"`);
+    reply.header('Cache-Control', 'no-store');
+    reply.header('X-Privacy-Request-Id', requestId);
+    return reply.send(body);
+  }));
+
+  // Erase a person's data
+  fastify.post('/erase', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Anonymise the personal data of a customer while keeping warranty, claim and financial records; refused while a claim is open; company owners only',
+      tags: ['Privacy'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['legalBasis'],
+        anyOf: [
+          { required: ['mobile'] },
+          { required: ['email'] }
+        ],
+        properties: SUBJECT_PROPERTIES
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const result = await PrivacyService.eraseSubjectData(request.body, request.user.userId);
+
+    return reply.send({
+      success: true,
+      message: result.status === 'REJECTED'
+        ? 'Erasure refused: claims on the customer\'s warranties are still open'
+        : 'Personal data erased',
+      data: result
+    });
+  }));
+
+  // Log of privacy requests
+  fastify.post('/requests', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'List the privacy requests of a company with their legal basis and outcome; company owners only',
+      tags: ['Privacy'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          companyId: { type: 'string' },
+          type: { type: 'string', enum: ['EXPORT', 'ERASURE'] },
+          status: { type: 'string', enum: ['PROCESSING', 'COMPLETED', 'REJECTED', 'FAILED'] },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const result = await PrivacyService.listRequests(request.body || {}, request.user.userId);
+
+    return reply.send({
+      success: true,
+      data: result
+    });
+  }));
+}
+
+module.exports = privacyRoutes;
@@ -0,0 +1,123 @@
+const { catchAsync } = require('../middleware/errorHandler');
+const WarrantyLookupService = require('../services/warrantyLookupService');
+const CertificateService = require('../services/certificateService');
+const StorageService = require('../services/storageService');
+const { contentDisposition } = require('../utils/storage');
+
+// Unauthenticated endpoints; each one carries a strict per-IP rate limit
+const LOOKUP_RATE_LIMIT = { max: 5, timeWindow: '15 minutes' };
+const VERIFY_RATE_LIMIT = { max: 30, timeWindow: '15 minutes' };
+const DOWNLOAD_RATE_LIMIT = { max: 120, timeWindow: '15 minutes' };
+
+async function publicRoutes(fastify, options) {
+
+  // Request an OTP for a warranty lookup
+  fastify.post('/warranty-lookup/request-otp', {
+    config: { rateLimit: LOOKUP_RATE_LIMIT },
+    schema: {
+      description: 'Send a lookup OTP to the mobile registered on a warranty (warrantyKey or serial number)',
+      tags: ['Public'],
+      body: {
+        type: 'object',
+        required: ['mobile'],
+        anyOf: [
+          { required: ['warrantyKey'] },
+          { required: ['serialNumber'] }
+        ],
+        properties: {
+          warrantyKey: { type: 'string', minLength: 1, maxLength: 100 },
+          serialNumber: { type: 'string', minLength: 1, maxLength: 100 },
+          mobile: { type: 'string', minLength: 10, maxLength: 15 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { challengeId, expiresInMinutes } = await WarrantyLookupService.requestLookupOtp(
+      request.body,
+      request.ip
+    );
+
+    return reply.send({
+      success: true,
+      message: 'If the details match a warranty, an OTP has been sent to the registered mobile number',
+      data: { challengeId, expiresInMinutes }
+    });
+  }));
+
+  // Verify the OTP and get the warranty summary
+  fastify.post('/warranty-lookup/verify', {
+    config: { rateLimit: LOOKUP_RATE_LIMIT },
+    schema: {
+      description: 'Verify the lookup OTP and get a masked warranty summary with open claim statuses',
+      tags: ['Public'],
+      body: {
+        type: 'object',
+        required: ['challengeId', 'otp'],
+        properties: {
+          challengeId: { type: 'string' },
+          otp: { type: 'string', pattern: '^[0-9]{6}$' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { challengeId, otp } = request.body;
+    const summary = await WarrantyLookupService.verifyLookupOtp(challengeId, otp);
+
+    return reply.send({
+      success: true,
+      data: summary
+    });
+  }));
+
+  // Verify a warranty certificate (target of the QR code printed on it, hence GET)
+  fastify.get('/certificates/verify', {
+    config: { rateLimit: VERIFY_RATE_LIMIT },
+    schema: {
+      description: 'Verify a warranty certificate from its QR code',
+      tags: ['Public'],
+      querystring: {
+        type: 'object',
+        required: ['certificateNumber', 'signature'],
+        properties: {
+          certificateNumber: { type: 'string', maxLength: 100 },
+          signature: { type: 'string', maxLength: 100 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { certificateNumber, signature } = request.query;
+    const certificate = await CertificateService.verifyCertificate(certificateNumber, signature);
+
+    return reply.send({
+      success: true,
+      data: certificate
+    });
+  }));
+
+  // Download a file through a signed, expiring URL (see POST /api/files/url)
+  fastify.get('/files/download', {
+    config: { rateLimit: DOWNLOAD_RATE_LIMIT },
+    schema: {
+      description: 'Download a stored file with a signed URL',
+      tags: ['Public'],
+      querystring: {
+        type: 'object',
+        required: ['fileId', 'expires', 'signature'],
+        properties: {
+          fileId: { type: 'string', maxLength: 100 },
+          expires: { type: 'string', pattern: '^[0-9]+$' },
+          signature: { type: 'string', maxLength: 100 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { file, body } = await StorageService.getSignedDownload(request.query);
+
+    reply.header('Content-Type', file.contentType);
+    reply.header('Content-Disposition', contentDisposition('inline', file.originalName));
+    reply.header('Cache-Control', 'private, no-store');
+    return reply.send(body);
+  }));
+}
+
+module.exports = publicRoutes;
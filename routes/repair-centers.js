@@ -0,0 +1,289 @@
+const { authenticate, requireRepairCenter } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const RepairCenterService = require('../services/repairCenterService');
+
+const addressSchema = {
+  type: 'object',
+  properties: {
+    street: { type: 'string' },
+    city: { type: 'string' },
+    state: { type: 'string' },
+    country: { type: 'string' },
+    zipCode: { type: 'string' }
+  }
+};
+
+async function repairCenterRoutes(fastify, options) {
+
+  // Create Repair Center (and its login)
+  fastify.post('/create', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Create a repair center with its REPAIR_CENTER login',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['name', 'email', 'phone', 'servicePincodes', 'login'],
+        properties: {
+          companyId: { type: 'string', description: 'Target company (main company users only), defaults to own company' },
+          name: { type: 'string', minLength: 2, maxLength: 100 },
+          email: { type: 'string', format: 'email' },
+          phone: { type: 'string', minLength: 10, maxLength: 15 },
+          address: addressSchema,
+          servicePincodes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          supportedCategories: { type: 'array', items: { type: 'string' } },
+          supportedBrands: { type: 'array', items: { type: 'string' } },
+          login: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: {
+              name: { type: 'string' },
+              email: { type: 'string', format: 'email' },
+              phone: { type: 'string' },
+              password: { type: 'string', minLength: 8, maxLength: 128 }
+            }
+          }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { login, ...centerData } = request.body;
+    const { repairCenter, user } = await RepairCenterService.createRepairCenter(
+      centerData,
+      login,
+      request.user.userId
+    );
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Repair center created successfully',
+      data: { repairCenter, user }
+    });
+  }));
+
+  // Update Repair Center
+  fastify.post('/update', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Update a repair center',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['repairCenterId'],
+        properties: {
+          repairCenterId: { type: 'string' },
+          name: { type: 'string', minLength: 2, maxLength: 100 },
+          phone: { type: 'string', minLength: 10, maxLength: 15 },
+          address: addressSchema,
+          servicePincodes: { type: 'array', items: { type: 'string' } },
+          supportedCategories: { type: 'array', items: { type: 'string' } },
+          supportedBrands: { type: 'array', items: { type: 'string' } },
+          isActive: { type: 'boolean' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { repairCenterId, ...updateData } = request.body;
+    const repairCenter = await RepairCenterService.updateRepairCenter(
+      repairCenterId,
+      updateData,
+      request.user.userId
+    );
+
+    return reply.send({
+      success: true,
+      message: 'Repair center updated successfully',
+      data: { repairCenter }
+    });
+  }));
+
+  // Get Repair Centers
+  fastify.post('/all', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Get repair centers of a company',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          companyId: { type: 'string' },
+          pincode: { type: 'string' },
+          isActive: { type: 'boolean' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { companyId = request.user.companyId, pincode, isActive } = request.body || {};
+    const repairCenters = await RepairCenterService.getRepairCenters(
+      companyId,
+      request.user.userId,
+      { pincode, isActive }
+    );
+
+    return reply.send({
+      success: true,
+      data: { repairCenters }
+    });
+  }));
+
+  // Assign a claim to a repair center manually
+  fastify.post('/assign-claim', {
+    preHandler: [authenticate],
+    schema: {
+      description: 'Assign or reassign a claim to a repair center',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'repairCenterId'],
+        properties: {
+          claimId: { type: 'string' },
+          repairCenterId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, repairCenterId } = request.body;
+    const claim = await RepairCenterService.assignClaim(claimId, repairCenterId, request.user.userId);
+
+    return reply.send({
+      success: true,
+      message: 'Claim assigned to repair center',
+      data: { claim }
+    });
+  }));
+
+  // Repair center: list assigned jobs
+  fastify.post('/jobs', {
+    preHandler: [authenticate, requireRepairCenter],
+    schema: {
+      description: 'Get repair jobs assigned to the logged-in repair center',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          jobStatus: { type: 'string', enum: ['ASSIGNED', 'ACCEPTED', 'ESTIMATED', 'INVOICED', 'REPAIRED'] }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const jobs = await RepairCenterService.getJobs(request.user, request.body || {});
+
+    return reply.send({
+      success: true,
+      data: { jobs }
+    });
+  }));
+
+  // Repair center: accept a job
+  fastify.post('/jobs/accept', {
+    preHandler: [authenticate, requireRepairCenter],
+    schema: {
+      description: 'Accept an assigned repair job',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const claim = await RepairCenterService.acceptJob(request.body.claimId, request.user);
+
+    return reply.send({
+      success: true,
+      message: 'Repair job accepted',
+      data: { claim }
+    });
+  }));
+
+  // Repair center: record the repair estimate
+  fastify.post('/jobs/estimate', {
+    preHandler: [authenticate, requireRepairCenter],
+    schema: {
+      description: 'Record the repair estimate for a job',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'amount'],
+        properties: {
+          claimId: { type: 'string' },
+          amount: { type: 'number', minimum: 0 },
+          notes: { type: 'string', maxLength: 1000 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, amount, notes } = request.body;
+    const claim = await RepairCenterService.recordEstimate(claimId, request.user, { amount, notes });
+
+    return reply.send({
+      success: true,
+      message: 'Repair estimate recorded',
+      data: { claim }
+    });
+  }));
+
+  // Repair center: upload the repair invoice
+  fastify.post('/jobs/invoice', {
+    preHandler: [authenticate, requireRepairCenter],
+    schema: {
+      description: 'Upload the repair invoice and final repair cost',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId', 'repairInvoice', 'repairCost'],
+        properties: {
+          claimId: { type: 'string' },
+          repairInvoice: { type: 'string', description: 'URL of the uploaded invoice' },
+          repairCost: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const { claimId, repairInvoice, repairCost } = request.body;
+    const claim = await RepairCenterService.uploadInvoice(claimId, request.user, { repairInvoice, repairCost });
+
+    return reply.send({
+      success: true,
+      message: 'Repair invoice uploaded',
+      data: { claim }
+    });
+  }));
+
+  // Repair center: mark the repair done
+  fastify.post('/jobs/complete', {
+    preHandler: [authenticate, requireRepairCenter],
+    schema: {
+      description: 'Mark a repair job as done',
+      tags: ['Repair Centers'],
+      security: [{ Bearer: [] }],
+      body: {
+        type: 'object',
+        required: ['claimId'],
+        properties: {
+          claimId: { type: 'string' }
+        }
+      }
+    }
+  }, catchAsync(async (request, reply) => {
+    const claim = await RepairCenterService.markRepairDone(request.body.claimId, request.user);
+
+    return reply.send({
+      success: true,
+      message: 'Repair marked as done',
+      data: { claim }
+    });
+  }));
+}
+
+module.exports = repairCenterRoutes;
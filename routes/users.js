@@ -3,6 +3,8 @@ const { authenticate } = require("../middleware/auth");
 const { HierarchyService, ValidationService } = require("../services");
 const { catchAsync } = require("../middleware/errorHandler");
 const bcrypt = require("bcrypt");
+const ExportService = require("../services/exportService");
+const { replyWithExport } = require("../utils/export");
 
 async function userRoutes(fastify, options) {
   // ✅ Get all users the current user can manage (based on upward hierarchy)
@@ -60,6 +62,21 @@ async function userRoutes(fastify, options) {
                 "Company ID filter (only for MAIN_OWNER). Use 'ALL' or empty string for all companies",
             },
             isCsv: { type: "boolean", default: false },
+            format: {
+              type: "string",
+              enum: ["csv", "xlsx", "ndjson"],
+              description: "Export every matching user instead of a page (isCsv is the same as csv)",
+            },
+            columns: {
+              type: "array",
+              items: { type: "string" },
+              description: "Export columns, see /api/exports/columns",
+            },
+            background: {
+              type: "boolean",
+              default: false,
+              description: "Export through a background job even when the result is small",
+            },
             userId: {
               type: "string",
               default: "ALL",
@@ -83,9 +100,13 @@ async function userRoutes(fastify, options) {
         endDate,
         companyId,
         isCsv = false,
+        format,
+        columns,
+        background = false,
         userId = request.user.userId,
       } = request.body;
       let targetUserId = request.user.userId;
+      const exportFormat = format || (isCsv ? "csv" : null);
 
       const filters = {};
       if (userType !== "ALL") filters.userType = userType;
@@ -134,45 +155,43 @@ async function userRoutes(fastify, options) {
         }
       }
       
-      const csvLimit = isCsv ? 10000 : limit; // Adjust as needed
-      const csvPage = isCsv ? 1 : page;
+      const isOwner = request.user.userType === "MAIN_OWNER" && targetUserId === request.user.userId;
+
+      if (exportFormat) {
+        const { query, sortQuery } = await HierarchyService.buildManageableUsersQuery(
+          targetUserId,
+          filters,
+          search,
+          sortBy,
+          sortOrder,
+          isOwner
+        );
+        const result = await ExportService.startExport({
+          dataset: "users",
+          query,
+          sort: sortQuery,
+          format: exportFormat,
+          columns,
+          background,
+          companyId: filters.companyId,
+          user: request.user,
+          fileName: `users_${request.user.userType}${userType !== "ALL" ? `_${userType}` : ""}`,
+        });
+        return replyWithExport(reply, result);
+      }
 
       const { users, totalData, currentPage, totalPages, companyList } =
         await HierarchyService.getManageableUsersWithFilters(
           targetUserId,
           filters,
-          csvPage,
-          csvLimit,
+          page,
+          limit,
           search,
           sortBy,
           sortOrder,
-          request.user.userType === "MAIN_OWNER" && targetUserId === request.user.userId
+          isOwner
         );
 
-        if (isCsv) {
-          if (!users || users.length === 0) {
-            return reply.code(404).send({
-              success: false,
-              message: 'No users found for CSV export'
-            });
-          }
-
-          const csvOutput = jsonToCsv(users);
-          
-          // Generate filename with timestamp and filters
-          const timestamp = new Date().toISOString().split('T')[0];
-          const userTypeFilter = userType !== 'ALL' ? `_${userType}` : '';
-          const filename = `users_${request.user.userType}${userTypeFilter}_${timestamp}.csv`;
-          
-          reply.header('Content-Type', 'text/csv; charset=utf-8');
-          reply.header('Content-Disposition', `attachment; filename="${filename}"`);
-          reply.header('Cache-Control', 'no-cache');
-          reply.header('Content-Length', Buffer.byteLength(csvOutput, 'utf8'));
-          
-          // Use reply.send() instead of return
-          return reply.send(csvOutput);
-      }
-
       return reply.send({
         success: true,
         data: {
@@ -190,62 +209,6 @@ async function userRoutes(fastify, options) {
   );
 
 
-  function jsonToCsv(jsonArray) {
-  if (!jsonArray || jsonArray.length === 0) {
-    return 'No data available';
-  }
-  
-  try {
-    // Flatten nested objects for CSV export
-    const flattenedData = jsonArray.map(user => ({
-      userId: user.userId || '',
-      companyId: user.companyId || '',
-      name: user.name || '',
-      userType: user.userType || '',
-      email: user.email || '',
-      phone: user.phone || '',
-      isActive: user.isActive ? 'Active' : 'Inactive',
-      remainingAmount: user.walletBalance?.remainingAmount || 0,
-      city: user.address?.city || '',
-      state: user.address?.state || '',
-      parentUserName: user.parentUser?.name || '',
-      createdAt: user.createdAt ? new Date(user.createdAt).toLocaleDateString() : ''
-    }));
-
-    // Get headers from first object
-    const headers = Object.keys(flattenedData[0]);
-    
-    // Create CSV content
-    const csvContent = [
-      headers.join(','), // Header row
-      ...flattenedData.map(row => 
-        headers.map(header => {
-          let value = row[header];
-          
-          // Handle null/undefined values
-          if (value === null || value === undefined) {
-            value = '';
-          }
-          
-          // Convert to string and handle special characters
-          value = String(value);
-          
-          // Escape quotes and wrap in quotes if contains comma, quote, or newline
-          if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
-            value = `"${value.replace(/"/g, '""')}"`;
-          }
-          
-          return value;
-        }).join(',')
-      )
-    ].join('\n');
-    return csvContent;
-  } catch (error) {
-    console.error('Error converting to CSV:', error);
-    return 'Error generating CSV data';
-  }
-}
-
   // ✅ Get user details with permission check
   fastify.post(
     "/get",
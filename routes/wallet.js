@@ -2,6 +2,8 @@ const { authenticate } = require('../middleware/auth');
 const { HierarchyService, WalletManagementService  } = require('../services');
 const { catchAsync } = require('../middleware/errorHandler');
 const { User } = require('../schemas');
+const ExportService = require('../services/exportService');
+const { replyWithExport } = require('../utils/export');
 
 async function walletRoutes(fastify, options) {
   
@@ -66,11 +68,27 @@ async function walletRoutes(fastify, options) {
             default: 'desc'
           },
           isCsv: { type: "boolean", default: false },
+          format: {
+            type: 'string',
+            enum: ['csv', 'xlsx', 'ndjson'],
+            description: 'Export every matching transaction instead of a page (isCsv is the same as csv)'
+          },
+          columns: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Export columns, see /api/exports/columns'
+          },
+          background: {
+            type: 'boolean',
+            default: false,
+            description: 'Export through a background job even when the result is small'
+          }
         }
       },
     }
   }, catchAsync(async (request, reply) => {
-    const { userId, transactionType = 'ALL', startDate, endDate, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', isCsv = false, } = request.body;
+    const { userId, transactionType = 'ALL', startDate, endDate, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', isCsv = false, format, columns, background = false } = request.body;
+    const exportFormat = format || (isCsv ? 'csv' : null);
     if (!userId) {
       return reply.code(400).send({
         success: false,
@@ -109,39 +127,29 @@ async function walletRoutes(fastify, options) {
         $lte: new Date(endDate)
       };
     }
-    const csvLimit = isCsv ? 10000 : limit;
-    const csvPage = isCsv ? 1 : page;
+    if (exportFormat) {
+      const { query, sortQuery } = WalletManagementService.buildWalletHistoryQuery(userId, companyId, filters, sortBy, sortOrder);
+      const result = await ExportService.startExport({
+        dataset: 'walletHistory',
+        query,
+        sort: sortQuery,
+        format: exportFormat,
+        columns,
+        background,
+        companyId,
+        user: request.user
+      });
+      return replyWithExport(reply, result);
+    }
     const { history, totalData, currentPage, totalPages } = await WalletManagementService.getWalletHistory(
       userId,
       companyId,
       filters,
-      csvPage,
-      csvLimit,
+      page,
+      limit,
       sortBy,
       sortOrder
     );
-    if (isCsv) {
-      if (!history || history.length === 0) {
-        return reply.code(404).send({
-          success: false,
-          message: 'No history found for CSV export'
-        });
-      }
-
-      const csvOutput = jsonToCsv(history);
-      
-      // Generate filename with timestamp and filters
-      const timestamp = new Date().toISOString().split('T')[0];
-      const filename = `history_${timestamp}.csv`;
-      
-      reply.header('Content-Type', 'text/csv; charset=utf-8');
-      reply.header('Content-Disposition', `attachment; filename="${filename}"`);
-      reply.header('Cache-Control', 'no-cache');
-      reply.header('Content-Length', Buffer.byteLength(csvOutput, 'utf8'));
-      
-      // Use reply.send() instead of return
-      return reply.send(csvOutput);
-    }
     return reply.send({
       success: true,
       data: { 
@@ -197,60 +205,6 @@ fastify.get('/summary', {
   return reply.send({ success: true, data: summary });
 }));
 
-  function jsonToCsv(jsonArray) {
-  if (!jsonArray || jsonArray.length === 0) {
-    return 'No data available';
-  }
-  
-  try {
-    // Flatten nested objects for CSV export
-    const flattenedData = jsonArray.map(history => ({
-      transactionId: history.transactionId || '',
-      transactionType: history.transactionType || '',
-      fromUser: history.fromUser?.name || '',
-      toUser: history.toUser?.name|| '',
-      notes: history.notes || '',
-      isActive: history.isActive ? 'Active' : 'Inactive',
-      amount: history.amount || 0,
-      warrantyKey: history.warrantyKey || 'N/A',
-      customerDetails: history.customerDetails?.customerName || '',
-      transactionDate: history.transactionDate ? new Date(history.createdAt).toLocaleDateString() : ''
-    }));
-
-    // Get headers from first object
-    const headers = Object.keys(flattenedData[0]);
-    
-    // Create CSV content
-    const csvContent = [
-      headers.join(','), // Header row
-      ...flattenedData.map(row => 
-        headers.map(header => {
-          let value = row[header];
-          
-          // Handle null/undefined values
-          if (value === null || value === undefined) {
-            value = '';
-          }
-          
-          // Convert to string and handle special characters
-          value = String(value);
-          
-          // Escape quotes and wrap in quotes if contains comma, quote, or newline
-          if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
-            value = `"${value.replace(/"/g, '""')}"`;
-          }
-          
-          return value;
-        }).join(',')
-      )
-    ].join('\n');
-    return csvContent;
-  } catch (error) {
-    console.error('Error converting to CSV:', error);
-    return 'Error generating CSV data';
-  }
-}
-
 }
 
 module.exports = walletRoutes;
\ No newline at end of file
@@ -15,7 +15,7 @@ async function warrantyPlanRoutes(fastify, options) {
   }, catchAsync(async (request, reply) => {
     const plans = await WarrantyPlan.find({
       isActive: true
-    }).select("planId companyId planName planDescription duration premiumAmount eligibleCategories createdAt");
+    }).select("planId companyId planName planDescription duration premiumAmount eligibleCategories startRule deductibleAmount coverageCapPercent createdAt");
 
     return reply.send({
       success: true,
@@ -119,6 +119,33 @@ fastify.post('/create', {
           },
           uniqueItems: true,
           description: 'Product categories eligible for this plan'
+        },
+        startRule: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['AFTER_MANUFACTURER_WARRANTY', 'IMMEDIATE'],
+              description: 'IMMEDIATE plans (e.g. accidental damage) start on the invoice date'
+            },
+            manufacturerWarrantyMonths: {
+              type: ['integer', 'null'],
+              minimum: 0,
+              description: 'Manufacturer warranty length to assume for this plan instead of the brand/category one'
+            }
+          },
+          additionalProperties: false
+        },
+        deductibleAmount: {
+          type: 'number',
+          minimum: 0,
+          description: 'Fixed amount deducted from every claim settlement'
+        },
+        coverageCapPercent: {
+          type: 'number',
+          minimum: 0,
+          maximum: 100,
+          description: 'Total payable across all claims, as a percentage of the product purchase price'
         }
       },
       additionalProperties: false
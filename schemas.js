@@ -82,6 +82,54 @@ const companySchema = new Schema({
         isRequired: Boolean,
       },
     ],
+    // Claim SLA policy; due dates are stamped on each claim when it is filed
+    claimSla: {
+      firstResponseHours: { type: Number, default: 24, min: 1 },
+      resolutionHours: { type: Number, default: 168, min: 1 },
+      atRiskPercent: { type: Number, default: 80, min: 1, max: 99 },
+      escalateEveryHours: { type: Number, default: 24, min: 1 },
+    },
+    // Premium pricing on top of the category percent slabs (see services/premiumService.js)
+    premiumPricing: {
+      roundTo: { type: Number, default: 0.01, min: 0.01 }, // e.g. 1 for whole rupees, 10 for tens
+      roundingMode: { type: String, enum: ["NEAREST", "UP", "DOWN"], default: "NEAREST" },
+      minimumPremium: { type: Number, default: 0, min: 0 },
+    },
+    // Extended cover starts when the manufacturer warranty ends (see services/warrantyStartService.js).
+    // Overrides match on category, brand and model name; a missing field matches any value.
+    warrantyStart: {
+      defaultManufacturerWarrantyMonths: { type: Number, default: 12, min: 0 },
+      overrides: [
+        {
+          category: { type: String, default: null },
+          brand: { type: String, default: null },
+          modelName: { type: String, default: null },
+          manufacturerWarrantyMonths: { type: Number, required: true, min: 0 },
+        },
+      ],
+    },
+    // Warranty cancellation: full refund within the free-look window, pro-rata afterwards
+    cancellationPolicy: {
+      freeLookDays: { type: Number, default: 15, min: 0 },
+    },
+    // Ownership transfer when a device is resold; the fee is debited from the selling retailer's wallet
+    ownershipTransfer: {
+      fee: { type: Number, default: 0, min: 0 },
+      requireOtp: { type: Boolean, default: false },
+    },
+    // Edits of sensitive warranty fields (serial number, invoice) by a retailer wait for its parent's approval
+    customerEdits: {
+      requireParentApproval: { type: Boolean, default: false },
+    },
+    // Warranty certificate PDF layout (logo comes from Company.logo)
+    certificateTemplate: {
+      title: { type: String, default: "Extended Warranty Certificate" },
+      accentColor: { type: String, default: "#1F4E79" },
+      headerText: { type: String, default: null },
+      footerText: { type: String, default: null },
+      termsText: { type: String, default: null },
+      showPremium: { type: Boolean, default: false },
+    },
   },
   createdBy: {
     type: String,
@@ -184,9 +232,13 @@ const userSchema = new Schema({
       "NATIONAL_DISTRIBUTOR",
       "MINI_DISTRIBUTOR",
       "RETAILER",
+      // Service partners
+      "REPAIR_CENTER",
+      "WALLET",
     ],
     index: true,
   },
+  repairCenterId: { type: String, ref: "RepairCenter", default: null }, // set for REPAIR_CENTER logins
   name: { type: String, required: true, trim: true },
   email: { type: String, required: true, unique: true, lowercase: true },
   phone: { type: String, required: true },
@@ -212,6 +264,7 @@ const userSchema = new Schema({
     activeWarranties: { type: Number, default: 0 },
     expiredWarranties: { type: Number, default: 0 },
     claimedWarranties: { type: Number, default: 0 },
+    cancelledWarranties: { type: Number, default: 0 },
     totalPremiumCollected: { type: Number, default: 0 },
     lastWarrantyDate: { type: Date, default: null },
   },
@@ -433,6 +486,7 @@ const walletManagementSchema = new Schema({
       "WARRANTY_USAGE",
       "REVOKE",
       "REFUND",
+      "TRANSFER_FEE",
     ],
     required: true,
   },
@@ -496,7 +550,16 @@ const walletManagementSchema = new Schema({
   },
 });
 
+// Thumbnail and preview references of an uploaded image (see services/imageService.js);
+// null for images that did not come through the storage service
+const imageVariants = {
+  thumbnail: { type: String, default: null },
+  preview: { type: String, default: null },
+};
+
 // 7. Customer/Lead Schema (Updated with new hierarchy support)
+// One document per warranty contract (product + coverage). The buyer is a CustomerProfile shared by
+// all of their warranties; customerDetails keeps the owner's details as of this warranty.
 const customerSchema = new Schema({
   customerId: {
     type: String,
@@ -504,6 +567,11 @@ const customerSchema = new Schema({
     unique: true,
     index: true,
   },
+  profileId: {
+    type: String,
+    ref: "CustomerProfile",
+    default: null,
+  },
   warrantyKey: {
     type: String,
     required: true,
@@ -557,7 +625,8 @@ const customerSchema = new Schema({
       type: String,
       default: null,
     },
-    serialNumber: { type: String, required: true, unique: true },
+    serialNumber: { type: String, required: true }, // IMEI for IMEI categories
+    imei2: { type: String, default: null }, // second IMEI of dual-SIM phones
     orignalWarranty: { type: Number, default: 0 },
     brand: {
       type: String,
@@ -578,14 +647,14 @@ const customerSchema = new Schema({
   },
   invoiceDetails: {
     invoiceNumber: {
-      type: String,
+      type: String, // one invoice can cover several products of the same buyer
       required: true,
-      unique: true,
     },
     invoiceImage: {
       type: String, // URL to invoice image
       required: true,
     },
+    invoiceImageVariants: imageVariants,
     invoiceDate: {
       type: Date,
       required: true,
@@ -613,8 +682,24 @@ const customerSchema = new Schema({
         type: String,
       },
     ],
+    variants: {
+      frontImage: imageVariants,
+      backImage: imageVariants,
+      rightImage: imageVariants,
+      leftImage: imageVariants,
+      additionalImages: [{ _id: false, ...imageVariants }],
+    },
   },
   warrantyDetails: {
+    planId: {
+      type: String,
+      ref: "WarrantyPlan",
+      default: null,
+    },
+    planName: {
+      type: String,
+      default: null,
+    },
     warrantyPeriod: {
       type: Number, // in months
       default: null,
@@ -631,6 +716,95 @@ const customerSchema = new Schema({
       type: Number,
       default: null,
     },
+    // How startDate was derived: IMMEDIATE (invoice date) or AFTER_MANUFACTURER_WARRANTY
+    startRule: {
+      type: String,
+      default: null,
+    },
+    // Sum of approved settlements paid against this warranty's coverage cap
+    coverageUsedAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Coverage periods, oldest first: the original sale, then one per renewal. warrantyDetails
+  // holds the overall start/expiry and the latest plan; claims are checked against the period in force.
+  coveragePeriods: [
+    {
+      periodId: String,
+      type: { type: String, enum: ["ORIGINAL", "RENEWAL"] },
+      planId: { type: String, ref: "WarrantyPlan", default: null },
+      planName: { type: String, default: null },
+      durationMonths: { type: Number, default: null },
+      startDate: Date,
+      expiryDate: Date,
+      premiumAmount: { type: Number, default: 0 },
+      transactionId: { type: String, default: null },
+      createdBy: { type: String, ref: "User", default: null },
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Set when the warranty is cancelled (status becomes 0); the refund goes back to the retailer wallet
+  cancellation: {
+    isCancelled: { type: Boolean, default: false },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, ref: "User", default: null },
+    reason: { type: String, default: null },
+    isFreeLook: { type: Boolean, default: false },
+    elapsedCoveragePercent: { type: Number, default: 0 },
+    approvedClaimsAmount: { type: Number, default: 0 },
+    refundAmount: { type: Number, default: 0 },
+    refundTransactionId: { type: String, default: null },
+  },
+  // Set by the scheduled expiry job (services/warrantyExpiryService.js) once coverage has ended.
+  // processedAt stays null until the expiry event and stats refresh have run for the warranty.
+  expiry: {
+    isExpired: { type: Boolean, default: false },
+    expiredAt: { type: Date, default: null },
+    processedAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  // Previous owners, oldest first; customerDetails always holds the current owner
+  ownershipHistory: [
+    {
+      transferId: String,
+      owner: {
+        name: String,
+        email: String,
+        mobile: String,
+        alternateNumber: String,
+        address: {
+          street: String,
+          city: String,
+          state: String,
+          country: String,
+          zipCode: String,
+        },
+      },
+      profileId: { type: String, ref: "CustomerProfile", default: null },
+      ownedFrom: Date,
+      ownedUntil: Date,
+      transferredBy: { type: String, ref: "User" },
+      reason: String,
+      fee: { type: Number, default: 0 },
+      feeTransactionId: { type: String, default: null },
+      verifiedByOtp: { type: Boolean, default: false },
+    },
+  ],
+  // Latest generated warranty certificate (see services/certificateService.js)
+  certificate: {
+    certificateNumber: { type: String, default: null },
+    filePath: { type: String, default: null },
+    version: { type: Number, default: 0 },
+    generatedAt: { type: Date, default: null },
+    generatedBy: { type: String, ref: "User", default: null },
+    emailedAt: { type: Date, default: null },
+    emailedTo: { type: String, default: null },
+  },
+  // Set when the owner's personal data was erased (see services/privacyService.js)
+  privacy: {
+    erasedAt: { type: Date, default: null },
+    requestId: { type: String, ref: "PrivacyRequest", default: null },
   },
   hierarchy: {
     retailer: {
@@ -696,6 +870,43 @@ const categorySchema = new Schema({
       default: true
     }
   }],
+  // Device identifiers: IMEI categories (phones) need a Luhn-valid 15-digit IMEI as serial number
+  // and may take a second IMEI; SERIAL categories are checked against the brand's pattern
+  identifierRules: {
+    type: {
+      type: String,
+      enum: ["SERIAL", "IMEI"],
+      default: "SERIAL"
+    },
+    allowSecondImei: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Manufacturer warranty that comes with products of this category (null = not known)
+  manufacturerWarrantyMonths: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Depreciation applied to claim settlements by product age (months since invoice)
+  depreciationSchedule: [{
+    fromMonth: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    toMonth: {
+      type: Number,
+      default: null // null = no upper bound
+    },
+    percent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true,
@@ -738,6 +949,19 @@ const brandSchema = new Schema({
       },
     }
   ],
+  // Full-match regular expression for serial numbers of this brand (null = any serial)
+  serialNumberPattern: {
+    type: String,
+    default: null,
+  },
+  // Manufacturer warranty of the brand's products; categoryId/modelName null = any
+  manufacturerWarranties: [
+    {
+      categoryId: { type: String, default: null },
+      modelName: { type: String, default: null },
+      months: { type: Number, required: true, min: 0 },
+    }
+  ],
   isActive: {
     type: Boolean,
     default: true,
@@ -819,6 +1043,32 @@ const warrantyPlanSchema = new Schema({
       type: String,
     },
   ],
+  // When cover starts: after the manufacturer warranty (optionally with a fixed length for this
+  // plan) or on the invoice date, e.g. accidental damage cover
+  startRule: {
+    type: {
+      type: String,
+      enum: ["AFTER_MANUFACTURER_WARRANTY", "IMMEDIATE"],
+      default: "AFTER_MANUFACTURER_WARRANTY",
+    },
+    manufacturerWarrantyMonths: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+  },
+  // Settlement rules
+  deductibleAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  coverageCapPercent: {
+    type: Number, // total payable across all claims, as % of the product purchase price
+    default: 100,
+    min: 0,
+    max: 100,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -871,6 +1121,11 @@ const claimSchema = new Schema({
     required: true,
     ref: "Customer",
   },
+  // Coverage period the claim was filed under (see Customer.coveragePeriods)
+  coveragePeriodId: {
+    type: String,
+    default: null,
+  },
   companyId: {
     type: String,
     required: true,
@@ -909,8 +1164,22 @@ const claimSchema = new Schema({
       type: String, // URLs to damage images
     },
   ],
+  damageImageVariants: [{ _id: false, image: String, ...imageVariants }],
   repairDetails: {
-    repairCenter: String,
+    repairCenter: String, // repair center name, kept for display
+    repairCenterId: { type: String, ref: "RepairCenter", default: null },
+    jobStatus: {
+      type: String,
+      enum: ["ASSIGNED", "ACCEPTED", "ESTIMATED", "INVOICED", "REPAIRED", null],
+      default: null,
+    },
+    assignedAt: { type: Date, default: null },
+    acceptedAt: { type: Date, default: null },
+    estimate: {
+      amount: { type: Number, default: null },
+      notes: { type: String, default: null },
+      estimatedAt: { type: Date, default: null },
+    },
     repairDate: Date,
     repairCost: Number,
     repairInvoice: String,
@@ -931,6 +1200,98 @@ const claimSchema = new Schema({
     type: String,
     default: null,
   },
+  // Line-by-line breakdown of how approvedAmount was computed
+  settlement: {
+    assessedAmount: { type: Number, default: null },
+    payableAmount: { type: Number, default: null },
+    productAgeMonths: { type: Number, default: null },
+    coverageCap: { type: Number, default: null },
+    coverageUsedBefore: { type: Number, default: null },
+    lines: [
+      {
+        code: String,
+        description: String,
+        amount: Number,
+      },
+    ],
+    calculatedAt: { type: Date, default: null },
+    calculatedBy: { type: String, ref: "User", default: null },
+  },
+  // Fraud signals computed before approval (see services/claimFraudService.js)
+  fraudAssessment: {
+    riskScore: { type: Number, default: null, min: 0, max: 100 },
+    riskLevel: { type: String, enum: ["LOW", "MEDIUM", "HIGH", null], default: null },
+    reasons: [
+      {
+        code: String,
+        description: String,
+        weight: Number,
+        relatedClaimIds: [{ type: String, ref: "Claim" }],
+      },
+    ],
+    // Damage images that could not be hashed, and so were not compared with other claims
+    unreadImages: [{ _id: false, url: String, reason: String }],
+    assessedAt: { type: Date, default: null },
+  },
+  // Content (sha256) and perceptual (dHash) hashes of damageImages for duplicate detection
+  damageImageHashes: [
+    {
+      url: String,
+      sha256: String,
+      dHash: String,
+      bands: [String],
+    },
+  ],
+  // SLA timers: first response = leaving PENDING, resolution = APPROVED/REJECTED
+  sla: {
+    firstResponseDueAt: { type: Date, default: null },
+    firstResponseAtRiskAt: { type: Date, default: null },
+    resolutionDueAt: { type: Date, default: null },
+    resolutionAtRiskAt: { type: Date, default: null },
+    firstRespondedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    firstResponseBreachedAt: { type: Date, default: null },
+    resolutionBreachedAt: { type: Date, default: null },
+    escalationLevel: { type: Number, default: 0 },
+    lastEscalatedAt: { type: Date, default: null },
+    escalations: [
+      {
+        breachType: { type: String, enum: ["FIRST_RESPONSE", "RESOLUTION"] },
+        level: Number,
+        userId: { type: String, ref: "User" },
+        userType: String,
+        name: String,
+        escalatedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  // Append-only record of every status change (written by the claim workflow service)
+  statusHistory: [
+    {
+      fromStatus: {
+        type: String,
+        default: null, // null for the initial PENDING entry
+      },
+      toStatus: {
+        type: String,
+        required: true,
+      },
+      changedBy: {
+        type: String,
+        ref: "User",
+        required: true,
+      },
+      changedByType: String,
+      reason: {
+        type: String,
+        default: null,
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   notes: {
     type: String,
     default: null,
@@ -975,6 +1336,11 @@ const auditLogSchema = new Schema({
       "SUPPORT_ASSIGNMENT",
       "PERMISSION_CHANGE",
       "CROSS_COMPANY_ACCESS",
+      "SLA_ESCALATION",
+      "WARRANTY_CANCELLATION",
+      "WALLET_REFUND",
+      "WALLET_TRANSFER_FEE",
+      "WARRANTY_EXPIRY",
     ],
   },
   entityType: {
@@ -989,6 +1355,8 @@ const auditLogSchema = new Schema({
       "PLAN",
       "PERMISSION",
       "ASSIGNMENT",
+      "REPAIR_CENTER",
+      "WALLET",
     ],
   },
   entityId: {
@@ -1072,64 +1440,758 @@ const settingsSchema = new Schema({
   },
 });
 
-// Additional compound indexes for better query performance
-companySchema.index({ companyType: 1, parentCompanyId: 1 });
-companySchema.index({ name: 1, isActive: 1 });
-userSchema.index({ companyId: 1, userType: 1 }); // KEEP - Different query pattern
-userSchema.index({ parentUserId: 1, isActive: 1 }); // KEEP - Hierarchy queries
-// Add new performance indexes
-userSchema.index({ userId: 1, userType: 1, isActive: 1, createdAt: -1 }); // NEW - Main query
-userSchema.index({ userId: 1, "walletBalance.remainingAmount": -1 }); // NEW - Sorting
-userSchema.index({ createdAt: -1, isActive: 1 });
-userHierarchySchema.index({ "hierarchyPath.userId": 1 });
-userHierarchySchema.index({ "crossCompanyAccess.companyId": 1 });
-supportPermissionSchema.index({ companyId: 1, isActive: 1 });
-supportEmployeeAssignmentSchema.index({ supportEmployeeId: 1, isActive: 1 });
-supportEmployeeAssignmentSchema.index({ permissionSetId: 1 });
-supportEmployeeAssignmentSchema.index({ "assignedCompanies.companyId": 1 });
-supportEmployeeAssignmentSchema.index({ "assignedUsers.userId": 1 });
-customerSchema.index({ companyId: 1, retailerId: 1 });
-customerSchema.index({ "dates.createdDate": 1 });
-walletManagementSchema.index({ companyId: 1, toUserId: 1 });
-walletManagementSchema.index({ transactionDate: -1 });
-walletManagementSchema.index({ transactionType: 1 });
-walletManagementSchema.index({ warrantyKey: 1 });
-claimSchema.index({ companyId: 1, customerId: 1 });
-claimSchema.index({ claimStatus: 1, claimDate: -1 });
-auditLogSchema.index({ companyId: 1, userId: 1 });
-auditLogSchema.index({ timestamp: -1 });
-auditLogSchema.index({ action: 1, entityType: 1 });
-auditLogSchema.index({ "onBehalfOf.userId": 1 });
-
-// Pre-save middleware
-// Updated pre-save middleware
-userSchema.pre("save", function (next) {
-  this.updatedAt = Date.now();
-
-  // Ensure support employees can't have wallet permissions
-  if (this.userType === "SUPPORT_EMPLOYEE") {
-    this.permissions.canManageKeys = false;
-    // Support employees won't have wallet balance
-    this.walletBalance = {
-      totalAmount: 0,
-      usedAmount: 0,
-      remainingAmount: 0,
-    };
-  }
-
-  next();
+// 12. Repair Center Schema (service partners per company)
+const repairCenterSchema = new Schema({
+  repairCenterId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    country: String,
+    zipCode: String,
+  },
+  servicePincodes: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Empty list = supports every category / brand
+  supportedCategories: [
+    {
+      type: String, // categoryId
+    },
+  ],
+  supportedBrands: [
+    {
+      type: String, // brand name as stored on productDetails.brand
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: String,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
-supportEmployeeAssignmentSchema.pre("save", function (next) {
-  this.updatedAt = Date.now();
-  next();
+// 13. Claim Message Schema (threaded discussion on a claim)
+const claimMessageSchema = new Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  claimId: {
+    type: String,
+    required: true,
+    ref: "Claim",
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  parentMessageId: {
+    type: String,
+    ref: "ClaimMessage",
+    default: null, // null = starts a new thread
+  },
+  authorId: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  authorType: String,
+  authorName: String,
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000,
+  },
+  // INTERNAL: company staff only, RETAILER: also the selling retailer, CUSTOMER: also the end customer
+  visibility: {
+    type: String,
+    enum: ["INTERNAL", "RETAILER", "CUSTOMER"],
+    default: "INTERNAL",
+  },
+  attachments: [
+    {
+      url: String,
+      fileName: String,
+      mimeType: String,
+      size: Number,
+    },
+  ],
+  readBy: [
+    {
+      userId: { type: String, ref: "User" },
+      readAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
-customerSchema.pre("save", function (next) {
+// 14. Notification Schema (in-app notifications per user)
+const notificationSchema = new Schema({
+  notificationId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  companyId: {
+    type: String,
+    ref: "Company",
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ["CLAIM_MESSAGE", "CLAIM_SLA_ESCALATION"],
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: String,
+  entityType: String,
+  entityId: String,
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// 15. OTP Challenge Schema (one-time passcodes sent to a customer's mobile)
+const otpChallengeSchema = new Schema({
+  challengeId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ["WARRANTY_LOOKUP", "OWNERSHIP_TRANSFER", "CUSTOMER_LOGIN"],
+  },
+  // null for CUSTOMER_LOGIN, which is bound to the mobile rather than to one warranty
+  customerId: {
+    type: String,
+    default: null,
+    ref: "Customer",
+  },
+  // Normalised number the code was sent to (lets a purpose bind the code to a new mobile)
+  mobile: {
+    type: String,
+    default: null,
+  },
+  companyId: {
+    type: String,
+    ref: "Company",
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  consumedAt: {
+    type: Date,
+    default: null,
+  },
+  requestIp: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// 16. Import Job Schema (bulk warranty registration from a CSV/XLSX file)
+const importJobSchema = new Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  retailerId: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  fileName: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["PENDING", "PROCESSING", "COMPLETED", "COMPLETED_WITH_ERRORS"],
+    default: "PENDING",
+  },
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  createdCount: {
+    type: Number,
+    default: 0,
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+  },
+  totalPremium: {
+    type: Number,
+    default: 0,
+  },
+  // One entry per data row; rows are processed in order and each is committed at most once
+  rows: [
+    {
+      rowNumber: Number,
+      status: {
+        type: String,
+        enum: ["PENDING", "PROCESSING", "CREATED", "FAILED"],
+        default: "PENDING",
+      },
+      data: Schema.Types.Mixed,
+      premiumAmount: Number,
+      customerId: { type: String, default: null },
+      warrantyKey: { type: String, default: null },
+      messages: [String],
+      // Where a FAILED row was stopped: UPLOAD (invalid data or images, needs a new file), PROCESSING (retryable)
+      // or INTERRUPTED (the worker died mid-row and the wallet may have been debited; never retried)
+      failedStage: { type: String, enum: ["UPLOAD", "PROCESSING", "INTERRUPTED", null], default: null },
+      processedAt: { type: Date, default: null },
+    },
+  ],
+  // Lease taken by the process working on the job, so a job is never processed twice at once
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// 17. Customer Profile Schema (the buyer; one profile per mobile number within a company)
+const customerProfileSchema = new Schema({
+  profileId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    default: null,
+  },
+  mobile: {
+    type: String,
+    required: true,
+  },
+  // Last 10 digits of mobile, the matching key (see otpService.normalizeMobile)
+  normalizedMobile: {
+    type: String,
+    required: true,
+  },
+  alternateNumber: {
+    type: String,
+    default: null,
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    country: String,
+    zipCode: String,
+  },
+  createdBy: {
+    type: String,
+    ref: "User",
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// 18. Customer Revision Schema (field-level history of a warranty record)
+const customerRevisionSchema = new Schema({
+  revisionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  customerId: {
+    type: String,
+    required: true,
+    ref: "Customer",
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  // EDIT (updateCustomer), TRANSFER (new owner) or PROFILE_UPDATE (buyer details copied from the profile)
+  source: {
+    type: String,
+    enum: ["EDIT", "TRANSFER", "PROFILE_UPDATE"],
+    default: "EDIT",
+  },
+  changes: [
+    {
+      _id: false,
+      path: { type: String, required: true }, // e.g. "productDetails.serialNumber"
+      oldValue: { type: Schema.Types.Mixed, default: null },
+      newValue: { type: Schema.Types.Mixed, default: null },
+    },
+  ],
+  reason: {
+    type: String,
+    default: null,
+  },
+  editedBy: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  status: {
+    type: String,
+    enum: ["APPLIED", "PENDING_APPROVAL", "REJECTED"],
+    default: "APPLIED",
+  },
+  approval: {
+    approverId: { type: String, ref: "User", default: null }, // the retailer's direct parent
+    decidedBy: { type: String, ref: "User", default: null },
+    decidedAt: { type: Date, default: null },
+    note: { type: String, default: null },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  appliedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// 19. Stored File Schema (uploads kept by the storage driver, see services/storageService.js)
+const storedFileSchema = new Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  ownerId: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  driver: {
+    type: String,
+    enum: ["local", "s3"],
+    required: true,
+  },
+  key: {
+    type: String, // <companyId>/<purpose>/<fileId>.<extension>
+    required: true,
+  },
+  purpose: {
+    type: String,
+    default: "UPLOAD",
+  },
+  originalName: {
+    type: String,
+    default: null,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  extension: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // Images only: pixel size after normalisation and, on the full-size image, its variants
+  width: {
+    type: Number,
+    default: null,
+  },
+  height: {
+    type: Number,
+    default: null,
+  },
+  variant: {
+    type: String,
+    enum: ["thumbnail", "preview", null],
+    default: null,
+  },
+  variants: imageVariants,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// 20. Privacy Request Schema (data-subject export and erasure requests, kept as the record of handling them)
+const privacyRequestSchema = new Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  type: {
+    type: String,
+    enum: ["EXPORT", "ERASURE"],
+    required: true,
+  },
+  // The subject is kept as keyed hashes and masked values only, so the log holds no personal data
+  subject: {
+    mobileHash: { type: String, default: null },
+    emailHash: { type: String, default: null },
+    maskedMobile: { type: String, default: null },
+    maskedEmail: { type: String, default: null },
+  },
+  legalBasis: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  reference: {
+    type: String, // ticket or letter the request came in with
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["PROCESSING", "COMPLETED", "REJECTED", "FAILED"],
+    default: "PROCESSING",
+  },
+  // Counts of what was found, exported, anonymised or retained
+  outcome: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// 21. Export Job Schema (large CSV/XLSX/NDJSON exports written in the background, see services/exportService.js)
+const exportJobSchema = new Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  companyId: {
+    type: String,
+    required: true,
+    ref: "Company",
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    ref: "User",
+  },
+  dataset: {
+    type: String,
+    enum: ["customers", "users", "walletHistory", "claims"],
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ["csv", "xlsx", "ndjson"],
+    required: true,
+  },
+  columns: [String],
+  timezone: {
+    type: String,
+    default: "UTC",
+  },
+  // Filter (or aggregation pipeline) and sort of the list the export was started from, as Extended
+  // JSON so dates, regexes and operators survive storage
+  criteria: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["QUEUED", "PROCESSING", "COMPLETED", "FAILED"],
+    default: "QUEUED",
+  },
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  rowCount: {
+    type: Number,
+    default: 0,
+  },
+  fileName: {
+    type: String,
+    default: null,
+  },
+  fileRef: {
+    type: String, // storage://<fileId>, owned by the requester
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  // Lease taken by the process writing the file, so a job is never processed twice at once
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Additional compound indexes for better query performance
+companySchema.index({ companyType: 1, parentCompanyId: 1 });
+companySchema.index({ name: 1, isActive: 1 });
+userSchema.index({ companyId: 1, userType: 1 }); // KEEP - Different query pattern
+userSchema.index({ parentUserId: 1, isActive: 1 }); // KEEP - Hierarchy queries
+// Add new performance indexes
+userSchema.index({ userId: 1, userType: 1, isActive: 1, createdAt: -1 }); // NEW - Main query
+userSchema.index({ userId: 1, "walletBalance.remainingAmount": -1 }); // NEW - Sorting
+userSchema.index({ createdAt: -1, isActive: 1 });
+userHierarchySchema.index({ "hierarchyPath.userId": 1 });
+userHierarchySchema.index({ "crossCompanyAccess.companyId": 1 });
+supportPermissionSchema.index({ companyId: 1, isActive: 1 });
+supportEmployeeAssignmentSchema.index({ supportEmployeeId: 1, isActive: 1 });
+supportEmployeeAssignmentSchema.index({ permissionSetId: 1 });
+supportEmployeeAssignmentSchema.index({ "assignedCompanies.companyId": 1 });
+supportEmployeeAssignmentSchema.index({ "assignedUsers.userId": 1 });
+customerSchema.index({ companyId: 1, retailerId: 1 });
+customerSchema.index({ "dates.createdDate": 1 });
+customerSchema.index({ "certificate.certificateNumber": 1 }, { sparse: true });
+customerSchema.index({ "cancellation.isCancelled": 1, companyId: 1, retailerId: 1 });
+customerSchema.index({ "expiry.isExpired": 1, "warrantyDetails.expiryDate": 1 });
+customerSchema.index({ "hierarchy.distributorChain.userId": 1 });
+// A device may be covered again once its earlier warranty has expired or been cancelled
+customerSchema.index({ companyId: 1, "productDetails.serialNumber": 1 });
+customerSchema.index({ "productDetails.imei2": 1 }, { sparse: true });
+customerSchema.index({ profileId: 1 });
+customerSchema.index({ companyId: 1, "invoiceDetails.invoiceNumber": 1 });
+walletManagementSchema.index({ companyId: 1, toUserId: 1 });
+walletManagementSchema.index({ transactionDate: -1 });
+walletManagementSchema.index({ transactionType: 1 });
+walletManagementSchema.index({ warrantyKey: 1 });
+claimSchema.index({ companyId: 1, customerId: 1 });
+claimSchema.index({ claimStatus: 1, claimDate: -1 });
+claimSchema.index({ "repairDetails.repairCenterId": 1, "repairDetails.jobStatus": 1 });
+claimSchema.index({ claimStatus: 1, "sla.firstResponseDueAt": 1 });
+claimSchema.index({ claimStatus: 1, "sla.resolutionDueAt": 1 });
+claimSchema.index({ "sla.escalations.userId": 1 });
+claimSchema.index({ companyId: 1, "fraudAssessment.riskScore": -1 });
+claimSchema.index({ "damageImageHashes.sha256": 1 });
+claimSchema.index({ "damageImageHashes.bands": 1 });
+repairCenterSchema.index({ companyId: 1, servicePincodes: 1, isActive: 1 });
+claimMessageSchema.index({ claimId: 1, createdAt: 1 });
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+otpChallengeSchema.index({ customerId: 1, purpose: 1, createdAt: -1 });
+otpChallengeSchema.index({ mobile: 1, purpose: 1, createdAt: -1 });
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // purge after a day
+importJobSchema.index({ retailerId: 1, createdAt: -1 });
+importJobSchema.index({ companyId: 1, status: 1 });
+customerProfileSchema.index({ companyId: 1, normalizedMobile: 1 }, { unique: true });
+customerProfileSchema.index({ normalizedMobile: 1 }); // customer portal login spans companies
+customerRevisionSchema.index({ customerId: 1, createdAt: 1 });
+customerRevisionSchema.index({ "approval.approverId": 1, status: 1 });
+storedFileSchema.index({ ownerId: 1, createdAt: -1 });
+storedFileSchema.index({ companyId: 1, purpose: 1 });
+privacyRequestSchema.index({ companyId: 1, createdAt: -1 });
+privacyRequestSchema.index({ "subject.mobileHash": 1 });
+privacyRequestSchema.index({ "subject.emailHash": 1 });
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+auditLogSchema.index({ companyId: 1, userId: 1 });
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ action: 1, entityType: 1 });
+auditLogSchema.index({ "onBehalfOf.userId": 1 });
+
+// Pre-save middleware
+// Updated pre-save middleware
+userSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+
+  // Ensure support employees can't have wallet permissions
+  if (this.userType === "SUPPORT_EMPLOYEE") {
+    this.permissions.canManageKeys = false;
+    // Support employees won't have wallet balance
+    this.walletBalance = {
+      totalAmount: 0,
+      usedAmount: 0,
+      remainingAmount: 0,
+    };
+  }
+
+  next();
+});
+
+supportEmployeeAssignmentSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+customerSchema.pre("save", function (next) {
   this.dates.lastModifiedDate = Date.now();
   next();
 });
 
+repairCenterSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
 companySchema.pre("save", function (next) {
   this.updatedAt = Date.now();
   next();
@@ -1170,6 +2232,8 @@ companySchema.virtual("isWhitelabel").get(function () {
 });
 
 customerSchema.virtual("warrantyStatus").get(function () {
+  if (this.cancellation?.isCancelled) return "CANCELLED";
+  if (this.expiry?.isExpired) return "EXPIRED";
   const now = new Date();
   return now <= this.warrantyDetails.expiryDate ? "ACTIVE" : "EXPIRED";
 });
@@ -1197,6 +2261,16 @@ const WarrantyPlan = mongoose.model("WarrantyPlan", warrantyPlanSchema);
 const Claim = mongoose.model("Claim", claimSchema);
 const AuditLog = mongoose.model("AuditLog", auditLogSchema);
 const Settings = mongoose.model("Settings", settingsSchema);
+const RepairCenter = mongoose.model("RepairCenter", repairCenterSchema);
+const ClaimMessage = mongoose.model("ClaimMessage", claimMessageSchema);
+const Notification = mongoose.model("Notification", notificationSchema);
+const OtpChallenge = mongoose.model("OtpChallenge", otpChallengeSchema);
+const ImportJob = mongoose.model("ImportJob", importJobSchema);
+const CustomerProfile = mongoose.model("CustomerProfile", customerProfileSchema);
+const CustomerRevision = mongoose.model("CustomerRevision", customerRevisionSchema);
+const StoredFile = mongoose.model("StoredFile", storedFileSchema);
+const PrivacyRequest = mongoose.model("PrivacyRequest", privacyRequestSchema);
+const ExportJob = mongoose.model("ExportJob", exportJobSchema);
 const TransferLog = mongoose.model("TransferLog", TransferLogSchema);
 const WebhookLog = mongoose.model("WebhookLog", WebhookLogSchema);
 const SupportEmployeeAssignment = mongoose.model(
@@ -1221,4 +2295,14 @@ module.exports = {
   TransferLog,
   WebhookLog,
   Brand,
+  RepairCenter,
+  ClaimMessage,
+  Notification,
+  OtpChallenge,
+  ImportJob,
+  CustomerProfile,
+  CustomerRevision,
+  StoredFile,
+  PrivacyRequest,
+  ExportJob,
 };
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// Flags claims that breached their SLA and escalates them up the retailer's hierarchy.
+// Meant to be run on a schedule, e.g. every 15 minutes from cron:
+//   */15 * * * * cd /path/to/app && npm run evaluate-sla
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { evaluateClaimSlas } = require('../services/claimSlaService');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warranty_management');
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Main function
+const main = async () => {
+  let exitCode = 0;
+  try {
+    await connectDB();
+
+    const result = await evaluateClaimSlas();
+
+    console.log('⏱️  Claim SLA evaluation');
+    console.log('═══════════════════════');
+    console.log(`First response breaches flagged: ${result.firstResponseBreaches}`);
+    console.log(`Resolution breaches flagged:     ${result.resolutionBreaches}`);
+    console.log(`Escalations sent:                ${result.escalations}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+  process.exit(exitCode);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Links warranties created before customer profiles existed to a profile of their buyer
+// (one per mobile number within a company) and replaces the old unique invoice number index.
+// Safe to run more than once:
+//   npm run migrate-profiles
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateCustomerProfiles } = require('../services/customerProfileService');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warranty_management');
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Main function
+const main = async () => {
+  let exitCode = 0;
+  try {
+    await connectDB();
+
+    const result = await migrateCustomerProfiles();
+
+    console.log('👤 Customer profile migration');
+    console.log('═════════════════════════════');
+    console.log(`Warranties linked:  ${result.linked}`);
+    console.log(`Profiles created:   ${result.profilesCreated}`);
+    console.log(`Warranties skipped: ${result.skipped.length}`);
+    result.skipped.forEach(({ customerId, reason }) => console.log(`  - ${customerId}: ${reason}`));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+  process.exit(exitCode);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
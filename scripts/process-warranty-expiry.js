@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+// Marks warranties whose coverage has ended, emits warranty.expired for each and keeps
+// eWarrantyStats of retailers and their distributor chains in step.
+// Meant to be run on a schedule, e.g. hourly from cron:
+//   0 * * * * cd /path/to/app && npm run process-expiry
+// Pass --rebuild-stats to also recount the stats of every retailer and distributor.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { processExpiredWarranties, rebuildWarrantyStats } = require('../services/warrantyExpiryService');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warranty_management');
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Main function
+const main = async () => {
+  let exitCode = 0;
+  try {
+    await connectDB();
+
+    const result = await processExpiredWarranties();
+
+    console.log('📅 Warranty expiry processing');
+    console.log('════════════════════════════');
+    console.log(`Newly expired warranties:  ${result.newlyExpired}`);
+    console.log(`Expiry events sent:        ${result.processed}`);
+    console.log(`Failed (retried next run): ${result.failed}`);
+    console.log(`Stats refreshed for users: ${result.statsRefreshed}`);
+
+    if (process.argv.includes('--rebuild-stats')) {
+      const rebuilt = await rebuildWarrantyStats();
+      console.log(`Stats rebuilt for users:   ${rebuilt}`);
+    }
+
+    if (result.failed > 0) exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+  process.exit(exitCode);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
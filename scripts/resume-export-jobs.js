@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Restarts background export jobs whose API process stopped before the file was written.
+// Meant to be run on a schedule, e.g. every 10 minutes from cron:
+//   */10 * * * * cd /path/to/app && npm run resume-exports
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { resumeStalledExportJobs } = require('../services/exportService');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warranty_management');
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Main function
+const main = async () => {
+  let exitCode = 0;
+  try {
+    await connectDB();
+
+    const result = await resumeStalledExportJobs();
+
+    console.log('📦 Stalled export jobs');
+    console.log('═════════════════════');
+    console.log(`Jobs resumed:    ${result.resumed}`);
+    console.log(`Completed:       ${result.completed}`);
+    console.log(`Failed:          ${result.failed}`);
+
+    if (result.failed > 0) exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+  process.exit(exitCode);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
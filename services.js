@@ -1,5 +1,12 @@
 const { query } = require('winston');
-const { User, UserHierarchy, WalletManagement, Customer, AuditLog, Company, SupportPermission, SupportAssignment } = require('./schemas');
+const { User, UserHierarchy, WalletManagement, Customer, AuditLog, Company, SupportPermission, SupportAssignment, SupportEmployeeAssignment } = require('./schemas');
+const { buildOriginalPeriod } = require('./services/coveragePeriodService');
+const PremiumService = require('./services/premiumService');
+const WarrantyStartService = require('./services/warrantyStartService');
+const DeviceIdentifierService = require('./services/deviceIdentifierService');
+const CustomerProfileService = require('./services/customerProfileService');
+const CustomerHistoryService = require('./services/customerHistoryService');
+const ImageService = require('./services/imageService');
 
 // Company Management Service
 class CompanyService {
@@ -557,18 +564,16 @@ class HierarchyService {
     }
   }
 
-  static async getManageableUsersWithFilters(
+  // Query and sort for the users below a manager (every user for the main owner)
+  static async buildManageableUsersQuery(
     managerUserId,
     filters = {},
-    page = 1,
-    limit = 10,
     search = '',
     sortBy = 'createdAt',
     sortOrder = 'desc',
     isOwner = false
   ) {
     let query = {};
-    let companyList = []
     if (!isOwner){
       const hierarchyUserIds = await UserHierarchy.distinct('userId', {
         'hierarchyPath.userId': managerUserId
@@ -583,7 +588,6 @@ class HierarchyService {
         ...filters
       }
     } else {
-      companyList = await Company.find({ companyType: 'WHITELABEL' }).select('companyId name').lean();
       query = { ...filters };
       if (filters.companyId) {
         query.companyId = filters.companyId;
@@ -629,6 +633,24 @@ class HierarchyService {
     } else {
       sortQuery[sortBy] = sortOrder === 'asc' ? 1 : -1;
     }
+    return { query, sortQuery };
+  }
+
+  static async getManageableUsersWithFilters(
+    managerUserId,
+    filters = {},
+    page = 1,
+    limit = 10,
+    search = '',
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    isOwner = false
+  ) {
+    const { query, sortQuery } = await this.buildManageableUsersQuery(managerUserId, filters, search, sortBy, sortOrder, isOwner);
+    let companyList = []
+    if (isOwner) {
+      companyList = await Company.find({ companyType: 'WHITELABEL' }).select('companyId name').lean();
+    }
 
     let totalData = await User.countDocuments(query);
     if (isOwner){
@@ -910,8 +932,8 @@ class WalletManagementService {
   }
 
   // Get wallet transaction history
-static async getWalletHistory(userId, companyId, filters = {}, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc') {
-  try {
+// Query and sort for the transactions a user sent or received
+static buildWalletHistoryQuery(userId, companyId, filters = {}, sortBy = 'createdAt', sortOrder = 'desc') {
     const query = {
       companyId,
       $or: [
@@ -932,6 +954,12 @@ static async getWalletHistory(userId, companyId, filters = {}, page = 1, limit =
 
     let sortQuery = {};
     sortQuery[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    return { query, sortQuery };
+}
+
+static async getWalletHistory(userId, companyId, filters = {}, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc') {
+  try {
+    const { query, sortQuery } = this.buildWalletHistoryQuery(userId, companyId, filters, sortBy, sortOrder);
     // Step 1: Fetch transactions
      const totalData = await WalletManagement.countDocuments(query);
     const history = await WalletManagement.find(query).sort(sortQuery).skip((page - 1) * limit).limit(limit).lean(); // Get plain objects
@@ -987,63 +1015,27 @@ static async getWalletHistory(userId, companyId, filters = {}, page = 1, limit =
     }
   }
 
-  // Get retailer's customer statistics
+  // Get retailer's customer statistics, recounted the same way as by the expiry job
   static async getRetailerCustomerStats(retailerId, companyId) {
     try {
+      // warrantyExpiryService loads this module, so it is only required once it is needed
+      const { refreshWarrantyStats } = require('./services/warrantyExpiryService');
       const retailer = await User.findOne({ userId: retailerId });
       if (!retailer) throw new Error('Retailer not found');
 
-      // Get customer count from database
-      const customerCount = await Customer.countDocuments({
-        retailerId,
-        companyId,
-        isActive: true
-      });
-
-      // Get active warranties count
-      const activeWarranties = await Customer.countDocuments({
-        retailerId,
-        companyId,
-        isActive: true,
-        'warrantyDetails.expiryDate': { $gte: new Date() }
-      });
-
-      // Get expired warranties count
-      const expiredWarranties = await Customer.countDocuments({
-        retailerId,
-        companyId,
-        isActive: true,
-        'warrantyDetails.expiryDate': { $lt: new Date() }
-      });
-
-      // Update user's eWarrantyStats if they don't match
-      if (retailer.eWarrantyStats.totalWarranties !== customerCount) {
-        await User.updateOne(
-          { userId: retailerId },
-          {
-            $set: {
-              'eWarrantyStats.totalWarranties': customerCount,
-              'eWarrantyStats.activeWarranties': activeWarranties,
-              'eWarrantyStats.expiredWarranties': expiredWarranties
-            }
-          }
-        );
-      }
+      const stats = await refreshWarrantyStats(retailerId);
 
       return {
         retailerId,
         retailerName: retailer.name,
         walletBalance: retailer.walletBalance,
         customerStats: {
-          totalCustomers: customerCount,
-          activeWarranties,
-          expiredWarranties
+          totalCustomers: stats.totalWarranties,
+          activeWarranties: stats.activeWarranties,
+          expiredWarranties: stats.expiredWarranties,
+          cancelledWarranties: stats.cancelledWarranties
         },
-        eWarrantyStats: {
-          totalWarranties: customerCount,
-          activeWarranties,
-          expiredWarranties
-        }
+        eWarrantyStats: stats
       };
     } catch (error) {
       throw new Error(`Error getting retailer customer stats: ${error.message}`);
@@ -1059,15 +1051,8 @@ static async getWalletHistory(userId, companyId, filters = {}, page = 1, limit =
       const retailerId = customer.retailerId;
       
       if (status === 'EXPIRED') {
-        await User.updateOne(
-          { userId: retailerId },
-          {
-            $inc: {
-              'eWarrantyStats.activeWarranties': -1,
-              'eWarrantyStats.expiredWarranties': 1
-            }
-          }
-        );
+        const { refreshStatsOwners } = require('./services/warrantyExpiryService');
+        await refreshStatsOwners(customer);
       } else if (status === 'CLAIMED') {
         await User.updateOne(
           { userId: retailerId },
@@ -1119,27 +1104,35 @@ class CustomerService {
       }
 
 
-      // Calculate warranty start and end dates
-      const invoiceDate = new Date(customerData.invoiceDetails.invoiceDate);
+      // The premium is priced server-side from the category slab; a different client amount is rejected
+      const pricing = await PremiumService.verifyPremium(customerData, companyId);
+      const identifiers = await DeviceIdentifierService.validateProductIdentifiers(customerData.productDetails, companyId);
+      await CustomerProfileService.assertInvoiceAvailable(
+        customerData.invoiceDetails.invoiceNumber,
+        companyId,
+        customerData.customerDetails?.mobile
+      );
+
+      // Start date follows the manufacturer warranty of the product (or the invoice date for immediate-start plans)
       const warrantyPeriod = customerData.warrantyDetails.warrantyPeriod || 12; // default 12 months
-      
-      // Start date: 1 year after invoice date
-      const startDate = new Date(invoiceDate);
-      startDate.setFullYear(startDate.getFullYear() + 1);
-      
-      // End date: start date + warranty period months
-      const expiryDate = new Date(startDate);
-      expiryDate.setMonth(expiryDate.getMonth() + warrantyPeriod);
-      
+      const coverage = await WarrantyStartService.calculateWarrantyDates({
+        invoiceDate: customerData.invoiceDetails.invoiceDate,
+        warrantyPeriod,
+        productDetails: customerData.productDetails,
+        planId: customerData.warrantyDetails.planId
+      }, companyId);
+
       // Update warranty details with calculated dates
       const updatedWarrantyDetails = {
         ...customerData.warrantyDetails,
-        startDate,
-        expiryDate
+        premiumAmount: pricing.premiumAmount,
+        startRule: coverage.startRule,
+        startDate: coverage.startDate,
+        expiryDate: coverage.expiryDate
       };
 
       // Use a key to create warranty (retailer's key, not support employee's)
-      const premiumAmount = customerData.warrantyDetails.premiumAmount;
+      const premiumAmount = pricing.premiumAmount;
       const { warrantyKey, walletRecord } = await WalletManagementService.useWalletForWarranty(
         retailerId,
         premiumAmount,
@@ -1154,17 +1147,33 @@ class CustomerService {
       let hierarchyPath = [];
       hierarchyPath = [...retailerHierarchy.hierarchyPath];
 
+      // Link the warranty to the buyer's profile (created on their first purchase)
+      const profile = await CustomerProfileService.findOrCreateProfile(customerData.customerDetails, companyId, actualCreator);
+
       // Create customer
       const customer = new Customer({
         customerId: `${company.name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         warrantyKey,
         companyId,
         retailerId,
+        profileId: profile.profileId,
         customerDetails: customerData.customerDetails,
-        productDetails: customerData.productDetails,
-        invoiceDetails: customerData.invoiceDetails,
-        productImages: customerData.productImages,
+        productDetails: {
+          ...customerData.productDetails,
+          ...identifiers,
+          categoryId: pricing.categoryId,
+          orignalWarranty: coverage.manufacturerWarrantyMonths
+        },
+        invoiceDetails: {
+          ...customerData.invoiceDetails,
+          invoiceImageVariants: await ImageService.buildImageVariants(customerData.invoiceDetails.invoiceImage)
+        },
+        productImages: {
+          ...customerData.productImages,
+          variants: await ImageService.buildProductImageVariants(customerData.productImages)
+        },
         warrantyDetails: updatedWarrantyDetails,
+        coveragePeriods: [buildOriginalPeriod(warrantyKey, updatedWarrantyDetails, actualCreator)],
         
         hierarchy: {
           retailer: {
@@ -1196,16 +1205,15 @@ class CustomerService {
 
       return customer;
     } catch (error) {
+      if (error.isOperational) throw error; // keep the status of pricing errors
       throw new Error(`Error creating customer: ${error.message}`);
     }
   }
 
-  // Get customers accessible to a user based on hierarchy and permissions
-  static async getAccessibleCustomers(userId, companyId, userType, filters = {},page = 1, limit = 10, search = '',sortBy = 'createdDate', sortOrder = 'desc') {
-    try {
+  // Query and sort for the customers a user can see; null when the user has no access at all
+  static async buildAccessibleCustomersQuery(userId, companyId, userType, filters = {}, search = '', sortBy = 'createdDate', sortOrder = 'desc') {
       const user = await User.findOne({ userId });
-      if (!user) return [];
-      let customers = []
+      if (!user) return null;
       let query = {};
       if (search) {
       const searchTerm = search.trim();
@@ -1240,7 +1248,6 @@ class CustomerService {
       } else {
         sortQuery[sortBy] = sortOrder === 'asc' ? 1 : -1;
       }
-      const limitedFields = "warrantyKey companyId customerId status customerDetails.name customerDetails.address.city customerDetails.address.state productDetails.modelName productDetails.category warrantyDetails.premiumAmount warrantyDetails.warrantyPeriod dates.createdDate isActive notes"
       if(userType == "RETAILER") {
         query.retailerId = userId;
         query.companyId = companyId;
@@ -1263,13 +1270,13 @@ class CustomerService {
         if (user.userType.includes('SUPPORT_EMPLOYEE')) {
           const assignments = await SupportAssignmentService.getUserAssignments(userId);
           const hasPermission = assignments.some(a => a.effectivePermissions?.canViewCustomers);
-          if (!hasPermission) return [];
+          if (!hasPermission) return null;
 
           const manageableUsers = await this.getSupportEmployeeManageableUsers(userId);
         } else {
           // Regular hierarchy access
           accessibleUserIds = await UserHierarchy.distinct('userId', { 'hierarchyPath.userId': userId });
-          if (!accessibleUserIds) return [];
+          if (!accessibleUserIds) return null;
           accessibleUserIds.push(userId);
           // Add cross-company access for main company users
           if (user.userType.startsWith('MAIN_')) {
@@ -1293,7 +1300,28 @@ class CustomerService {
         }
         
       }
-      customers = await Customer.find(query).sort(sortQuery).skip((page - 1) * limit).limit(limit).select(limitedFields).lean();
+      return { query, sortQuery };
+  }
+
+  // Get customers accessible to a user based on hierarchy and permissions
+  static async getAccessibleCustomers(userId, companyId, userType, filters = {},page = 1, limit = 10, search = '',sortBy = 'createdDate', sortOrder = 'desc') {
+    try {
+      const access = await this.buildAccessibleCustomersQuery(userId, companyId, userType, filters, search, sortBy, sortOrder);
+      if (!access) return [];
+      const { query, sortQuery } = access;
+      const limitedFields = "warrantyKey companyId customerId profileId status customerDetails.name customerDetails.address.city customerDetails.address.state productDetails.modelName productDetails.category productImages.variants.frontImage.thumbnail warrantyDetails.premiumAmount warrantyDetails.warrantyPeriod dates.createdDate isActive notes cancellation.isCancelled"
+      const customers = await Customer.find(query).sort(sortQuery).skip((page - 1) * limit).limit(limit).select(limitedFields).lean();
+
+      // Signed URLs of the front image thumbnails, so list views can show them without a request per row
+      // (storageService loads this module, so it is only required once it is needed)
+      const StorageService = require('./services/storageService');
+      const thumbnailUrls = await StorageService.getDownloadUrls(
+        customers.map(customer => customer.productImages?.variants?.frontImage?.thumbnail).filter(Boolean)
+      );
+      customers.forEach(customer => {
+        customer.thumbnailUrl = thumbnailUrls[customer.productImages?.variants?.frontImage?.thumbnail]?.url || null;
+      });
+
       let companyList = []
       if(userType == "MAIN_OWNER"){
         companyList = await Company.find({ companyType: 'WHITELABEL' }).select('companyId name').lean();
@@ -1326,8 +1354,9 @@ class CustomerService {
     }
   }
 
-  // Update customer (with support employee permission checks)
-  static async updateCustomer(customerId, updateData, updatedBy, companyId) {
+  // Update customer (with support employee permission checks). Every edit is stored as a field-level
+  // revision; sensitive fields need a reason and may be held for the parent's approval.
+  static async updateCustomer(customerId, updateData, updatedBy, companyId, reason = null) {
     try {
       const customer = await Customer.findOne({ customerId });
       const updater = await User.findOne({ userId: updatedBy });
@@ -1349,12 +1378,38 @@ class CustomerService {
         }
       }
 
-      const oldData = customer.toObject();
-      
+      // Replaced images bring their stored thumbnails and previews along
+      if (updateData.productImages) {
+        const productImages = { ...customer.toObject().productImages, ...updateData.productImages };
+        productImages.variants = await ImageService.buildProductImageVariants(productImages);
+        updateData = { ...updateData, productImages };
+      }
+      if (updateData.invoiceDetails?.invoiceImage) {
+        updateData = {
+          ...updateData,
+          invoiceDetails: {
+            ...updateData.invoiceDetails,
+            invoiceImageVariants: await ImageService.buildImageVariants(updateData.invoiceDetails.invoiceImage)
+          }
+        };
+      }
+
+      const { applied, held, approverId } = await CustomerHistoryService.prepareEdit(customer, updateData, updatedBy, reason);
+      if (applied.length === 0 && held.length === 0) {
+        return { customer, revision: null, pendingRevision: null };
+      }
+
       // Update customer
-      Object.assign(customer, updateData);
-      customer.dates.lastModifiedDate = new Date();
-      await customer.save();
+      if (applied.length > 0) {
+        customer.dates.lastModifiedDate = new Date();
+        await customer.save();
+      }
+      const revision = applied.length > 0
+        ? await CustomerHistoryService.recordRevision(customer, applied, updatedBy, { reason })
+        : null;
+      const pendingRevision = held.length > 0
+        ? await CustomerHistoryService.recordRevision(customer, held, updatedBy, { reason, approverId })
+        : null;
 
       // Create audit log with proper attribution
       const onBehalfOf = (updater.userType.includes('SUPPORT_EMPLOYEE') && updatedBy !== customer.retailerId)
@@ -1366,14 +1421,19 @@ class CustomerService {
         'UPDATE',
         'CUSTOMER',
         customerId,
-        oldData,
-        customer.toObject(),
+        Object.fromEntries(applied.map(change => [change.path, change.oldValue])),
+        {
+          ...Object.fromEntries(applied.map(change => [change.path, change.newValue])),
+          reason,
+          pendingRevisionId: pendingRevision?.revisionId || null
+        },
         companyId,
         onBehalfOf
       );
 
-      return customer;
+      return { customer, revision, pendingRevision };
     } catch (error) {
+      if (error.isOperational) throw error; // keep the status of identifier and approval errors
       throw new Error(`Error updating customer: ${error.message}`);
     }
   }
@@ -1488,24 +1548,15 @@ class ValidationService {
   // Validate customer data (with support employee considerations)
   static async validateCustomerData(customerData, companyId, creatingUserId = null) {
     try {
-      const { invoiceDetails, productDetails } = customerData;
+      const { invoiceDetails, productDetails, customerDetails } = customerData;
 
-      // Check invoice number uniqueness within company
-      const invoiceExists = await Customer.findOne({
-        'invoiceDetails.invoiceNumber': invoiceDetails.invoiceNumber,
-        companyId
-      });
-      if (invoiceExists) {
-        throw new Error('Invoice number already exists in this company');
-      }
+      // An invoice number may repeat within the company only for the same buyer
+      await CustomerProfileService.assertInvoiceAvailable(invoiceDetails.invoiceNumber, companyId, customerDetails?.mobile);
 
-      // Check IMEI uniqueness globally
-      const imeiExists = await Customer.findOne({
-        'productDetails.serialNumber': productDetails.serialNumber
-      });
-      if (imeiExists) {
-        throw new Error('IMEI already exists');
-      }
+      // Check IMEI/serial format for the category and that no other warranty uses them
+      await DeviceIdentifierService.validateProductIdentifiers(productDetails, companyId);
+
+      await PremiumService.verifyPremium(customerData, companyId);
 
       // If creator is support employee, validate they can create in this company
       if (creatingUserId) {
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const { Company, Customer, WarrantyPlan } = require('../schemas');
+const { CompanyService, CustomerService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { loadFile, parseHostList } = require('../utils/fileLoader');
+const { sendMail } = require('../utils/mailer');
+
+// Certificates hold customer details, so they are kept outside the statically served public/ folder
+const CERTIFICATE_DIR = path.join(process.cwd(), 'storage', 'certificates');
+
+const DEFAULT_TEMPLATE = {
+  title: 'Extended Warranty Certificate',
+  accentColor: '#1F4E79',
+  headerText: null,
+  footerText: null,
+  termsText: null,
+  showPremium: false
+};
+const TEMPLATE_FIELDS = Object.keys(DEFAULT_TEMPLATE);
+
+const COVERAGE_LABELS = {
+  extendedWarranty: 'Extended Warranty',
+  accidentalDamage: 'Accidental Damage',
+  liquidDamage: 'Liquid Damage',
+  screenDamage: 'Screen Damage',
+  theft: 'Theft'
+};
+
+const getTemplate = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.certificateTemplate').lean();
+  if (!company) throw new NotFoundError('Company not found');
+
+  const configured = company.settings?.certificateTemplate || {};
+  return TEMPLATE_FIELDS.reduce((template, field) => {
+    template[field] = configured[field] !== undefined ? configured[field] : DEFAULT_TEMPLATE[field];
+    return template;
+  }, {});
+};
+
+const updateTemplate = async (companyId, templateData, updatedBy) => {
+  const oldTemplate = await getTemplate(companyId);
+  const template = { ...oldTemplate };
+  TEMPLATE_FIELDS.forEach(field => {
+    if (templateData[field] !== undefined) template[field] = templateData[field];
+  });
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.certificateTemplate': template, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { certificateTemplate: oldTemplate },
+    { certificateTemplate: template },
+    companyId
+  );
+
+  return template;
+};
+
+const getSigningSecret = () => process.env.CERTIFICATE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Short HMAC printed in the QR code so certificate numbers cannot be enumerated on the verify endpoint
+const signCertificateNumber = (certificateNumber) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(certificateNumber).digest('hex').substr(0, 20);
+
+const getVerificationUrl = (certificateNumber) => {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  const query = new URLSearchParams({ certificateNumber, signature: signCertificateNumber(certificateNumber) });
+  return `${baseUrl}/api/public/certificates/verify?${query}`;
+};
+
+const generateCertificateNumber = () =>
+  `EWC_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '-');
+
+// pdfkit only embeds PNG/JPEG, so the logo is normalised to PNG; a missing or broken logo is left out.
+// Logos given as URLs are fetched only from the hosts in CERTIFICATE_LOGO_HOSTS.
+const loadLogo = async (logoUrl) => {
+  if (!logoUrl) return null;
+  try {
+    const buffer = await loadFile(logoUrl, { allowedHosts: parseHostList(process.env.CERTIFICATE_LOGO_HOSTS) });
+    return await sharp(buffer).resize(240, 80, { fit: 'inside' }).png().toBuffer();
+  } catch (error) {
+    console.error(`Could not load company logo ${logoUrl}:`, error.message);
+    return null;
+  }
+};
+
+const getCoverageLines = (plan) => {
+  if (!plan?.coverage) return [];
+  const lines = Object.keys(COVERAGE_LABELS)
+    .filter(key => plan.coverage[key])
+    .map(key => COVERAGE_LABELS[key]);
+  (plan.coverage.other || []).forEach(other => {
+    lines.push(other.description ? `${other.coverageType}: ${other.description}` : other.coverageType);
+  });
+  return lines;
+};
+
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw(doc).then(() => doc.end()).catch(reject);
+});
+
+const drawSection = (doc, title, rows, accentColor) => {
+  doc.moveDown(0.8);
+  doc.fontSize(12).fillColor(accentColor).font('Helvetica-Bold').text(title);
+  doc.moveTo(doc.page.margins.left, doc.y + 2)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+    .strokeColor(accentColor).lineWidth(0.5).stroke();
+  doc.moveDown(0.4);
+  rows.forEach(([label, value]) => {
+    doc.fontSize(10).fillColor('#555555').font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.fillColor('#000000').font('Helvetica').text(value === null || value === undefined || value === '' ? '-' : String(value));
+  });
+};
+
+// Build the certificate PDF for a customer warranty
+const buildCertificatePdf = async ({ customer, company, plan, template, certificateNumber }) => {
+  const [logo, qrCode] = await Promise.all([
+    loadLogo(company.logo),
+    QRCode.toBuffer(getVerificationUrl(certificateNumber), { width: 220, margin: 1 })
+  ]);
+  const { customerDetails = {}, productDetails = {}, warrantyDetails = {}, invoiceDetails = {} } = customer;
+  const accentColor = template.accentColor;
+
+  return renderPdf(async (doc) => {
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    if (logo) doc.image(logo, doc.page.margins.left, 40, { fit: [160, 55] });
+    doc.fontSize(10).fillColor('#555555').font('Helvetica')
+      .text(company.name, doc.page.margins.left, 45, { width: contentWidth, align: 'right' });
+    if (company.email) doc.text(company.email, { width: contentWidth, align: 'right' });
+    if (company.phone) doc.text(company.phone, { width: contentWidth, align: 'right' });
+
+    doc.y = 115;
+    doc.fontSize(20).fillColor(accentColor).font('Helvetica-Bold')
+      .text(template.title, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' });
+    doc.fontSize(10).fillColor('#000000').font('Helvetica')
+      .text(`Certificate No: ${certificateNumber}`, { width: contentWidth, align: 'center' });
+    if (template.headerText) {
+      doc.moveDown(0.5).fontSize(10).fillColor('#333333').text(template.headerText, { width: contentWidth, align: 'center' });
+    }
+
+    drawSection(doc, 'Warranty', [
+      ['Warranty Key', customer.warrantyKey],
+      ['Plan', warrantyDetails.planName || plan?.planName],
+      ['Period', warrantyDetails.warrantyPeriod ? `${warrantyDetails.warrantyPeriod} months` : null],
+      ['Start Date', formatDate(warrantyDetails.startDate)],
+      ['Expiry Date', formatDate(warrantyDetails.expiryDate)],
+      ...(template.showPremium ? [['Premium', warrantyDetails.premiumAmount]] : [])
+    ], accentColor);
+
+    drawSection(doc, 'Customer', [
+      ['Name', customerDetails.name],
+      ['Mobile', customerDetails.mobile],
+      ['Email', customerDetails.email],
+      ['Address', [customerDetails.address?.street, customerDetails.address?.city, customerDetails.address?.state, customerDetails.address?.zipCode]
+        .filter(Boolean).join(', ')]
+    ], accentColor);
+
+    drawSection(doc, 'Product', [
+      ['Brand', productDetails.brand],
+      ['Model', productDetails.modelName],
+      ['Category', productDetails.category],
+      ['Serial Number / IMEI', productDetails.serialNumber],
+      ...(productDetails.imei2 ? [['Second IMEI', productDetails.imei2]] : []),
+      ['Invoice Number', invoiceDetails.invoiceNumber],
+      ['Invoice Date', formatDate(invoiceDetails.invoiceDate)]
+    ], accentColor);
+
+    const coverage = getCoverageLines(plan);
+    drawSection(doc, 'Coverage', coverage.length
+      ? coverage.map(line => ['Covered', line])
+      : [['Covered', plan?.planDescription || 'As per the warranty plan terms']], accentColor);
+
+    const qrTop = doc.y + 20;
+    doc.image(qrCode, doc.page.margins.left, qrTop, { width: 100 });
+    doc.fontSize(9).fillColor('#555555').font('Helvetica')
+      .text('Scan to verify this certificate online.', doc.page.margins.left + 115, qrTop + 35, { width: contentWidth - 115 });
+    doc.text(`Issued on ${formatDate(new Date())}`, { width: contentWidth - 115 });
+    doc.y = qrTop + 110;
+
+    if (template.termsText) {
+      doc.fontSize(8).fillColor('#333333').text(template.termsText, doc.page.margins.left, doc.y, { width: contentWidth });
+    }
+    if (template.footerText) {
+      doc.moveDown(0.5).fontSize(8).fillColor('#777777')
+        .text(template.footerText, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' });
+    }
+  });
+};
+
+const assertCertificateAccess = async (userId, customerId) => {
+  const canAccess = await CustomerService.canAccessCustomer(userId, customerId);
+  if (!canAccess) throw new AuthorizationError('No permission to access this customer');
+};
+
+const getCertificatePath = (certificateNumber) => path.join(CERTIFICATE_DIR, `${certificateNumber}.pdf`);
+
+// Render and store the certificate; the number is kept across regenerations so printed QR codes stay valid
+const generateCertificate = async (customerId, generatedBy) => {
+  const customer = await Customer.findOne({ customerId }).lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+
+  const [company, template, plan] = await Promise.all([
+    Company.findOne({ companyId: customer.companyId }).select('name email phone logo').lean(),
+    getTemplate(customer.companyId),
+    customer.warrantyDetails?.planId
+      ? WarrantyPlan.findOne({ planId: customer.warrantyDetails.planId }).lean()
+      : null
+  ]);
+  if (!company) throw new NotFoundError('Company not found');
+
+  const certificateNumber = customer.certificate?.certificateNumber || generateCertificateNumber();
+  const pdf = await buildCertificatePdf({ customer, company, plan, template, certificateNumber });
+
+  await fs.promises.mkdir(CERTIFICATE_DIR, { recursive: true });
+  await fs.promises.writeFile(getCertificatePath(certificateNumber), pdf);
+
+  const updated = await Customer.findOneAndUpdate(
+    { customerId },
+    {
+      $set: {
+        'certificate.certificateNumber': certificateNumber,
+        'certificate.filePath': path.relative(process.cwd(), getCertificatePath(certificateNumber)),
+        'certificate.generatedAt': new Date(),
+        'certificate.generatedBy': generatedBy
+      },
+      $inc: { 'certificate.version': 1 }
+    },
+    { new: true }
+  ).select('customerId companyId certificate').lean();
+
+  return { certificate: updated.certificate, companyId: updated.companyId, pdf };
+};
+
+const regenerateCertificate = async (customerId, userId) => {
+  await assertCertificateAccess(userId, customerId);
+  const { certificate, companyId } = await generateCertificate(customerId, userId);
+
+  await CompanyService.createAuditLog(
+    userId,
+    'UPDATE',
+    'CUSTOMER',
+    customerId,
+    null,
+    { certificate },
+    companyId
+  );
+
+  return certificate;
+};
+
+// Stored PDF, generated on first request for warranties created before certificates existed.
+// No access check; callers establish that the requester may see the warranty.
+const loadCertificate = async (customerId, generatedBy) => {
+  const customer = await Customer.findOne({ customerId }).select('customerId certificate').lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+
+  const { certificateNumber } = customer.certificate || {};
+  if (certificateNumber) {
+    try {
+      const pdf = await fs.promises.readFile(getCertificatePath(certificateNumber));
+      return { certificate: customer.certificate, pdf };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return await generateCertificate(customerId, generatedBy);
+};
+
+// Drop the stored PDF (it carries the owner's name); the number stays and the next download renders it again
+const discardCertificatePdf = async (certificateNumber) => {
+  try {
+    await fs.promises.unlink(getCertificatePath(certificateNumber));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Stored PDF for download
+const getCertificate = async (customerId, userId) => {
+  await assertCertificateAccess(userId, customerId);
+  return await loadCertificate(customerId, userId);
+};
+
+const emailCertificate = async (customerId, userId) => {
+  const { certificate, pdf } = await getCertificate(customerId, userId);
+
+  const customer = await Customer.findOne({ customerId })
+    .select('companyId warrantyKey customerDetails.name customerDetails.email')
+    .lean();
+  const email = customer.customerDetails?.email;
+  if (!email) throw new ValidationError('Customer has no email address');
+
+  const company = await Company.findOne({ companyId: customer.companyId }).select('name').lean();
+  const sent = await sendMail({
+    to: email,
+    subject: `Your warranty certificate ${certificate.certificateNumber}`,
+    text: `Dear ${customer.customerDetails.name},\n\nPlease find attached the certificate for warranty ${customer.warrantyKey}.\n\n${company?.name || ''}`,
+    attachments: [{ filename: `${certificate.certificateNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+  });
+  if (!sent) throw new ValidationError('Email is not configured on this server');
+
+  const emailedAt = new Date();
+  await Customer.updateOne(
+    { customerId },
+    { $set: { 'certificate.emailedAt': emailedAt, 'certificate.emailedTo': email } }
+  );
+
+  return { certificateNumber: certificate.certificateNumber, emailedTo: email, emailedAt };
+};
+
+// Public verification behind the QR code; only confirms validity and non-personal warranty details
+const verifyCertificate = async (certificateNumber, signature) => {
+  const expected = signCertificateNumber(certificateNumber);
+  const valid = typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) throw new NotFoundError('Certificate not found');
+
+  const customer = await Customer.findOne({ 'certificate.certificateNumber': certificateNumber })
+    .select('companyId status isActive cancellation.isCancelled certificate.generatedAt productDetails.brand productDetails.modelName warrantyDetails.planName warrantyDetails.startDate warrantyDetails.expiryDate')
+    .lean();
+  if (!customer) throw new NotFoundError('Certificate not found');
+
+  const company = await Company.findOne({ companyId: customer.companyId }).select('name').lean();
+  const now = new Date();
+  const expiryDate = customer.warrantyDetails?.expiryDate;
+
+  return {
+    certificateNumber,
+    issuedBy: company?.name || null,
+    issuedAt: customer.certificate.generatedAt,
+    status: customer.cancellation?.isCancelled
+      ? 'CANCELLED'
+      : !customer.isActive || customer.status === 0
+        ? 'INACTIVE'
+        : (expiryDate && now > new Date(expiryDate) ? 'EXPIRED' : 'VALID'),
+    product: {
+      brand: customer.productDetails?.brand || null,
+      modelName: customer.productDetails?.modelName || null
+    },
+    planName: customer.warrantyDetails?.planName || null,
+    startDate: customer.warrantyDetails?.startDate || null,
+    expiryDate: expiryDate || null
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getTemplate,
+  updateTemplate,
+  getVerificationUrl,
+  buildCertificatePdf,
+  generateCertificate,
+  regenerateCertificate,
+  loadCertificate,
+  discardCertificatePdf,
+  getCertificate,
+  emailCertificate,
+  verifyCertificate
+};
@@ -0,0 +1,117 @@
+const { Claim, Customer, WarrantyPlan } = require('../schemas');
+const { CustomerService } = require('../services');
+const { NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { getCoveragePeriods, findCoveragePeriod } = require('./coveragePeriodService');
+
+// Claim type → WarrantyPlan.coverage flag
+const CLAIM_TYPE_COVERAGE = {
+  ACCIDENTAL_DAMAGE: 'accidentalDamage',
+  LIQUID_DAMAGE: 'liquidDamage',
+  SCREEN_DAMAGE: 'screenDamage',
+  THEFT: 'theft'
+};
+
+// Claims still being worked on; REJECTED and COMPLETED claims are closed
+const OPEN_CLAIM_STATUSES = ['PENDING', 'IN_PROGRESS', 'APPROVED'];
+
+// OTHER claims are accepted by plans with extended warranty or any custom coverage entry
+const isClaimTypeCovered = (plan, claimType) => {
+  const coverage = plan.coverage || {};
+  if (claimType === 'OTHER') {
+    return Boolean(coverage.extendedWarranty) || (coverage.other || []).length > 0;
+  }
+  const flag = CLAIM_TYPE_COVERAGE[claimType];
+  return Boolean(flag && coverage[flag]);
+};
+
+// Warranties sold without a plan are priced from the category slab and cover the stored period
+// as an extended warranty only; there is no plan to grant damage or theft cover
+const getStoredPlan = (customer, period) => ({
+  planId: null,
+  planName: period?.planName || customer.warrantyDetails?.planName || 'Extended warranty',
+  duration: period?.durationMonths || customer.warrantyDetails?.warrantyPeriod || null,
+  coverage: { extendedWarranty: true },
+  eligibleCategories: []
+});
+
+// Find the customer warranty by customerId and/or warrantyKey
+const findWarranty = async ({ customerId, warrantyKey }) => {
+  const query = {};
+  if (customerId) query.customerId = customerId;
+  if (warrantyKey) query.warrantyKey = warrantyKey;
+  if (!customerId && !warrantyKey) return null;
+  return await Customer.findOne(query);
+};
+
+// Collect every reason a claim against this warranty would be refused
+const getIneligibilityReasons = async (customer, claimType, asOf = new Date()) => {
+  const reasons = [];
+
+  if (customer.status === 0 || !customer.isActive) {
+    reasons.push('Warranty is not active');
+  }
+
+  // Renewed warranties have several periods; the plan of the period in force decides coverage
+  const periods = getCoveragePeriods(customer);
+  const period = findCoveragePeriod(customer, asOf);
+  const startDate = periods.length ? new Date(periods[0].startDate) : customer.warrantyDetails?.startDate;
+  const expiryDate = periods.length ? new Date(periods[periods.length - 1].expiryDate) : customer.warrantyDetails?.expiryDate;
+  if (expiryDate && asOf > expiryDate) {
+    reasons.push(`Warranty expired on ${expiryDate.toISOString().split('T')[0]}`);
+  }
+  if (startDate && asOf < startDate) {
+    reasons.push(`Warranty coverage starts on ${startDate.toISOString().split('T')[0]}`);
+  }
+  const planId = period?.planId || customer.warrantyDetails?.planId;
+
+  const plan = planId ? await WarrantyPlan.findOne({ planId }).lean() : getStoredPlan(customer, period);
+  if (!plan) {
+    reasons.push('Warranty plan not found');
+  } else {
+    if (!isClaimTypeCovered(plan, claimType)) {
+      reasons.push(`Plan "${plan.planName}" does not cover ${claimType}`);
+    }
+    const category = customer.productDetails?.category;
+    if (plan.eligibleCategories?.length && category && !plan.eligibleCategories.includes(category)) {
+      reasons.push(`Plan "${plan.planName}" does not cover the ${category} category`);
+    }
+  }
+
+  const openClaim = await Claim.findOne({
+    customerId: customer.customerId,
+    claimStatus: { $in: OPEN_CLAIM_STATUSES },
+    isActive: true
+  }).select('claimId claimStatus').lean();
+  if (openClaim) {
+    reasons.push(`Claim ${openClaim.claimId} is already open (${openClaim.claimStatus}) on this warranty`);
+  }
+
+  return { reasons, plan, period };
+};
+
+// Check whether a claim of the given type can be filed against a warranty the user can access
+const checkClaimEligibility = async ({ customerId, warrantyKey, claimType }, userId) => {
+  const customer = await findWarranty({ customerId, warrantyKey });
+  if (!customer) throw new NotFoundError('Warranty not found');
+
+  const canAccess = await CustomerService.canAccessCustomer(userId, customer.customerId);
+  if (!canAccess) throw new AuthorizationError('No permission to file claims for this customer');
+
+  const { reasons, plan, period } = await getIneligibilityReasons(customer, claimType);
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    customer,
+    plan,
+    coveragePeriod: period
+  };
+};
+
+module.exports = {
+  CLAIM_TYPE_COVERAGE,
+  OPEN_CLAIM_STATUSES,
+  isClaimTypeCovered,
+  getIneligibilityReasons,
+  checkClaimEligibility
+};
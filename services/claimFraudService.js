@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Claim, Customer } = require('../schemas');
+const { NotFoundError } = require('../middleware/errorHandler');
+const StorageService = require('./storageService');
+
+const EARLY_CLAIM_DAYS = 7;
+const RETAILER_RATE_MULTIPLIER = 2; // flag retailers claiming at twice the company rate
+const RETAILER_MIN_CLAIMS = 5; // ...once they have enough claims for the rate to mean something
+const HASH_BANDS = 4; // 64-bit dHash split in 4 bands of 16 bits
+const NEAR_DUPLICATE_DISTANCE = HASH_BANDS - 1; // any closer pair shares at least one band
+
+const SIGNAL_WEIGHTS = {
+  REPEAT_SERIAL: 25, // per earlier claim on the device, capped at two
+  EARLY_CLAIM: 30,
+  HIGH_RETAILER_CLAIM_RATE: 20,
+  DUPLICATE_IMAGE: 40,
+  NEAR_DUPLICATE_IMAGE: 30
+};
+
+const getRiskLevel = (score) => {
+  if (score >= 60) return 'HIGH';
+  if (score >= 30) return 'MEDIUM';
+  return 'LOW';
+};
+
+// Difference hash: 9x8 grayscale thumbnail, one bit per horizontal gradient
+const computeDHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+const getHashBands = (dHash) => {
+  const size = dHash.length / HASH_BANDS;
+  return Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${dHash.substr(i * size, size)}`);
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Content and perceptual hashes of each damage image. Only files in storage are read; images that
+// cannot be hashed are returned with the reason, so the assessment shows what was not compared.
+const hashDamageImages = async (damageImages = []) => {
+  const hashes = [];
+  const unreadImages = [];
+  for (const url of damageImages) {
+    if (!StorageService.isFileRef(url)) {
+      unreadImages.push({ url, reason: 'Not a storage:// reference' });
+      continue;
+    }
+    try {
+      const buffer = await StorageService.readFile(url);
+      const dHash = await computeDHash(buffer);
+      hashes.push({
+        url,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        dHash,
+        bands: getHashBands(dHash)
+      });
+    } catch (error) {
+      unreadImages.push({ url, reason: error.message });
+    }
+  }
+  return { hashes, unreadImages };
+};
+
+const checkRepeatSerial = async (claim, customer) => {
+  const serialNumber = customer.productDetails?.serialNumber;
+  if (!serialNumber) return null;
+
+  // Other companies' claims are neither counted nor linked
+  const customerIds = await Customer.distinct('customerId', {
+    companyId: claim.companyId,
+    'productDetails.serialNumber': serialNumber
+  });
+  const earlierClaims = await Claim.find({
+    companyId: claim.companyId,
+    customerId: { $in: customerIds },
+    claimId: { $ne: claim.claimId }
+  }).select('claimId').lean();
+  if (earlierClaims.length === 0) return null;
+
+  return {
+    code: 'REPEAT_SERIAL',
+    description: `Device ${serialNumber} already has ${earlierClaims.length} other claim(s)`,
+    weight: SIGNAL_WEIGHTS.REPEAT_SERIAL * Math.min(earlierClaims.length, 2),
+    relatedClaimIds: earlierClaims.map(c => c.claimId)
+  };
+};
+
+const checkEarlyClaim = (claim, customer) => {
+  const startDate = customer.warrantyDetails?.startDate;
+  if (!startDate) return null;
+
+  const days = (new Date(claim.claimDate) - new Date(startDate)) / (24 * 60 * 60 * 1000);
+  if (days < 0 || days > EARLY_CLAIM_DAYS) return null;
+
+  return {
+    code: 'EARLY_CLAIM',
+    description: `Claim filed ${Math.floor(days)} day(s) after the warranty started`,
+    weight: SIGNAL_WEIGHTS.EARLY_CLAIM,
+    relatedClaimIds: []
+  };
+};
+
+// Claims per warranty sold by the retailer compared with the whole company
+const checkRetailerClaimRate = async (claim, customer) => {
+  if (!customer.retailerId) return null;
+
+  const retailerCustomerIds = await Customer.distinct('customerId', { retailerId: customer.retailerId });
+  const [retailerClaims, companyClaims, companyWarranties] = await Promise.all([
+    Claim.countDocuments({ customerId: { $in: retailerCustomerIds } }),
+    Claim.countDocuments({ companyId: claim.companyId }),
+    Customer.countDocuments({ companyId: claim.companyId })
+  ]);
+  if (retailerClaims < RETAILER_MIN_CLAIMS || companyWarranties === 0) return null;
+
+  const retailerRate = retailerClaims / retailerCustomerIds.length;
+  const companyRate = companyClaims / companyWarranties;
+  if (retailerRate < companyRate * RETAILER_RATE_MULTIPLIER) return null;
+
+  return {
+    code: 'HIGH_RETAILER_CLAIM_RATE',
+    description: `Retailer claim rate ${(retailerRate * 100).toFixed(1)}% vs company ${(companyRate * 100).toFixed(1)}%`,
+    weight: SIGNAL_WEIGHTS.HIGH_RETAILER_CLAIM_RATE,
+    relatedClaimIds: []
+  };
+};
+
+const checkDuplicateImages = async (claim, imageHashes) => {
+  if (imageHashes.length === 0) return [];
+
+  const candidates = await Claim.find({
+    claimId: { $ne: claim.claimId },
+    companyId: claim.companyId,
+    $or: [
+      { 'damageImageHashes.sha256': { $in: imageHashes.map(h => h.sha256) } },
+      { 'damageImageHashes.bands': { $in: imageHashes.flatMap(h => h.bands) } }
+    ]
+  }).select('claimId damageImageHashes').lean();
+
+  const exact = new Set();
+  const near = new Set();
+  candidates.forEach(candidate => {
+    candidate.damageImageHashes.forEach(other => {
+      imageHashes.forEach(own => {
+        if (own.sha256 === other.sha256) {
+          exact.add(candidate.claimId);
+        } else if (own.dHash && other.dHash && hammingDistance(own.dHash, other.dHash) <= NEAR_DUPLICATE_DISTANCE) {
+          near.add(candidate.claimId);
+        }
+      });
+    });
+  });
+  exact.forEach(claimId => near.delete(claimId));
+
+  const reasons = [];
+  if (exact.size > 0) {
+    reasons.push({
+      code: 'DUPLICATE_IMAGE',
+      description: `Damage images identical to ${exact.size} other claim(s)`,
+      weight: SIGNAL_WEIGHTS.DUPLICATE_IMAGE,
+      relatedClaimIds: [...exact]
+    });
+  }
+  if (near.size > 0) {
+    reasons.push({
+      code: 'NEAR_DUPLICATE_IMAGE',
+      description: `Damage images nearly identical to ${near.size} other claim(s)`,
+      weight: SIGNAL_WEIGHTS.NEAR_DUPLICATE_IMAGE,
+      relatedClaimIds: [...near]
+    });
+  }
+  return reasons;
+};
+
+// Compute the fraud signals of a claim and store its risk score with the reasons
+const assessClaim = async (claimId) => {
+  const claim = await Claim.findOne({ claimId }).lean();
+  if (!claim) throw new NotFoundError('Claim not found');
+
+  const customer = await Customer.findOne({ customerId: claim.customerId }).lean();
+  if (!customer) throw new NotFoundError('Warranty not found for this claim');
+
+  const { hashes: imageHashes, unreadImages } = await hashDamageImages(claim.damageImages);
+
+  const reasons = [
+    await checkRepeatSerial(claim, customer),
+    checkEarlyClaim(claim, customer),
+    await checkRetailerClaimRate(claim, customer),
+    ...(await checkDuplicateImages(claim, imageHashes))
+  ].filter(Boolean);
+
+  const riskScore = Math.min(reasons.reduce((sum, r) => sum + r.weight, 0), 100);
+  const fraudAssessment = {
+    riskScore,
+    riskLevel: getRiskLevel(riskScore),
+    reasons,
+    unreadImages,
+    assessedAt: new Date()
+  };
+
+  return await Claim.findOneAndUpdate(
+    { claimId },
+    { $set: { fraudAssessment, damageImageHashes: imageHashes } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  getRiskLevel,
+  computeDHash,
+  hammingDistance,
+  hashDamageImages,
+  assessClaim
+};
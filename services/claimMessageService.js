@@ -0,0 +1,273 @@
+const { Claim, ClaimMessage, Customer, StoredFile, User } = require('../schemas');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { getClaimViewerScope } = require('./claimWorkflowService');
+const NotificationService = require('./notificationService');
+const StorageService = require('./storageService');
+const { sendMail } = require('../utils/mailer');
+
+const VISIBILITY_RANK = { INTERNAL: 0, RETAILER: 1, CUSTOMER: 2 };
+const VISIBLE_TO = {
+  STAFF: ['INTERNAL', 'RETAILER', 'CUSTOMER'],
+  RETAILER: ['RETAILER', 'CUSTOMER']
+};
+const ATTACHMENT_PURPOSE = 'CLAIM_ATTACHMENT';
+
+const loadClaimForUser = async (claimId, userId) => {
+  const user = await User.findOne({ userId });
+  if (!user) throw new NotFoundError('User not found');
+
+  const claim = await Claim.findOne({ claimId, isActive: true });
+  if (!claim) throw new NotFoundError('Claim not found');
+
+  const scope = await getClaimViewerScope(user, claim);
+  return { user, claim, scope };
+};
+
+// Shape a message for a reader: unread flag instead of the raw readBy list
+const toThreadMessage = (message, userId) => {
+  const { readBy = [], _id, __v, ...rest } = message;
+  return {
+    ...rest,
+    isRead: readBy.some(r => r.userId === userId)
+  };
+};
+
+// Store an uploaded file in the claim company's folder for a user who can see the claim; returns
+// attachment metadata to post with a message. The file is private: readers get a signed URL
+// through getAttachmentUrl once it is attached to a message they can see.
+const saveAttachment = async (claimId, userId, part) => {
+  const { user, claim } = await loadClaimForUser(claimId, userId);
+  const file = await StorageService.saveUpload(part, {
+    companyId: claim.companyId,
+    ownerId: user.userId,
+    purpose: ATTACHMENT_PURPOSE
+  });
+  return {
+    url: file.ref,
+    fileName: file.originalName,
+    mimeType: file.contentType,
+    size: file.size
+  };
+};
+
+// Attachments of a new message must be files the author uploaded for this claim's company, so a
+// message cannot expose someone else's file to a wider audience
+const resolveAttachments = async (attachments, claim, authorId) => {
+  if (attachments.length === 0) return [];
+  if (!attachments.every(attachment => StorageService.isFileRef(attachment.url))) {
+    throw new ValidationError('Attachments must be uploaded through /messages/upload-attachment first');
+  }
+
+  const fileIds = [...new Set(attachments.map(attachment => StorageService.toFileId(attachment.url)))];
+  const files = await StoredFile.find({
+    fileId: { $in: fileIds },
+    ownerId: authorId,
+    companyId: claim.companyId,
+    purpose: ATTACHMENT_PURPOSE,
+    deletedAt: null
+  }).lean();
+  if (files.length !== fileIds.length) throw new ValidationError('Unknown attachment');
+
+  const byId = Object.fromEntries(files.map(file => [file.fileId, file]));
+  return attachments.map(attachment => {
+    const file = byId[StorageService.toFileId(attachment.url)];
+    return {
+      url: StorageService.toFileRef(file.fileId),
+      fileName: attachment.fileName || file.originalName,
+      mimeType: file.contentType,
+      size: file.size
+    };
+  });
+};
+
+// Everyone involved in the claim who can see a message of this visibility, except its author
+const getRecipients = async (claim, visibility, authorId) => {
+  const participantIds = new Set([
+    claim.processedBy,
+    ...(claim.statusHistory || []).map(h => h.changedBy),
+    ...(claim.sla?.escalations || []).map(e => e.userId),
+    ...(await ClaimMessage.distinct('authorId', { claimId: claim.claimId }))
+  ]);
+
+  const customer = await Customer.findOne({ customerId: claim.customerId })
+    .select('retailerId customerDetails.name customerDetails.email')
+    .lean();
+  if (customer?.retailerId) participantIds.add(customer.retailerId);
+  participantIds.delete(authorId);
+  participantIds.delete(null);
+  participantIds.delete(undefined);
+
+  const users = await User.find({ userId: { $in: [...participantIds] }, isActive: true })
+    .select('userId userType')
+    .lean();
+
+  const userIds = users
+    .filter(u => u.userType !== 'REPAIR_CENTER')
+    .filter(u => u.userType !== 'RETAILER' || (visibility !== 'INTERNAL' && u.userId === customer?.retailerId))
+    .map(u => u.userId);
+
+  return { userIds, customer };
+};
+
+const notifyParticipants = async (claim, message) => {
+  const { userIds, customer } = await getRecipients(claim, message.visibility, message.authorId);
+
+  await NotificationService.createNotifications(userIds, {
+    companyId: claim.companyId,
+    type: 'CLAIM_MESSAGE',
+    title: `New message on claim ${claim.claimId}`,
+    message: `${message.authorName}: ${message.body.substring(0, 200)}`,
+    entityType: 'CLAIM',
+    entityId: claim.claimId
+  });
+
+  // End customers have no login, they are told by email
+  if (message.visibility === 'CUSTOMER' && customer?.customerDetails?.email) {
+    try {
+      await sendMail({
+        to: customer.customerDetails.email,
+        subject: `Update on your warranty claim ${claim.claimId}`,
+        text: `Dear ${customer.customerDetails.name},\n\n${message.body}\n\nClaim: ${claim.claimId}`
+      });
+    } catch (error) {
+      console.error('Error emailing claim message to customer:', error);
+    }
+  }
+};
+
+const postMessage = async (claimId, authorId, { body, visibility, parentMessageId = null, attachments = [] }) => {
+  const { user, claim, scope } = await loadClaimForUser(claimId, authorId);
+
+  const messageVisibility = visibility || (scope === 'RETAILER' ? 'RETAILER' : 'INTERNAL');
+  if (!VISIBLE_TO[scope].includes(messageVisibility)) {
+    throw new AuthorizationError(`You cannot post ${messageVisibility} messages on this claim`);
+  }
+
+  if (parentMessageId) {
+    const parent = await ClaimMessage.findOne({ messageId: parentMessageId, claimId }).lean();
+    if (!parent || !VISIBLE_TO[scope].includes(parent.visibility)) {
+      throw new NotFoundError('Parent message not found');
+    }
+    // A reply must not expose an internal conversation to a wider audience
+    if (VISIBILITY_RANK[messageVisibility] > VISIBILITY_RANK[parent.visibility]) {
+      throw new ValidationError(`Replies to ${parent.visibility} messages cannot be ${messageVisibility}`);
+    }
+  }
+
+  const storedAttachments = await resolveAttachments(attachments, claim, user.userId);
+
+  const message = new ClaimMessage({
+    messageId: `MSG_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    claimId,
+    companyId: claim.companyId,
+    parentMessageId,
+    authorId: user.userId,
+    authorType: user.userType,
+    authorName: user.name,
+    body,
+    visibility: messageVisibility,
+    attachments: storedAttachments,
+    readBy: [{ userId: user.userId, readAt: new Date() }]
+  });
+  await message.save();
+
+  try {
+    await notifyParticipants(claim, message);
+  } catch (error) {
+    console.error('Error notifying claim participants:', error);
+  }
+
+  return toThreadMessage(message.toObject(), user.userId);
+};
+
+// Messages of a claim visible to the user, grouped into threads (oldest first)
+const getThread = async (claimId, userId, scope) => {
+  const messages = await ClaimMessage.find({ claimId, visibility: { $in: VISIBLE_TO[scope] } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byId = {};
+  const threads = [];
+  messages.forEach(message => {
+    byId[message.messageId] = { ...toThreadMessage(message, userId), replies: [] };
+  });
+  messages.forEach(message => {
+    const parent = message.parentMessageId && byId[message.parentMessageId];
+    if (parent) {
+      parent.replies.push(byId[message.messageId]);
+    } else {
+      threads.push(byId[message.messageId]);
+    }
+  });
+
+  return {
+    threads,
+    totalMessages: messages.length,
+    unreadCount: messages.filter(m => !m.readBy?.some(r => r.userId === userId)).length
+  };
+};
+
+const getClaimThread = async (claimId, userId) => {
+  const { scope } = await loadClaimForUser(claimId, userId);
+  return await getThread(claimId, userId, scope);
+};
+
+// Mark messages (default: the whole visible thread) as read by the user
+const markThreadRead = async (claimId, userId, messageIds = null) => {
+  const { scope } = await loadClaimForUser(claimId, userId);
+
+  const query = {
+    claimId,
+    visibility: { $in: VISIBLE_TO[scope] },
+    'readBy.userId': { $ne: userId }
+  };
+  if (messageIds) query.messageId = { $in: messageIds };
+
+  const result = await ClaimMessage.updateMany(query, {
+    $push: { readBy: { userId, readAt: new Date() } }
+  });
+
+  if (!messageIds) {
+    await NotificationService.markNotificationsRead(userId, { entityType: 'CLAIM', entityId: claimId });
+  }
+
+  return result.modifiedCount;
+};
+
+// Signed download URL of a message attachment, for users who can see the message
+const getAttachmentUrl = async (claimId, messageId, url, userId, options) => {
+  const { scope } = await loadClaimForUser(claimId, userId);
+  const message = await ClaimMessage.findOne({
+    messageId,
+    claimId,
+    visibility: { $in: VISIBLE_TO[scope] },
+    'attachments.url': url
+  }).lean();
+  if (!message || !StorageService.isFileRef(url)) throw new NotFoundError('Attachment not found');
+
+  return await StorageService.getDownloadUrl(url, options);
+};
+
+// Claim detail with its discussion; retailers do not see internal assessment data
+const getClaimDetail = async (claimId, userId) => {
+  const { claim, scope } = await loadClaimForUser(claimId, userId);
+
+  const claimData = claim.toObject();
+  if (scope === 'RETAILER') {
+    delete claimData.fraudAssessment;
+    delete claimData.damageImageHashes;
+    if (claimData.sla) delete claimData.sla.escalations;
+  }
+
+  const thread = await getThread(claimId, userId, scope);
+  return { claim: claimData, thread };
+};
+
+module.exports = {
+  saveAttachment,
+  postMessage,
+  getClaimThread,
+  markThreadRead,
+  getAttachmentUrl,
+  getClaimDetail
+};
@@ -0,0 +1,263 @@
+const { Claim, Company, Customer, User, UserHierarchy } = require('../schemas');
+const { SupportAssignmentService } = require('../services');
+const { NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const SORT_FIELDS = {
+  claimDate: 'claimDate',
+  claimAmount: 'claimAmount',
+  approvedAmount: 'approvedAmount',
+  claimStatus: 'claimStatus',
+  riskScore: 'fraudAssessment.riskScore'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const endOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const rangeFilter = (min, max) => {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length ? range : null;
+};
+
+// Which claims a user may list: a claim-level match plus, for hierarchy users,
+// the retailers whose customers' claims are visible (null = any retailer)
+const getClaimVisibilityScope = async (user, requestedCompanyId = null) => {
+  if (user.userType === 'REPAIR_CENTER') {
+    throw new AuthorizationError('Repair centers access claims through their jobs');
+  }
+
+  if (user.userType === 'MAIN_OWNER') {
+    const match = requestedCompanyId && requestedCompanyId !== 'ALL' ? { companyId: requestedCompanyId } : {};
+    return { match, retailerIds: null };
+  }
+
+  if (user.userType === 'RETAILER') {
+    return { match: { companyId: user.companyId }, retailerIds: [user.userId] };
+  }
+
+  if (user.userType.includes('SUPPORT_EMPLOYEE')) {
+    const assignments = await SupportAssignmentService.getUserAssignments(user.userId);
+    const canView = assignments.some(a =>
+      a.effectivePermissions?.canViewClaims || a.effectivePermissions?.canProcessClaims
+    );
+    if (!canView) throw new AuthorizationError('Support employee does not have permission to view claims');
+
+    const companyIds = new Set([user.companyId]);
+    assignments
+      .filter(a => a.assignmentType === 'COMPANY')
+      .forEach(a => a.assignedCompanies.forEach(c => companyIds.add(c.companyId)));
+    return { match: { companyId: { $in: [...companyIds] } }, retailerIds: null };
+  }
+
+  // Owners, employees and the sales chain see claims on customers of their downline
+  const downlineIds = await UserHierarchy.distinct('userId', { 'hierarchyPath.userId': user.userId });
+  const retailerIds = [user.userId, ...downlineIds];
+
+  if (user.userType.startsWith('MAIN_')) {
+    // Main company users additionally see all white-label companies
+    const whitelabelIds = await Company.distinct('companyId', { companyType: 'WHITELABEL' });
+    return {
+      match: {},
+      retailerIds,
+      companyWideIds: whitelabelIds
+    };
+  }
+
+  return { match: { companyId: user.companyId }, retailerIds };
+};
+
+// Whether one claim falls within the user's visibility scope, by the same rule as the claim list
+const isClaimVisible = async (user, claim) => {
+  const scope = await getClaimVisibilityScope(user);
+
+  const companyMatch = scope.match.companyId;
+  if (companyMatch !== undefined &&
+      !(companyMatch.$in ? companyMatch.$in.includes(claim.companyId) : companyMatch === claim.companyId)) {
+    return false;
+  }
+
+  if (!scope.retailerIds || scope.companyWideIds?.includes(claim.companyId)) return true;
+  const customer = await Customer.findOne({ customerId: claim.customerId }).select('retailerId').lean();
+  return Boolean(customer) && scope.retailerIds.includes(customer.retailerId);
+};
+
+const buildClaimMatch = (filters) => {
+  const match = { isActive: true };
+
+  if (filters.claimStatus?.length) match.claimStatus = { $in: filters.claimStatus };
+  if (filters.claimType?.length) match.claimType = { $in: filters.claimType };
+  if (filters.riskLevel) match['fraudAssessment.riskLevel'] = filters.riskLevel;
+  if (filters.minRiskScore !== undefined) match['fraudAssessment.riskScore'] = { $gte: filters.minRiskScore };
+
+  if (filters.startDate || filters.endDate) {
+    match.claimDate = {};
+    if (filters.startDate) match.claimDate.$gte = startOfDay(filters.startDate);
+    if (filters.endDate) match.claimDate.$lte = endOfDay(filters.endDate);
+  }
+
+  const claimAmount = rangeFilter(filters.minClaimAmount, filters.maxClaimAmount);
+  if (claimAmount) match.claimAmount = claimAmount;
+  const approvedAmount = rangeFilter(filters.minApprovedAmount, filters.maxApprovedAmount);
+  if (approvedAmount) match.approvedAmount = approvedAmount;
+
+  return match;
+};
+
+const buildCustomerMatch = (filters, scope) => {
+  const match = {};
+
+  if (scope.retailerIds) {
+    const visibleRetailers = { 'customer.retailerId': { $in: scope.retailerIds } };
+    if (scope.companyWideIds) {
+      match.$or = [visibleRetailers, { companyId: { $in: scope.companyWideIds } }];
+    } else {
+      Object.assign(match, visibleRetailers);
+    }
+  }
+
+  if (filters.retailerId) match['customer.retailerId'] = filters.retailerId;
+  if (filters.brand) match['customer.productDetails.brand'] = { $regex: `^${escapeRegex(filters.brand)}$`, $options: 'i' };
+  if (filters.categoryId) match['customer.productDetails.categoryId'] = filters.categoryId;
+
+  if (filters.search) {
+    const searchRegex = { $regex: escapeRegex(filters.search.trim()), $options: 'i' };
+    const searchMatch = [
+      { claimId: searchRegex },
+      { warrantyKey: searchRegex },
+      { claimDescription: searchRegex },
+      { 'customer.customerDetails.name': searchRegex },
+      { 'customer.customerDetails.mobile': searchRegex },
+      { 'customer.productDetails.serialNumber': searchRegex },
+      { 'customer.productDetails.imei2': searchRegex },
+      { 'customer.productDetails.modelName': searchRegex }
+    ];
+    match.$and = [...(match.$and || []), { $or: searchMatch }];
+  }
+
+  return match;
+};
+
+// Aggregation stages keeping only the claims on customers of the scope's retailers; none when every
+// retailer is visible. The joined customer is dropped again.
+const buildVisibilityStages = (scope) => {
+  if (!scope.retailerIds) return [];
+  return [
+    {
+      $lookup: {
+        from: 'customers',
+        localField: 'customerId',
+        foreignField: 'customerId',
+        as: 'customer'
+      }
+    },
+    { $unwind: '$customer' },
+    { $match: buildCustomerMatch({}, scope) },
+    { $unset: 'customer' }
+  ];
+};
+
+// Aggregation stages selecting the claims visible to the user that match the filters, each joined
+// with the customer fields the list shows
+const buildClaimPipeline = async (userId, filters = {}) => {
+  const user = await User.findOne({ userId });
+  if (!user) throw new NotFoundError('User not found');
+
+  // Filters only ever narrow the visibility scope, so a retailer outside the downline simply matches nothing
+  const scope = await getClaimVisibilityScope(user, filters.companyId);
+  const claimMatch = { ...buildClaimMatch(filters), ...scope.match };
+
+  if (filters.companyId && filters.companyId !== 'ALL' && user.userType !== 'MAIN_OWNER') {
+    const visibleCompanyIds = scope.match.companyId?.$in || (scope.match.companyId ? [scope.match.companyId] : null);
+    if (visibleCompanyIds && !visibleCompanyIds.includes(filters.companyId)) {
+      throw new AuthorizationError('No access to claims of this company');
+    }
+    claimMatch.companyId = filters.companyId;
+  }
+
+  return [
+    { $match: claimMatch },
+    {
+      $lookup: {
+        from: 'customers',
+        localField: 'customerId',
+        foreignField: 'customerId',
+        as: 'customer'
+      }
+    },
+    { $unwind: '$customer' },
+    { $project: { statusHistory: 0, damageImageHashes: 0, 'sla.escalations': 0 } },
+    {
+      $set: {
+        customer: {
+          retailerId: '$customer.retailerId',
+          customerDetails: {
+            name: '$customer.customerDetails.name',
+            mobile: '$customer.customerDetails.mobile'
+          },
+          productDetails: {
+            brand: '$customer.productDetails.brand',
+            category: '$customer.productDetails.category',
+            categoryId: '$customer.productDetails.categoryId',
+            modelName: '$customer.productDetails.modelName',
+            serialNumber: '$customer.productDetails.serialNumber'
+          }
+        }
+      }
+    },
+    { $match: buildCustomerMatch(filters, scope) }
+  ];
+};
+
+const buildClaimSort = (sortBy = 'claimDate', sortOrder = 'desc') => {
+  const sortField = SORT_FIELDS[sortBy] || 'claimDate';
+  return { [sortField]: sortOrder === 'asc' ? 1 : -1, claimId: 1 };
+};
+
+// Filtered, sorted, paginated claims visible to the user, joined with their customer
+const listClaims = async (userId, filters = {}, { page = 1, limit = 10, sortBy = 'claimDate', sortOrder = 'desc' } = {}) => {
+  const pipeline = await buildClaimPipeline(userId, filters);
+
+  const [result] = await Claim.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        claims: [
+          { $sort: buildClaimSort(sortBy, sortOrder) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const totalData = result.total[0]?.count || 0;
+  return {
+    claims: result.claims,
+    totalData,
+    currentPage: page,
+    totalPages: Math.ceil(totalData / limit),
+    limit
+  };
+};
+
+module.exports = {
+  getClaimVisibilityScope,
+  isClaimVisible,
+  buildVisibilityStages,
+  buildClaimPipeline,
+  buildClaimSort,
+  listClaims
+};
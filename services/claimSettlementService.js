@@ -0,0 +1,172 @@
+const { Category, Customer, WarrantyPlan } = require('../schemas');
+const { getCoveragePeriods, findCoveragePeriod } = require('./coveragePeriodService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Whole months elapsed between two dates
+const monthsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+  if (end.getDate() < start.getDate()) months -= 1;
+  return Math.max(months, 0);
+};
+
+// Depreciation percent for a product of the given age; 0 when no slab matches
+const getDepreciationPercent = (schedule = [], ageInMonths) => {
+  const slab = schedule.find(s =>
+    ageInMonths >= s.fromMonth && (s.toMonth === null || s.toMonth === undefined || ageInMonths < s.toMonth)
+  );
+  return slab ? slab.percent : 0;
+};
+
+// Pure settlement computation:
+// assessed loss → depreciation → deductible → remaining coverage cap
+const computeSettlement = ({
+  claimAmount,
+  repairCost,
+  purchasePrice,
+  productAgeMonths,
+  depreciationSchedule,
+  deductibleAmount = 0,
+  coverageCapPercent = 100,
+  coverageUsedAmount = 0
+}) => {
+  const hasClaimAmount = typeof claimAmount === 'number';
+  const hasRepairCost = typeof repairCost === 'number';
+  if (!hasClaimAmount && !hasRepairCost) {
+    throw new ValidationError('Claim amount or repair cost is required to settle a claim');
+  }
+  if (typeof purchasePrice !== 'number' || purchasePrice <= 0) {
+    throw new ValidationError('Product purchase price is required to compute the coverage cap');
+  }
+
+  const lines = [];
+
+  // Never pay more than both what was claimed and what the repair actually cost
+  const assessedAmount = hasClaimAmount && hasRepairCost
+    ? Math.min(claimAmount, repairCost)
+    : (hasRepairCost ? repairCost : claimAmount);
+  lines.push({
+    code: 'ASSESSED',
+    description: hasClaimAmount && hasRepairCost
+      ? `Lower of claimed amount (${claimAmount}) and repair cost (${repairCost})`
+      : (hasRepairCost ? 'Repair cost' : 'Claimed amount'),
+    amount: roundAmount(assessedAmount)
+  });
+
+  let payable = assessedAmount;
+
+  const depreciationPercent = getDepreciationPercent(depreciationSchedule, productAgeMonths);
+  if (depreciationPercent > 0) {
+    const depreciation = roundAmount(payable * depreciationPercent / 100);
+    payable -= depreciation;
+    lines.push({
+      code: 'DEPRECIATION',
+      description: `Depreciation ${depreciationPercent}% (product age ${productAgeMonths} months)`,
+      amount: -depreciation
+    });
+  }
+
+  if (deductibleAmount > 0) {
+    const deductible = roundAmount(Math.min(deductibleAmount, payable));
+    payable -= deductible;
+    lines.push({
+      code: 'DEDUCTIBLE',
+      description: `Plan deductible (${deductibleAmount})`,
+      amount: -deductible
+    });
+  }
+
+  const coverageCap = roundAmount(purchasePrice * coverageCapPercent / 100);
+  const remainingCoverage = Math.max(roundAmount(coverageCap - coverageUsedAmount), 0);
+  if (payable > remainingCoverage) {
+    const excess = roundAmount(payable - remainingCoverage);
+    payable = remainingCoverage;
+    lines.push({
+      code: 'COVERAGE_CAP',
+      description: `Limited to remaining coverage ${remainingCoverage} of ${coverageCap} (${coverageUsedAmount} already used)`,
+      amount: -excess
+    });
+  }
+
+  const payableAmount = roundAmount(Math.max(payable, 0));
+  lines.push({ code: 'PAYABLE', description: 'Payable amount', amount: payableAmount });
+
+  return {
+    assessedAmount: roundAmount(assessedAmount),
+    payableAmount,
+    productAgeMonths,
+    coverageCap,
+    coverageUsedBefore: coverageUsedAmount,
+    lines
+  };
+};
+
+// Load the warranty, plan and category of a claim and compute its settlement
+const calculateClaimSettlement = async (claim) => {
+  const customer = await Customer.findOne({ customerId: claim.customerId }).lean();
+  if (!customer) throw new NotFoundError('Warranty not found for this claim');
+
+  // Plan of the coverage period the claim was filed under
+  const periods = getCoveragePeriods(customer);
+  const period = periods.find(p => p.periodId === claim.coveragePeriodId) ||
+    findCoveragePeriod(customer, claim.claimDate || new Date());
+  const planId = period?.planId || customer.warrantyDetails?.planId;
+  const plan = planId ? await WarrantyPlan.findOne({ planId }).lean() : null;
+
+  const category = customer.productDetails?.categoryId
+    ? await Category.findOne({ categoryId: customer.productDetails.categoryId }).lean()
+    : null;
+
+  const ageFrom = customer.invoiceDetails?.invoiceDate || customer.warrantyDetails?.startDate;
+
+  return computeSettlement({
+    claimAmount: claim.claimAmount,
+    repairCost: claim.repairDetails?.repairCost,
+    purchasePrice: customer.productDetails?.purchasePrice,
+    productAgeMonths: monthsBetween(ageFrom, claim.claimDate || new Date()),
+    depreciationSchedule: category?.depreciationSchedule || [],
+    deductibleAmount: plan?.deductibleAmount || 0,
+    coverageCapPercent: plan?.coverageCapPercent ?? 100,
+    coverageUsedAmount: customer.warrantyDetails?.coverageUsedAmount || 0
+  });
+};
+
+// Reserve the payable amount against the warranty's coverage cap.
+// The filter guarantees the cap cannot be exceeded even with concurrent approvals.
+const consumeCoverage = async (customerId, settlement) => {
+  if (settlement.payableAmount <= 0) return true;
+
+  const maxUsedBefore = roundAmount(settlement.coverageCap - settlement.payableAmount);
+  const result = await Customer.updateOne(
+    {
+      customerId,
+      $or: [
+        { 'warrantyDetails.coverageUsedAmount': { $lte: maxUsedBefore } },
+        { 'warrantyDetails.coverageUsedAmount': { $exists: false } }
+      ]
+    },
+    { $inc: { 'warrantyDetails.coverageUsedAmount': settlement.payableAmount } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give coverage back when an approval could not be completed
+const releaseCoverage = async (customerId, amount) => {
+  if (amount <= 0) return;
+  await Customer.updateOne(
+    { customerId },
+    { $inc: { 'warrantyDetails.coverageUsedAmount': -amount } }
+  );
+};
+
+module.exports = {
+  monthsBetween,
+  getDepreciationPercent,
+  computeSettlement,
+  calculateClaimSettlement,
+  consumeCoverage,
+  releaseCoverage
+};
@@ -0,0 +1,327 @@
+const { Claim, Company, Customer, UserHierarchy } = require('../schemas');
+const { CompanyService } = require('../services');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const { getClaimVisibilityScope, buildVisibilityStages } = require('./claimQueryService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+const SYSTEM_USER_ID = 'SYSTEM';
+
+const DEFAULT_SLA_POLICY = {
+  firstResponseHours: 24,
+  resolutionHours: 168,
+  atRiskPercent: 80,
+  escalateEveryHours: 24
+};
+const POLICY_FIELDS = Object.keys(DEFAULT_SLA_POLICY);
+
+// Company policy merged over the defaults (older companies have no claimSla settings)
+const getSlaPolicy = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.claimSla').lean();
+  if (!company) throw new NotFoundError('Company not found');
+
+  const configured = company.settings?.claimSla || {};
+  return POLICY_FIELDS.reduce((policy, field) => {
+    policy[field] = typeof configured[field] === 'number' ? configured[field] : DEFAULT_SLA_POLICY[field];
+    return policy;
+  }, {});
+};
+
+const updateSlaPolicy = async (companyId, policyData, updatedBy) => {
+  const oldPolicy = await getSlaPolicy(companyId);
+  const policy = { ...oldPolicy };
+  POLICY_FIELDS.forEach(field => {
+    if (policyData[field] !== undefined) policy[field] = policyData[field];
+  });
+
+  if (policy.firstResponseHours > policy.resolutionHours) {
+    throw new ValidationError('First response time cannot exceed resolution time');
+  }
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.claimSla': policy, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { claimSla: oldPolicy },
+    { claimSla: policy },
+    companyId
+  );
+
+  return policy;
+};
+
+// Due and at-risk timestamps for a claim filed at claimDate
+const buildClaimSla = (claimDate, policy) => {
+  const start = new Date(claimDate).getTime();
+  const dueAt = (hours) => new Date(start + hours * HOUR_MS);
+  const atRiskAt = (hours) => new Date(start + hours * HOUR_MS * policy.atRiskPercent / 100);
+
+  return {
+    firstResponseDueAt: dueAt(policy.firstResponseHours),
+    firstResponseAtRiskAt: atRiskAt(policy.firstResponseHours),
+    resolutionDueAt: dueAt(policy.resolutionHours),
+    resolutionAtRiskAt: atRiskAt(policy.resolutionHours)
+  };
+};
+
+// $set fields stamping SLA progress for a status change; late responses are flagged as breaches
+// here so counts stay correct even if the evaluator has not run yet
+const getSlaTransitionUpdate = (claim, fromStatus, toStatus, now = new Date()) => {
+  const sla = claim.sla || {};
+  const set = {};
+
+  if (fromStatus === 'PENDING' && !sla.firstRespondedAt) {
+    set['sla.firstRespondedAt'] = now;
+    if (sla.firstResponseDueAt && now > sla.firstResponseDueAt && !sla.firstResponseBreachedAt) {
+      set['sla.firstResponseBreachedAt'] = now;
+    }
+  }
+
+  if (['APPROVED', 'REJECTED'].includes(toStatus) && !sla.resolvedAt) {
+    set['sla.resolvedAt'] = now;
+    if (sla.resolutionDueAt && now > sla.resolutionDueAt && !sla.resolutionBreachedAt) {
+      set['sla.resolutionBreachedAt'] = now;
+    }
+  }
+
+  return set;
+};
+
+// Escalation chain of a claim: the selling retailer's ancestors, nearest first
+const getEscalationChain = async (claim) => {
+  const customer = await Customer.findOne({ customerId: claim.customerId }).select('retailerId').lean();
+  if (!customer?.retailerId) return [];
+
+  const hierarchy = await UserHierarchy.findOne({ userId: customer.retailerId }).select('hierarchyPath').lean();
+  return [...(hierarchy?.hierarchyPath || [])].reverse();
+};
+
+// Escalate a breached claim one level up if it is due for (re-)escalation
+const escalateClaim = async (claim, policy, now) => {
+  const { sla } = claim;
+  if (sla.lastEscalatedAt && now - sla.lastEscalatedAt < policy.escalateEveryHours * HOUR_MS) {
+    return null;
+  }
+
+  const chain = await getEscalationChain(claim);
+  const target = chain[sla.escalationLevel];
+  if (!target) return null; // top of the hierarchy already notified
+
+  const escalation = {
+    breachType: sla.resolutionBreachedAt ? 'RESOLUTION' : 'FIRST_RESPONSE',
+    level: sla.escalationLevel + 1,
+    userId: target.userId,
+    userType: target.userType,
+    name: target.name,
+    escalatedAt: now
+  };
+
+  // Guard on the level so overlapping evaluator runs escalate only once
+  const result = await Claim.updateOne(
+    { claimId: claim.claimId, 'sla.escalationLevel': sla.escalationLevel },
+    {
+      $set: { 'sla.escalationLevel': escalation.level, 'sla.lastEscalatedAt': now },
+      $push: { 'sla.escalations': escalation }
+    }
+  );
+  if (result.modifiedCount !== 1) return null;
+
+  await CompanyService.createAuditLog(
+    SYSTEM_USER_ID,
+    'SLA_ESCALATION',
+    'CLAIM',
+    claim.claimId,
+    { escalationLevel: sla.escalationLevel },
+    escalation,
+    claim.companyId
+  );
+
+  await NotificationService.createNotifications([target.userId], {
+    companyId: claim.companyId,
+    type: 'CLAIM_SLA_ESCALATION',
+    title: `Claim ${claim.claimId} escalated to you`,
+    message: escalation.breachType === 'RESOLUTION'
+      ? `Claim ${claim.claimId} was not resolved within its SLA`
+      : `Claim ${claim.claimId} had no first response within its SLA`,
+    entityType: 'CLAIM',
+    entityId: claim.claimId
+  });
+
+  return escalation;
+};
+
+// Scheduled evaluator: flag newly breached claims and escalate breached open claims
+const evaluateClaimSlas = async (now = new Date()) => {
+  const firstResponse = await Claim.updateMany(
+    {
+      isActive: true,
+      claimStatus: 'PENDING',
+      'sla.firstResponseDueAt': { $lt: now },
+      'sla.firstResponseBreachedAt': null
+    },
+    { $set: { 'sla.firstResponseBreachedAt': now } }
+  );
+
+  const resolution = await Claim.updateMany(
+    {
+      isActive: true,
+      claimStatus: { $in: OPEN_STATUSES },
+      'sla.resolutionDueAt': { $lt: now },
+      'sla.resolutionBreachedAt': null
+    },
+    { $set: { 'sla.resolutionBreachedAt': now } }
+  );
+
+  const breachedClaims = await Claim.find({
+    isActive: true,
+    claimStatus: { $in: OPEN_STATUSES },
+    $or: [
+      { claimStatus: 'PENDING', 'sla.firstResponseBreachedAt': { $ne: null } },
+      { 'sla.resolutionBreachedAt': { $ne: null } }
+    ]
+  })
+    .select('claimId customerId companyId sla')
+    .lean();
+
+  const policies = {};
+  let escalations = 0;
+  for (const claim of breachedClaims) {
+    if (!policies[claim.companyId]) {
+      policies[claim.companyId] = await getSlaPolicy(claim.companyId).catch(() => DEFAULT_SLA_POLICY);
+    }
+    const escalation = await escalateClaim(claim, policies[claim.companyId], now);
+    if (escalation) escalations++;
+  }
+
+  return {
+    evaluatedAt: now,
+    firstResponseBreaches: firstResponse.modifiedCount,
+    resolutionBreaches: resolution.modifiedCount,
+    escalations
+  };
+};
+
+// Open claims of a company past their at-risk threshold, most urgent first. Like the claim list,
+// hierarchy users only see claims on their downline's customers.
+const getClaimsAtRisk = async (user, companyId, { includeBreached = false } = {}, now = new Date()) => {
+  const withDue = (field) => (includeBreached ? {} : { [field]: { $gt: now } });
+  const scope = await getClaimVisibilityScope(user, companyId);
+
+  const claims = await Claim.aggregate([
+    {
+      $match: {
+        $and: [
+          {
+            companyId,
+            isActive: true,
+            $or: [
+              { claimStatus: 'PENDING', 'sla.firstResponseAtRiskAt': { $lte: now }, ...withDue('sla.firstResponseDueAt') },
+              { claimStatus: { $in: OPEN_STATUSES }, 'sla.resolutionAtRiskAt': { $lte: now }, ...withDue('sla.resolutionDueAt') }
+            ]
+          },
+          scope.match
+        ]
+      }
+    },
+    ...buildVisibilityStages(scope),
+    { $project: { claimId: 1, customerId: 1, warrantyKey: 1, claimType: 1, claimStatus: 1, claimDate: 1, processedBy: 1, sla: 1 } }
+  ]);
+
+  return claims
+    .map(claim => {
+      const { sla } = claim;
+      const firstResponseOpen = claim.claimStatus === 'PENDING' && sla.firstResponseAtRiskAt <= now;
+      const riskType = firstResponseOpen && sla.firstResponseDueAt <= sla.resolutionDueAt
+        ? 'FIRST_RESPONSE'
+        : 'RESOLUTION';
+      const dueAt = riskType === 'FIRST_RESPONSE' ? sla.firstResponseDueAt : sla.resolutionDueAt;
+
+      return {
+        ...claim,
+        riskType,
+        dueAt,
+        isBreached: dueAt <= now,
+        hoursRemaining: Math.round((dueAt - now) / HOUR_MS * 10) / 10
+      };
+    })
+    .sort((a, b) => a.dueAt - b.dueAt);
+};
+
+// Breach counts for dashboard stats over the claims the user can list; companyId null means all companies
+const getSlaBreachCounts = async (user, companyId) => {
+  const match = { isActive: true };
+  if (companyId) match.companyId = companyId;
+
+  let scope;
+  try {
+    scope = await getClaimVisibilityScope(user, companyId);
+  } catch (error) {
+    // Repair centers and support employees without claim access have no breaches to see
+    if (!(error instanceof AuthorizationError)) throw error;
+    return { firstResponseBreached: 0, resolutionBreached: 0, openBreached: 0, escalatedToMe: 0 };
+  }
+
+  const [counts] = await Claim.aggregate([
+    // $and keeps both company filters: the requested one and the companies the scope allows
+    { $match: { $and: [match, scope.match] } },
+    ...buildVisibilityStages(scope),
+    {
+      $group: {
+        _id: null,
+        firstResponseBreached: { $sum: { $cond: [{ $ifNull: ['$sla.firstResponseBreachedAt', false] }, 1, 0] } },
+        resolutionBreached: { $sum: { $cond: [{ $ifNull: ['$sla.resolutionBreachedAt', false] }, 1, 0] } },
+        openBreached: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $in: ['$claimStatus', OPEN_STATUSES] },
+                  {
+                    $or: [
+                      { $ifNull: ['$sla.firstResponseBreachedAt', false] },
+                      { $ifNull: ['$sla.resolutionBreachedAt', false] }
+                    ]
+                  }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const escalatedToMe = await Claim.countDocuments({
+    ...match,
+    claimStatus: { $in: OPEN_STATUSES },
+    'sla.escalations.userId': user.userId
+  });
+
+  return {
+    firstResponseBreached: counts?.firstResponseBreached || 0,
+    resolutionBreached: counts?.resolutionBreached || 0,
+    openBreached: counts?.openBreached || 0,
+    escalatedToMe
+  };
+};
+
+module.exports = {
+  DEFAULT_SLA_POLICY,
+  getSlaPolicy,
+  updateSlaPolicy,
+  buildClaimSla,
+  getSlaTransitionUpdate,
+  evaluateClaimSlas,
+  getClaimsAtRisk,
+  getSlaBreachCounts
+};
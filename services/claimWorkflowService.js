@@ -0,0 +1,272 @@
+const { Claim, Company, StoredFile, User } = require('../schemas');
+const { CompanyService, SupportAssignmentService } = require('../services');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { checkClaimEligibility } = require('./claimEligibilityService');
+const ClaimSettlementService = require('./claimSettlementService');
+const ClaimSlaService = require('./claimSlaService');
+const ClaimFraudService = require('./claimFraudService');
+const ImageService = require('./imageService');
+const { isClaimVisible } = require('./claimQueryService');
+const StorageService = require('./storageService');
+
+// Legal claim status transitions: PENDING → IN_PROGRESS → APPROVED/REJECTED → COMPLETED
+const CLAIM_TRANSITIONS = {
+  PENDING: ['IN_PROGRESS'],
+  IN_PROGRESS: ['APPROVED', 'REJECTED'],
+  APPROVED: ['COMPLETED'],
+  REJECTED: ['COMPLETED'],
+  COMPLETED: []
+};
+
+// Fields a client may set when filing a claim; status, dates and processing fields are server-managed
+const CLAIM_INPUT_FIELDS = ['customerId', 'warrantyKey', 'claimType', 'claimDescription', 'claimAmount', 'damageImages', 'notes'];
+
+const canTransition = (fromStatus, toStatus) => {
+  return (CLAIM_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Check that the actor may see claims of the given company (company isolation)
+const canAccessClaimCompany = async (actor, companyId) => {
+  if (actor.companyId === companyId) return true;
+
+  if (actor.userType.includes('SUPPORT_EMPLOYEE')) {
+    const assignments = await SupportAssignmentService.getUserAssignments(actor.userId);
+    return assignments.some(a =>
+      a.assignmentType === 'COMPANY' && a.assignedCompanies.some(c => c.companyId === companyId)
+    );
+  }
+
+  // Main company users have access to all white-label companies
+  if (actor.userType.startsWith('MAIN_')) {
+    const company = await Company.findOne({ companyId }).select('companyType');
+    return company?.companyType === 'WHITELABEL';
+  }
+
+  return false;
+};
+
+// Resolve how the actor may see a claim: users whose claim list includes it (owners, main company users,
+// assigned support employees and the selling retailer's upline) see everything, the retailer who sold
+// the warranty sees the shared parts only
+const getClaimViewerScope = async (actor, claim) => {
+  if (!(await isClaimVisible(actor, claim))) {
+    throw new AuthorizationError('No access to this claim');
+  }
+  return actor.userType === 'RETAILER' ? 'RETAILER' : 'STAFF';
+};
+
+// Check that the actor may move a claim through the workflow
+const assertCanProcessClaim = async (actor, claim) => {
+  if (actor.userType === 'RETAILER' || actor.userType === 'REPAIR_CENTER') {
+    throw new AuthorizationError('Retailers and repair centers cannot process claims');
+  }
+
+  const hasCompanyAccess = await canAccessClaimCompany(actor, claim.companyId);
+  if (!hasCompanyAccess) {
+    throw new AuthorizationError('No access to claims of this company');
+  }
+
+  // Support employees need an active assignment granting canProcessClaims
+  if (actor.userType.includes('SUPPORT_EMPLOYEE')) {
+    const assignments = await SupportAssignmentService.getUserAssignments(actor.userId);
+    const canProcess = assignments.some(a => a.effectivePermissions?.canProcessClaims);
+    if (!canProcess) {
+      throw new AuthorizationError('Support employee does not have permission to process claims');
+    }
+  }
+};
+
+// Damage images must be files stored for the warranty's company
+const assertCompanyFiles = async (refs, companyId) => {
+  if (!refs.every(StorageService.isFileRef)) {
+    throw new ValidationError('Damage images must be storage:// references from POST /api/files/upload');
+  }
+  const fileIds = [...new Set(refs.map(StorageService.toFileId))];
+  const found = await StoredFile.countDocuments({ fileId: { $in: fileIds }, companyId, deletedAt: null });
+  if (found !== fileIds.length) throw new ValidationError('Unknown damage image');
+};
+
+// Write a PENDING claim with its initial history entry against a warranty already checked for
+// eligibility. The filer is a staff user or, from the customer portal, { userId: profileId, userType: 'CUSTOMER' }.
+const openClaim = async (customer, coveragePeriod, claimData, filedBy) => {
+  const input = {};
+  CLAIM_INPUT_FIELDS.forEach(field => {
+    if (claimData[field] !== undefined) input[field] = claimData[field];
+  });
+
+  if (input.damageImages) {
+    await assertCompanyFiles(input.damageImages, customer.companyId);
+    input.damageImageVariants = await ImageService.buildImageListVariants(input.damageImages);
+  }
+
+  const claimDate = new Date();
+  const slaPolicy = await ClaimSlaService.getSlaPolicy(customer.companyId);
+
+  const claim = new Claim({
+    ...input,
+    claimId: `CLAIM_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    customerId: customer.customerId,
+    warrantyKey: customer.warrantyKey,
+    coveragePeriodId: coveragePeriod?.periodId || null,
+    companyId: customer.companyId,
+    claimStatus: 'PENDING',
+    claimDate,
+    sla: ClaimSlaService.buildClaimSla(claimDate, slaPolicy),
+    statusHistory: [{
+      fromStatus: null,
+      toStatus: 'PENDING',
+      changedBy: filedBy.userId,
+      changedByType: filedBy.userType,
+      reason: 'Claim filed',
+      changedAt: claimDate
+    }]
+  });
+
+  await claim.save();
+
+  await CompanyService.createAuditLog(
+    filedBy.userId,
+    'CREATE',
+    'CLAIM',
+    claim.claimId,
+    null,
+    claim.toObject(),
+    claim.companyId
+  );
+
+  return claim;
+};
+
+// File a new claim in PENDING state
+const createClaim = async (claimData, createdBy) => {
+  const creator = await User.findOne({ userId: createdBy });
+  if (!creator) throw new NotFoundError('User not found');
+
+  // Refuse claims the warranty does not cover before anything is written
+  const { eligible, reasons, customer, coveragePeriod } = await checkClaimEligibility(claimData, creator.userId);
+  if (!eligible) {
+    throw new ValidationError(`Claim is not eligible: ${reasons.join('; ')}`);
+  }
+
+  return await openClaim(customer, coveragePeriod, claimData, creator);
+};
+
+// Move a claim to a new status, stamping dates/processor and appending to the status history
+const transitionClaim = async (claimId, toStatus, actorId, reason = null) => {
+  const actor = await User.findOne({ userId: actorId });
+  if (!actor) throw new NotFoundError('User not found');
+
+  const claim = await Claim.findOne({ claimId, isActive: true });
+  if (!claim) throw new NotFoundError('Claim not found');
+
+  await assertCanProcessClaim(actor, claim);
+
+  const fromStatus = claim.claimStatus;
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new ValidationError(`Invalid claim status transition: ${fromStatus} → ${toStatus}`);
+  }
+
+  if (toStatus === 'REJECTED' && !reason) {
+    throw new ValidationError('A reason is required to reject a claim');
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      claimStatus: toStatus,
+      processedBy: actor.userId,
+      ...ClaimSlaService.getSlaTransitionUpdate(claim, fromStatus, toStatus, now)
+    },
+    $push: {
+      statusHistory: {
+        fromStatus,
+        toStatus,
+        changedBy: actor.userId,
+        changedByType: actor.userType,
+        reason,
+        changedAt: now
+      }
+    }
+  };
+  if (toStatus === 'COMPLETED') update.$set.completionDate = now;
+
+  // Approval computes the settlement and reserves it against the warranty's coverage cap
+  let settlement = null;
+  if (toStatus === 'APPROVED') {
+    // Approvers must have seen the fraud signals; assess claims filed before scoring existed
+    if (!claim.fraudAssessment?.assessedAt) {
+      await ClaimFraudService.assessClaim(claim.claimId);
+    }
+    settlement = await ClaimSettlementService.calculateClaimSettlement(claim);
+    if (settlement.payableAmount <= 0) {
+      throw new ValidationError('Nothing is payable for this claim, reject it instead');
+    }
+    const reserved = await ClaimSettlementService.consumeCoverage(claim.customerId, settlement);
+    if (!reserved) {
+      throw new ValidationError('Warranty coverage changed concurrently, please retry');
+    }
+    update.$set.approvalDate = now;
+    update.$set.approvedAmount = settlement.payableAmount;
+    update.$set.settlement = { ...settlement, calculatedAt: now, calculatedBy: actor.userId };
+  }
+
+  // Guard on the current status so concurrent transitions cannot both apply
+  const updatedClaim = await Claim.findOneAndUpdate(
+    { claimId, claimStatus: fromStatus },
+    update,
+    { new: true }
+  );
+  if (!updatedClaim) {
+    if (settlement) {
+      await ClaimSettlementService.releaseCoverage(claim.customerId, settlement.payableAmount);
+    }
+    throw new ValidationError('Claim status changed concurrently, please retry');
+  }
+
+  const onBehalfOf = (actor.userType.includes('SUPPORT_EMPLOYEE') && actor.companyId !== claim.companyId)
+    ? { userId: null, userType: null, companyId: claim.companyId }
+    : null;
+
+  await CompanyService.createAuditLog(
+    actor.userId,
+    'UPDATE',
+    'CLAIM',
+    claimId,
+    { claimStatus: fromStatus },
+    { claimStatus: toStatus, reason, approvedAmount: settlement?.payableAmount ?? null },
+    claim.companyId,
+    onBehalfOf
+  );
+
+  return updatedClaim;
+};
+
+// Get the status history of a claim the user can view (see getClaimViewerScope)
+const getClaimStatusHistory = async (claimId, userId) => {
+  const user = await User.findOne({ userId });
+  if (!user) throw new NotFoundError('User not found');
+
+  const claim = await Claim.findOne({ claimId }).select('claimId companyId customerId claimStatus statusHistory').lean();
+  if (!claim) throw new NotFoundError('Claim not found');
+
+  await getClaimViewerScope(user, claim);
+
+  return {
+    claimId: claim.claimId,
+    claimStatus: claim.claimStatus,
+    statusHistory: claim.statusHistory || [],
+    allowedTransitions: CLAIM_TRANSITIONS[claim.claimStatus] || []
+  };
+};
+
+module.exports = {
+  CLAIM_TRANSITIONS,
+  canTransition,
+  canAccessClaimCompany,
+  getClaimViewerScope,
+  assertCanProcessClaim,
+  openClaim,
+  createClaim,
+  transitionClaim,
+  getClaimStatusHistory
+};
@@ -0,0 +1,39 @@
+// Coverage periods of a warranty: the original sale plus one period per renewal, oldest first.
+// Periods are contiguous, each renewal starting where the previous period expires.
+
+const getPeriodId = (warrantyKey, sequence) => `PER_${warrantyKey}_${sequence}`;
+
+// The period stamped on a warranty when it is sold
+const buildOriginalPeriod = (warrantyKey, warrantyDetails, createdBy = null) => ({
+  periodId: getPeriodId(warrantyKey, 1),
+  type: 'ORIGINAL',
+  planId: warrantyDetails.planId || null,
+  planName: warrantyDetails.planName || null,
+  durationMonths: warrantyDetails.warrantyPeriod || null,
+  startDate: warrantyDetails.startDate,
+  expiryDate: warrantyDetails.expiryDate,
+  premiumAmount: warrantyDetails.premiumAmount || 0,
+  createdBy,
+  createdAt: new Date()
+});
+
+// Warranties sold before periods were recorded have none stored; their only period is derived
+const getCoveragePeriods = (customer) => {
+  if (customer.coveragePeriods?.length) return customer.coveragePeriods;
+  if (!customer.warrantyDetails?.startDate) return [];
+  return [buildOriginalPeriod(customer.warrantyKey, customer.warrantyDetails)];
+};
+
+const findCoveragePeriod = (customer, asOf = new Date()) => {
+  const date = new Date(asOf);
+  return getCoveragePeriods(customer).find(period =>
+    date >= new Date(period.startDate) && date <= new Date(period.expiryDate)
+  ) || null;
+};
+
+module.exports = {
+  getPeriodId,
+  buildOriginalPeriod,
+  getCoveragePeriods,
+  findCoveragePeriod
+};
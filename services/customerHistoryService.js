@@ -0,0 +1,278 @@
+const { Company, Customer, CustomerRevision, UserHierarchy } = require('../schemas');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const DeviceIdentifierService = require('./deviceIdentifierService');
+const CustomerProfileService = require('./customerProfileService');
+const { normalizeMobile } = require('./otpService');
+
+// Sections a customer edit may change, and the ones whose history is kept (transfers also relink profileId)
+const EDITABLE_SECTIONS = ['customerDetails', 'productDetails', 'invoiceDetails', 'productImages', 'notes'];
+const TRACKED_SECTIONS = [...EDITABLE_SECTIONS, 'profileId'];
+
+// Changing these needs a reason and, if the company asks for it, approval from the retailer's parent
+const SENSITIVE_FIELDS = [
+  'productDetails.serialNumber',
+  'productDetails.imei2',
+  'invoiceDetails.invoiceNumber',
+  'invoiceDetails.invoiceDate'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !value._bsontype;
+
+// Leaf paths of a document; arrays and dates are compared as whole values
+const flatten = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === '_id') return;
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (prefix) {
+    out[prefix] = value === undefined ? null : value;
+  }
+  return out;
+};
+
+const comparable = (value) => JSON.stringify(value instanceof Date ? value.toISOString() : value ?? null);
+
+const pickTracked = (customer) => TRACKED_SECTIONS.reduce((picked, section) => {
+  if (customer[section] !== undefined) picked[section] = customer[section];
+  return picked;
+}, {});
+
+// Field-level changes between two versions of a customer record
+const diffCustomer = (before, after) => {
+  const oldFields = flatten(pickTracked(before));
+  const newFields = flatten(pickTracked(after));
+  return [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])]
+    .filter(path => comparable(oldFields[path]) !== comparable(newFields[path]))
+    .map(path => ({ path, oldValue: oldFields[path] ?? null, newValue: newFields[path] ?? null }));
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+const getPath = (target, path) => path.split('.').reduce((node, key) => node?.[key], target);
+
+const isSensitive = (change) => SENSITIVE_FIELDS.includes(change.path);
+
+const getEditPolicy = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.customerEdits').lean();
+  return { requireParentApproval: company?.settings?.customerEdits?.requireParentApproval === true };
+};
+
+const generateRevisionId = () => `REV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const recordRevision = async (customer, changes, editedBy, { source = 'EDIT', reason = null, approverId = null } = {}) => {
+  const pending = Boolean(approverId);
+  return await CustomerRevision.create({
+    revisionId: generateRevisionId(),
+    customerId: customer.customerId,
+    companyId: customer.companyId,
+    source,
+    changes,
+    reason,
+    editedBy,
+    status: pending ? 'PENDING_APPROVAL' : 'APPLIED',
+    approval: { approverId },
+    appliedAt: pending ? null : new Date()
+  });
+};
+
+// Edits by the retailer or anyone below its parent wait for the parent; the parent and users above it
+// apply sensitive changes directly. A retailer without a parent has nobody to ask.
+const findApprover = async (customer, editorId) => {
+  // services.js loads this module, so HierarchyService is only required once it is needed
+  const { HierarchyService } = require('../services');
+  if (await HierarchyService.isAncestor(editorId, customer.retailerId)) return null;
+  const hierarchy = await UserHierarchy.findOne({ userId: customer.retailerId }).select('directParent').lean();
+  return hierarchy?.directParent?.userId || null;
+};
+
+// Merge the edit into the customer document, section by section, and split the resulting changes into
+// those applied now and sensitive ones held for approval. The document is left unsaved.
+const prepareEdit = async (customer, updateData, editorId, reason = null) => {
+  const before = customer.toObject();
+
+  EDITABLE_SECTIONS.forEach(section => {
+    if (updateData[section] === undefined) return;
+    customer.set(section, isPlainObject(updateData[section])
+      ? { ...before[section], ...updateData[section] }
+      : updateData[section]);
+  });
+
+  const changes = diffCustomer(before, customer.toObject());
+  const sensitive = changes.filter(isSensitive);
+  if (sensitive.length > 0 && !reason?.trim()) {
+    throw new ValidationError(`A reason is required to change ${sensitive.map(c => c.path).join(', ')}`);
+  }
+
+  // Changed device identifiers and invoice numbers go through the same checks as a registration
+  if (changes.some(c => c.path === 'productDetails.serialNumber' || c.path === 'productDetails.imei2')) {
+    const identifiers = await DeviceIdentifierService.validateProductIdentifiers(customer.productDetails, customer.companyId, customer.customerId);
+    customer.set('productDetails.serialNumber', identifiers.serialNumber);
+    customer.set('productDetails.imei2', identifiers.imei2);
+  }
+  if (changes.some(c => c.path === 'invoiceDetails.invoiceNumber')) {
+    await CustomerProfileService.assertInvoiceAvailable(
+      customer.invoiceDetails.invoiceNumber,
+      customer.companyId,
+      customer.customerDetails?.mobile
+    );
+  }
+
+  // The portal scopes warranties by profile, so a new mobile number moves the warranty to that number's profile
+  if (changes.some(c => c.path === 'customerDetails.mobile') &&
+      normalizeMobile(customer.customerDetails?.mobile) !== normalizeMobile(before.customerDetails?.mobile)) {
+    const profile = await CustomerProfileService.findOrCreateProfile(customer.customerDetails, customer.companyId, editorId);
+    customer.set('profileId', profile.profileId);
+  }
+
+  const { requireParentApproval } = await getEditPolicy(customer.companyId);
+  const approverId = requireParentApproval && sensitive.length > 0 ? await findApprover(customer, editorId) : null;
+
+  // Held changes are reverted on the document and only applied once approved
+  const held = approverId ? diffCustomer(before, customer.toObject()).filter(isSensitive) : [];
+  held.forEach(change => customer.set(change.path, change.oldValue));
+
+  return {
+    applied: diffCustomer(before, customer.toObject()),
+    held,
+    approverId
+  };
+};
+
+const loadAccessibleCustomer = async (customerId, user) => {
+  const { CustomerService } = require('../services');
+  const customer = await Customer.findOne({ customerId }).lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+  if (!(await CustomerService.canAccessCustomer(user.userId, customerId))) {
+    throw new AuthorizationError('No permission to view this customer');
+  }
+  return customer;
+};
+
+// Every change to a warranty record, oldest first (pending and rejected edits included)
+const getHistory = async (customerId, user) => {
+  const customer = await loadAccessibleCustomer(customerId, user);
+  const revisions = await CustomerRevision.find({ customerId })
+    .sort({ createdAt: 1 })
+    .lean();
+  return {
+    customerId,
+    warrantyKey: customer.warrantyKey,
+    createdDate: customer.dates?.createdDate,
+    revisions
+  };
+};
+
+// The tracked sections of a warranty record as they were at `asOf`, by undoing later applied changes
+const getCustomerAsOf = async (customerId, asOf, user) => {
+  const at = new Date(asOf);
+  if (Number.isNaN(at.getTime())) throw new ValidationError('A valid date is required');
+
+  const customer = await loadAccessibleCustomer(customerId, user);
+  if (customer.dates?.createdDate && at < new Date(customer.dates.createdDate)) {
+    throw new NotFoundError('Warranty did not exist on that date');
+  }
+
+  const later = await CustomerRevision.find({ customerId, status: 'APPLIED', appliedAt: { $gt: at } })
+    .sort({ appliedAt: -1 })
+    .lean();
+
+  const record = pickTracked(customer);
+  later.forEach(revision => {
+    [...revision.changes].reverse().forEach(change => setPath(record, change.path, change.oldValue));
+  });
+
+  return {
+    customerId,
+    warrantyKey: customer.warrantyKey,
+    asOf: at,
+    revisionsUndone: later.length,
+    record
+  };
+};
+
+const getPendingApprovals = async (user) => {
+  return await CustomerRevision.find({ 'approval.approverId': user.userId, status: 'PENDING_APPROVAL' })
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+// Approve or reject a held edit. Approving applies it unless the fields changed in the meantime.
+const decideRevision = async (revisionId, approve, note, user) => {
+  const { CompanyService, HierarchyService } = require('../services');
+  const revision = await CustomerRevision.findOne({ revisionId });
+  if (!revision) throw new NotFoundError('Revision not found');
+  if (revision.status !== 'PENDING_APPROVAL') throw new ValidationError(`Revision is already ${revision.status}`);
+
+  const approverId = revision.approval.approverId;
+  const canDecide = user.userId === approverId || await HierarchyService.isAncestor(user.userId, approverId);
+  if (!canDecide || user.userId === revision.editedBy) {
+    throw new AuthorizationError('Only the retailer\'s parent can decide on this edit');
+  }
+
+  const customer = await Customer.findOne({ customerId: revision.customerId });
+  if (!customer) throw new NotFoundError('Customer not found');
+
+  if (approve) {
+    const current = customer.toObject();
+    const stale = revision.changes.find(change => comparable(getPath(current, change.path)) !== comparable(change.oldValue));
+    if (stale) {
+      throw new ValidationError(`${stale.path} changed since the edit was requested; reject it and submit it again`);
+    }
+
+    revision.changes.forEach(change => customer.set(change.path, change.newValue));
+    const paths = revision.changes.map(change => change.path);
+    if (paths.includes('productDetails.serialNumber') || paths.includes('productDetails.imei2')) {
+      await DeviceIdentifierService.validateProductIdentifiers(customer.productDetails, customer.companyId, customer.customerId);
+    }
+    if (paths.includes('invoiceDetails.invoiceNumber')) {
+      await CustomerProfileService.assertInvoiceAvailable(
+        customer.invoiceDetails.invoiceNumber,
+        customer.companyId,
+        customer.customerDetails?.mobile
+      );
+    }
+    customer.dates.lastModifiedDate = new Date();
+    await customer.save();
+  }
+
+  revision.status = approve ? 'APPLIED' : 'REJECTED';
+  revision.appliedAt = approve ? new Date() : null;
+  revision.approval.decidedBy = user.userId;
+  revision.approval.decidedAt = new Date();
+  revision.approval.note = note || null;
+  await revision.save();
+
+  await CompanyService.createAuditLog(
+    user.userId,
+    'UPDATE',
+    'CUSTOMER',
+    revision.customerId,
+    null,
+    { revisionId, status: revision.status, changes: revision.changes, note: note || null },
+    customer.companyId
+  );
+
+  return revision;
+};
+
+module.exports = {
+  EDITABLE_SECTIONS,
+  SENSITIVE_FIELDS,
+  diffCustomer,
+  recordRevision,
+  prepareEdit,
+  getHistory,
+  getCustomerAsOf,
+  getPendingApprovals,
+  decideRevision
+};
@@ -0,0 +1,574 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { Customer, ImportJob, User } = require('../schemas');
+const { CustomerService, ValidationService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const CertificateService = require('./certificateService');
+const { normalizeImei } = require('./deviceIdentifierService');
+const { normalizeMobile } = require('./otpService');
+const StorageService = require('./storageService');
+
+const MAX_IMPORT_ROWS = 500;
+const LEASE_MS = 5 * 60 * 1000; // a worker renews its lease on every row
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.pdf'];
+
+// Template columns; image columns take an http(s) URL or the name of a file inside the images zip
+const IMPORT_COLUMNS = [
+  { header: 'customerName', path: 'customerDetails.name', required: true },
+  { header: 'customerMobile', path: 'customerDetails.mobile', required: true },
+  { header: 'customerEmail', path: 'customerDetails.email', type: 'email' },
+  { header: 'alternateNumber', path: 'customerDetails.alternateNumber' },
+  { header: 'street', path: 'customerDetails.address.street' },
+  { header: 'city', path: 'customerDetails.address.city' },
+  { header: 'state', path: 'customerDetails.address.state' },
+  { header: 'country', path: 'customerDetails.address.country' },
+  { header: 'zipCode', path: 'customerDetails.address.zipCode' },
+  { header: 'modelName', path: 'productDetails.modelName' },
+  { header: 'serialNumber', path: 'productDetails.serialNumber', required: true },
+  { header: 'imei2', path: 'productDetails.imei2' },
+  { header: 'brand', path: 'productDetails.brand' },
+  { header: 'category', path: 'productDetails.category' },
+  { header: 'purchasePrice', path: 'productDetails.purchasePrice', type: 'number' },
+  { header: 'invoiceNumber', path: 'invoiceDetails.invoiceNumber', required: true },
+  { header: 'invoiceAmount', path: 'invoiceDetails.invoiceAmount', type: 'number' },
+  { header: 'invoiceDate', path: 'invoiceDetails.invoiceDate', type: 'date', required: true },
+  { header: 'invoiceImage', path: 'invoiceDetails.invoiceImage', type: 'image', required: true },
+  { header: 'frontImage', path: 'productImages.frontImage', type: 'image', required: true },
+  { header: 'backImage', path: 'productImages.backImage', type: 'image', required: true },
+  { header: 'leftImage', path: 'productImages.leftImage', type: 'image', required: true },
+  { header: 'rightImage', path: 'productImages.rightImage', type: 'image', required: true },
+  { header: 'additionalImages', path: 'productImages.additionalImages', type: 'imageList' },
+  { header: 'planId', path: 'warrantyDetails.planId' },
+  { header: 'planName', path: 'warrantyDetails.planName' },
+  { header: 'warrantyPeriod', path: 'warrantyDetails.warrantyPeriod', type: 'number', required: true },
+  { header: 'premiumAmount', path: 'warrantyDetails.premiumAmount', type: 'number', required: true }
+];
+
+const generateJobId = () => `IMP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+// Plain value of an exceljs cell (hyperlinks, formulas and rich text included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.hyperlink) return value.hyperlink;
+  }
+  return String(value).trim();
+};
+
+// Read the first worksheet of a CSV/XLSX file into one object per data row, keyed by header
+const parseImportFile = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+  } else if (extension === '.csv') {
+    // Keep CSV values as text: mobiles, zip codes and serials must not lose leading zeros
+    await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } else {
+    throw new ValidationError('Import file must be a .csv or .xlsx file');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet || worksheet.rowCount < 2) throw new ValidationError('Import file has no data rows');
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = String(cellValue(cell.value)).trim();
+  });
+  const missing = IMPORT_COLUMNS.filter(c => c.required && !headers.includes(c.header)).map(c => c.header);
+  if (missing.length > 0) throw new ValidationError(`Missing columns: ${missing.join(', ')}`);
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, col) => {
+      if (headers[col]) values[headers[col]] = cellValue(cell.value);
+    });
+    if (Object.values(values).some(v => v !== '')) rows.push({ rowNumber, values });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Import files are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+  return rows;
+};
+
+// Images zip indexed by lower-cased file name (folders inside the zip are ignored)
+const loadImageArchive = async (buffer) => {
+  const files = {};
+  if (!buffer) return files;
+
+  const zip = await JSZip.loadAsync(buffer);
+  zip.forEach((entryPath, entry) => {
+    if (!entry.dir) files[path.basename(entryPath).toLowerCase()] = entry;
+  });
+  return files;
+};
+
+// Inflate a zip entry, giving up as soon as it outgrows the upload size limit, so a small zip cannot
+// expand into more memory than one allowed file. The size in the zip header is checked first, but can be forged.
+const readArchiveEntry = (entry, name) => {
+  const maxBytes = StorageService.getMaxFileBytes();
+  const tooLarge = () => new ValidationError(`File ${name} is larger than ${maxBytes} bytes`);
+  if (entry._data?.uncompressedSize > maxBytes) return Promise.reject(tooLarge());
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.pause();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+};
+
+const resolveImage = (value, archive, header, errors) => {
+  if (/^https?:\/\//i.test(value)) return value;
+  if (!IMAGE_EXTENSIONS.includes(path.extname(value).toLowerCase())) {
+    errors.push(`${header}: unsupported file type "${value}"`);
+    return null;
+  }
+  const entry = archive[path.basename(value).toLowerCase()];
+  if (!entry) {
+    errors.push(`${header}: "${value}" is not a URL and was not found in the images zip`);
+    return null;
+  }
+  if (entry._data?.uncompressedSize > StorageService.getMaxFileBytes()) {
+    errors.push(`${header}: "${value}" is larger than ${StorageService.getMaxFileBytes()} bytes`);
+    return null;
+  }
+  return value;
+};
+
+// Turn a sheet row into the same customerData shape /api/customers/create accepts
+const buildCustomerData = ({ values }, archive) => {
+  const errors = [];
+  const customerData = {};
+
+  IMPORT_COLUMNS.forEach(column => {
+    const raw = values[column.header];
+    if (raw === undefined || raw === '') {
+      if (column.required) errors.push(`${column.header} is required`);
+      return;
+    }
+
+    let value = raw;
+    switch (column.type) {
+      case 'number':
+        value = Number(raw);
+        if (Number.isNaN(value) || value < 0) {
+          errors.push(`${column.header} must be a positive number`);
+          return;
+        }
+        break;
+      case 'date':
+        value = raw instanceof Date ? raw : new Date(/^\d{4}-\d{2}-\d{2}/.test(raw) ? raw : NaN);
+        if (Number.isNaN(value.getTime())) {
+          errors.push(`${column.header} must be a date (YYYY-MM-DD)`);
+          return;
+        }
+        if (value > new Date()) {
+          errors.push(`${column.header} cannot be in the future`);
+          return;
+        }
+        break;
+      case 'email':
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+          errors.push(`${column.header} must be a valid email`);
+          return;
+        }
+        break;
+      case 'image':
+        value = resolveImage(String(raw), archive, column.header, errors);
+        if (!value) return;
+        break;
+      case 'imageList':
+        value = String(raw).split(/[;|]/).map(v => v.trim()).filter(Boolean)
+          .map(v => resolveImage(v, archive, column.header, errors))
+          .filter(Boolean);
+        break;
+      default:
+        value = String(raw);
+    }
+    setPath(customerData, column.path, value);
+  });
+
+  if (customerData.warrantyDetails?.warrantyPeriod !== undefined &&
+      !Number.isInteger(customerData.warrantyDetails.warrantyPeriod)) {
+    errors.push('warrantyPeriod must be a whole number of months');
+  }
+
+  return { customerData, errors };
+};
+
+const getErrorMessage = (error) => error.message.replace(/^(Customer data validation failed|Error creating customer): /, '');
+
+// Validate every row with the single-create rules plus duplicates within the file itself
+const validateRows = async (parsedRows, archive, companyId, createdBy) => {
+  const seenInvoices = new Map();
+  const seenSerials = new Map();
+  const results = [];
+
+  for (const parsedRow of parsedRows) {
+    const { customerData, errors } = buildCustomerData(parsedRow, archive);
+    const invoiceNumber = customerData.invoiceDetails?.invoiceNumber;
+    // Both IMEIs of a phone count as its identifiers; separators are ignored when comparing
+    const identifiers = [customerData.productDetails?.serialNumber, customerData.productDetails?.imei2]
+      .filter(Boolean)
+      .map(normalizeImei);
+
+    // One invoice may list several products, but all rows of it must be for the same buyer
+    const mobile = normalizeMobile(customerData.customerDetails?.mobile);
+    const invoiceRow = invoiceNumber && seenInvoices.get(invoiceNumber);
+    if (invoiceRow && invoiceRow.mobile !== mobile) {
+      errors.push(`Invoice number repeats row ${invoiceRow.rowNumber} with a different customer`);
+    }
+    identifiers.filter(id => seenSerials.has(id)).forEach(id => {
+      errors.push(`Serial number / IMEI ${id} repeats row ${seenSerials.get(id)}`);
+    });
+    if (invoiceNumber && !invoiceRow) seenInvoices.set(invoiceNumber, { rowNumber: parsedRow.rowNumber, mobile });
+    identifiers.forEach(id => seenSerials.set(id, parsedRow.rowNumber));
+
+    if (errors.length === 0) {
+      try {
+        await ValidationService.validateCustomerData(customerData, companyId, createdBy);
+      } catch (error) {
+        errors.push(getErrorMessage(error));
+      }
+    }
+
+    results.push({
+      rowNumber: parsedRow.rowNumber,
+      customerData,
+      premiumAmount: customerData.warrantyDetails?.premiumAmount || 0,
+      errors
+    });
+  }
+  return results;
+};
+
+const summarise = async (results, retailerId) => {
+  const validRows = results.filter(r => r.errors.length === 0);
+  const totalPremium = validRows.reduce((sum, r) => sum + r.premiumAmount, 0);
+  const retailer = await User.findOne({ userId: retailerId }).select('walletBalance.remainingAmount').lean();
+  const walletBalance = retailer?.walletBalance?.remainingAmount || 0;
+
+  return {
+    totalRows: results.length,
+    validRows: validRows.length,
+    invalidRows: results.length - validRows.length,
+    totalPremium,
+    walletBalance,
+    sufficientBalance: walletBalance >= totalPremium
+  };
+};
+
+// Validate an import without creating anything or touching the wallet
+const dryRunImport = async ({ file, images, retailerId, companyId, createdBy }) => {
+  const parsedRows = await parseImportFile(file.buffer, file.fileName);
+  const archive = await loadImageArchive(images?.buffer);
+  const results = await validateRows(parsedRows, archive, companyId, createdBy);
+
+  return {
+    ...(await summarise(results, retailerId)),
+    rows: results.map(r => ({
+      rowNumber: r.rowNumber,
+      valid: r.errors.length === 0,
+      premiumAmount: r.premiumAmount,
+      errors: r.errors
+    }))
+  };
+};
+
+// Put zip images referenced by a row into storage (normalised, with thumbnails) and point the row at them
+const storeRowImages = async (customerData, archive, { companyId, ownerId }) => {
+  const store = async (value) => {
+    if (/^https?:\/\//i.test(value)) return value;
+    const entry = archive[path.basename(value).toLowerCase()];
+    const file = await StorageService.saveFile({
+      buffer: await readArchiveEntry(entry, path.basename(value)),
+      originalName: path.basename(value),
+      companyId,
+      ownerId,
+      purpose: 'CUSTOMER_IMAGE'
+    });
+    return file.ref;
+  };
+
+  const { invoiceDetails, productImages } = customerData;
+  invoiceDetails.invoiceImage = await store(invoiceDetails.invoiceImage);
+  for (const key of ['frontImage', 'backImage', 'leftImage', 'rightImage']) {
+    productImages[key] = await store(productImages[key]);
+  }
+  if (productImages.additionalImages) {
+    productImages.additionalImages = await Promise.all(productImages.additionalImages.map(store));
+  }
+};
+
+const releaseJob = async (jobId) => {
+  const job = await ImportJob.findOne({ jobId }).select('rows.status').lean();
+  const createdCount = job.rows.filter(r => r.status === 'CREATED').length;
+  const failedCount = job.rows.filter(r => r.status === 'FAILED').length;
+
+  return await ImportJob.findOneAndUpdate(
+    { jobId },
+    {
+      $set: {
+        status: failedCount > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED',
+        createdCount,
+        failedCount,
+        lockedUntil: null,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+const updateRow = (jobId, rowId, fields) => {
+  const $set = { updatedAt: new Date(), lockedUntil: new Date(Date.now() + LEASE_MS) };
+  Object.entries(fields).forEach(([key, value]) => {
+    $set[`rows.$.${key}`] = value;
+  });
+  return ImportJob.updateOne({ jobId, 'rows._id': rowId }, { $set });
+};
+
+// A row left in PROCESSING by a crashed worker: the warranty either exists or the row is failed for
+// review, never retried blindly, because the wallet may already have been debited for it
+const settleInterruptedRow = async (job, row) => {
+  const customer = await Customer.findOne({
+    // IMEIs are stored without separators
+    'productDetails.serialNumber': {
+      $in: [row.data.productDetails.serialNumber, normalizeImei(row.data.productDetails.serialNumber)]
+    },
+    retailerId: job.retailerId,
+    // The device may also have an earlier, expired warranty
+    'dates.createdDate': { $gte: job.createdAt }
+  }).select('customerId warrantyKey').lean();
+
+  if (customer) {
+    await updateRow(job.jobId, row._id, {
+      status: 'CREATED',
+      customerId: customer.customerId,
+      warrantyKey: customer.warrantyKey,
+      processedAt: new Date()
+    });
+  } else {
+    await updateRow(job.jobId, row._id, {
+      status: 'FAILED',
+      messages: ['Processing was interrupted before the warranty was saved; check the wallet history and import this row again if it was not charged'],
+      failedStage: 'INTERRUPTED',
+      processedAt: new Date()
+    });
+  }
+};
+
+const processRow = async (job, row) => {
+  await updateRow(job.jobId, row._id, { status: 'PROCESSING' });
+
+  try {
+    // Re-validate: another import or a single registration may have used the invoice/serial since
+    await ValidationService.validateCustomerData(row.data, job.companyId, job.createdBy);
+    const customer = await CustomerService.createCustomer(row.data, job.retailerId, job.companyId, job.createdBy);
+
+    await updateRow(job.jobId, row._id, {
+      status: 'CREATED',
+      customerId: customer.customerId,
+      warrantyKey: customer.warrantyKey,
+      messages: [],
+      processedAt: new Date()
+    });
+
+    try {
+      await CertificateService.generateCertificate(customer.customerId, job.createdBy);
+    } catch (error) {
+      console.error(`Certificate generation failed for ${customer.customerId}:`, error.message);
+    }
+  } catch (error) {
+    await updateRow(job.jobId, row._id, {
+      status: 'FAILED',
+      messages: [getErrorMessage(error)],
+      failedStage: 'PROCESSING',
+      processedAt: new Date()
+    });
+  }
+};
+
+// Work through the pending rows of a job. Takes a lease first, so concurrent calls (a double click,
+// two server instances) cannot create the same row twice; returns null when the job is busy or done.
+const processImportJob = async (jobId) => {
+  const now = new Date();
+  const job = await ImportJob.findOneAndUpdate(
+    {
+      jobId,
+      status: { $in: ['PENDING', 'PROCESSING'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { status: 'PROCESSING', lockedUntil: new Date(now.getTime() + LEASE_MS), updatedAt: now } },
+    { new: true }
+  ).lean();
+  if (!job) return null;
+
+  if (!job.startedAt) await ImportJob.updateOne({ jobId }, { $set: { startedAt: now } });
+
+  for (const row of job.rows) {
+    if (row.status === 'PROCESSING') {
+      await settleInterruptedRow(job, row);
+    } else if (row.status === 'PENDING') {
+      await processRow(job, row);
+    }
+  }
+
+  return await releaseJob(jobId);
+};
+
+// Create a tracked job from the file: invalid rows are failed up front, valid rows are queued
+const createImportJob = async ({ file, images, retailerId, companyId, createdBy }) => {
+  const parsedRows = await parseImportFile(file.buffer, file.fileName);
+  const archive = await loadImageArchive(images?.buffer);
+  const results = await validateRows(parsedRows, archive, companyId, createdBy);
+
+  const jobId = generateJobId();
+  for (const result of results) {
+    if (result.errors.length > 0) continue;
+    try {
+      await storeRowImages(result.customerData, archive, { companyId, ownerId: createdBy });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      result.errors.push(error.message); // e.g. an image whose content does not match its extension
+    }
+  }
+
+  const summary = await summarise(results, retailerId);
+
+  const job = new ImportJob({
+    jobId,
+    companyId,
+    retailerId,
+    createdBy,
+    fileName: file.fileName,
+    totalRows: results.length,
+    failedCount: summary.invalidRows,
+    totalPremium: summary.totalPremium,
+    rows: results.map(r => ({
+      rowNumber: r.rowNumber,
+      status: r.errors.length === 0 ? 'PENDING' : 'FAILED',
+      data: r.customerData,
+      premiumAmount: r.premiumAmount,
+      messages: r.errors,
+      failedStage: r.errors.length === 0 ? null : 'UPLOAD',
+      processedAt: r.errors.length === 0 ? null : new Date()
+    }))
+  });
+  await job.save();
+
+  return { job, summary };
+};
+
+const getAccessibleJob = async (jobId, user) => {
+  const job = await ImportJob.findOne({ jobId });
+  if (!job) throw new NotFoundError('Import job not found');
+  if (job.retailerId !== user.userId && job.createdBy !== user.userId) {
+    throw new AuthorizationError('No access to this import job');
+  }
+  return job;
+};
+
+// Queue failed rows again (after topping up the wallet, for example) and reopen the job. Rows rejected
+// on upload are left failed: their images never reached storage, so only a new file can fix them. Rows
+// interrupted mid-processing are left too: the wallet may already have been debited for them.
+const resumeImportJob = async (jobId, user, { retryFailed = false } = {}) => {
+  const job = await getAccessibleJob(jobId, user);
+  if (job.status === 'PROCESSING' && job.lockedUntil && job.lockedUntil > new Date()) {
+    throw new ValidationError('Import job is already being processed');
+  }
+
+  const update = { status: 'PENDING', completedAt: null, updatedAt: new Date() };
+  if (retryFailed) {
+    update['rows.$[failed].status'] = 'PENDING';
+    update['rows.$[failed].messages'] = [];
+    update['rows.$[failed].failedStage'] = null;
+    update['rows.$[failed].processedAt'] = null;
+  }
+  await ImportJob.updateOne(
+    { jobId },
+    { $set: update },
+    retryFailed ? { arrayFilters: [{ 'failed.status': 'FAILED', 'failed.failedStage': 'PROCESSING' }] } : {}
+  );
+
+  return await ImportJob.findOne({ jobId }).select('-rows.data').lean();
+};
+
+const getImportJob = async (jobId, user) => {
+  const job = await getAccessibleJob(jobId, user);
+  const { rows, ...rest } = job.toObject();
+  return {
+    ...rest,
+    rows: rows.map(({ data, _id, ...row }) => ({
+      ...row,
+      serialNumber: data?.productDetails?.serialNumber || null,
+      invoiceNumber: data?.invoiceDetails?.invoiceNumber || null
+    }))
+  };
+};
+
+const listImportJobs = async (user, { page = 1, limit = 10 } = {}) => {
+  const query = { $or: [{ retailerId: user.userId }, { createdBy: user.userId }] };
+  const [jobs, totalData] = await Promise.all([
+    ImportJob.find(query)
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ImportJob.countDocuments(query)
+  ]);
+
+  return {
+    jobs,
+    totalData,
+    currentPage: page,
+    totalPages: Math.ceil(totalData / limit),
+    limit
+  };
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  dryRunImport,
+  createImportJob,
+  processImportJob,
+  resumeImportJob,
+  getImportJob,
+  listImportJobs
+};
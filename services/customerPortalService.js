@@ -0,0 +1,218 @@
+const { Claim, ClaimMessage, Customer, CustomerProfile } = require('../schemas');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const OtpService = require('./otpService');
+const CertificateService = require('./certificateService');
+const StorageService = require('./storageService');
+const ClaimWorkflowService = require('./claimWorkflowService');
+const { getIneligibilityReasons } = require('./claimEligibilityService');
+const { getWarrantyStatus } = require('./warrantyLookupService');
+
+const PURPOSE = 'CUSTOMER_LOGIN';
+const MAX_CLAIM_PHOTOS = 6;
+const PHOTO_URL_TTL_SECONDS = 15 * 60;
+
+// A portal customer is a mobile number: they see the warranties of every profile (one per company)
+// registered to it. Warranties follow their profile, so a transferred warranty leaves the seller's view.
+const getOwnProfileIds = async (mobile) => {
+  const profiles = await CustomerProfile.find({ normalizedMobile: mobile }).select('profileId').lean();
+  return profiles.map(profile => profile.profileId);
+};
+
+const ownWarrantyQuery = async (mobile) => ({ profileId: { $in: await getOwnProfileIds(mobile) } });
+
+// Someone else's warranty looks exactly like a missing one
+const findOwnWarranty = async (customerId, mobile) => {
+  const customer = await Customer.findOne({ customerId, ...(await ownWarrantyQuery(mobile)) });
+  if (!customer) throw new NotFoundError('Warranty not found');
+  return customer;
+};
+
+const findOwnClaim = async (claimId, mobile) => {
+  const claim = await Claim.findOne({ claimId, isActive: true }).lean();
+  if (!claim) throw new NotFoundError('Claim not found');
+  const owned = await Customer.exists({ customerId: claim.customerId, ...(await ownWarrantyQuery(mobile)) });
+  if (!owned) throw new NotFoundError('Claim not found');
+  return claim;
+};
+
+// Send a login OTP when the number belongs to a customer. The response is the same either way
+// (a rate-limited number included), so the endpoint cannot be used to find out which numbers are registered.
+const requestLoginOtp = async (mobile, requestIp) => {
+  const normalizedMobile = OtpService.normalizeMobile(mobile);
+  if (normalizedMobile.length !== 10) throw new ValidationError('Invalid mobile number');
+
+  OtpService.assertSmsAvailable();
+  const registered = await CustomerProfile.exists({ normalizedMobile });
+  if (!registered) return OtpService.createDecoyChallenge();
+
+  return await OtpService.createOtpChallenge({
+    purpose: PURPOSE,
+    mobile,
+    requestIp,
+    message: 'Your warranty portal login code is',
+    decoyWhenLimited: true
+  });
+};
+
+// Verify the login OTP; the token is issued by the route for the mobile returned here
+const verifyLoginOtp = async (challengeId, otp) => {
+  const challenge = await OtpService.verifyOtpChallenge(challengeId, PURPOSE, otp);
+  return { mobile: challenge.mobile };
+};
+
+const lastUpdated = (claim) => (claim.statusHistory?.length
+  ? claim.statusHistory[claim.statusHistory.length - 1].changedAt
+  : claim.claimDate);
+
+// Only whitelisted fields leave the portal: no hierarchy, pricing or internal processing data
+const toWarrantySummary = (customer) => ({
+  customerId: customer.customerId,
+  warrantyKey: customer.warrantyKey,
+  status: getWarrantyStatus(customer),
+  product: {
+    brand: customer.productDetails?.brand || null,
+    modelName: customer.productDetails?.modelName || null,
+    category: customer.productDetails?.category || null,
+    serialNumber: customer.productDetails?.serialNumber || null
+  },
+  plan: {
+    planName: customer.warrantyDetails?.planName || null,
+    warrantyPeriod: customer.warrantyDetails?.warrantyPeriod || null
+  },
+  startDate: customer.warrantyDetails?.startDate || null,
+  expiryDate: customer.warrantyDetails?.expiryDate || null,
+  hasCertificate: Boolean(customer.certificate?.certificateNumber)
+});
+
+const listWarranties = async (mobile) => {
+  const customers = await Customer.find(await ownWarrantyQuery(mobile))
+    .select('customerId warrantyKey status isActive cancellation.isCancelled productDetails.brand productDetails.modelName productDetails.category productDetails.serialNumber warrantyDetails certificate.certificateNumber createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+  return customers.map(toWarrantySummary);
+};
+
+// Certificate PDF of one of the customer's warranties
+const getCertificate = async (customerId, mobile) => {
+  const customer = await findOwnWarranty(customerId, mobile);
+  return await CertificateService.loadCertificate(customer.customerId, customer.profileId);
+};
+
+// File a claim against one of the customer's warranties. Eligibility is checked before the photos are
+// stored, so a refused claim leaves no files behind. Photos belong to the selling retailer's folder,
+// which keeps them visible to the retailer and the company staff above them.
+const fileClaim = async (mobile, { customerId, claimType, claimDescription }, photos = []) => {
+  if (photos.length > MAX_CLAIM_PHOTOS) {
+    throw new ValidationError(`At most ${MAX_CLAIM_PHOTOS} photos can be attached to a claim`);
+  }
+
+  const customer = await findOwnWarranty(customerId, mobile);
+  const { reasons, period } = await getIneligibilityReasons(customer, claimType);
+  if (reasons.length > 0) {
+    throw new ValidationError(`Claim is not eligible: ${reasons.join('; ')}`);
+  }
+
+  const damageImages = [];
+  for (const photo of photos) {
+    const file = await StorageService.saveFile({
+      buffer: photo.buffer,
+      originalName: photo.filename,
+      companyId: customer.companyId,
+      ownerId: customer.retailerId,
+      purpose: 'CLAIM_DAMAGE'
+    });
+    damageImages.push(file.ref);
+  }
+
+  return await ClaimWorkflowService.openClaim(
+    customer,
+    period,
+    { claimType, claimDescription, damageImages },
+    { userId: customer.profileId, userType: 'CUSTOMER' }
+  );
+};
+
+const listClaims = async (mobile) => {
+  const customers = await Customer.find(await ownWarrantyQuery(mobile)).select('customerId').lean();
+  const claims = await Claim.find({
+    customerId: { $in: customers.map(customer => customer.customerId) },
+    isActive: true
+  })
+    .select('claimId customerId claimType claimStatus claimDate statusHistory.changedAt')
+    .sort({ claimDate: -1 })
+    .lean();
+
+  return claims.map(claim => ({
+    claimId: claim.claimId,
+    customerId: claim.customerId,
+    claimType: claim.claimType,
+    claimStatus: claim.claimStatus,
+    claimDate: claim.claimDate,
+    lastUpdated: lastUpdated(claim)
+  }));
+};
+
+// Photo URLs expire like every other download link
+const signPhoto = async (ref) => {
+  if (!ref || !StorageService.isFileRef(ref)) return null;
+  try {
+    const { url } = await StorageService.getDownloadUrl(ref, { expiresIn: PHOTO_URL_TTL_SECONDS });
+    return url;
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
+};
+
+// Progress of a claim: the status timeline without who changed it or why, and the messages
+// the company shared with the customer
+const getClaim = async (claimId, mobile) => {
+  const claim = await findOwnClaim(claimId, mobile);
+
+  const messages = await ClaimMessage.find({ claimId: claim.claimId, visibility: 'CUSTOMER' })
+    .select('messageId body createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const photos = [];
+  for (const entry of claim.damageImageVariants || []) {
+    photos.push({
+      thumbnail: await signPhoto(entry.thumbnail),
+      preview: await signPhoto(entry.preview || entry.image)
+    });
+  }
+
+  const settled = ['APPROVED', 'COMPLETED'].includes(claim.claimStatus);
+  return {
+    claimId: claim.claimId,
+    customerId: claim.customerId,
+    claimType: claim.claimType,
+    claimStatus: claim.claimStatus,
+    claimDescription: claim.claimDescription,
+    claimDate: claim.claimDate,
+    approvedAmount: settled ? claim.approvedAmount : null,
+    repairStatus: claim.repairDetails?.jobStatus || null,
+    lastUpdated: lastUpdated(claim),
+    timeline: (claim.statusHistory || []).map(entry => ({
+      status: entry.toStatus,
+      changedAt: entry.changedAt
+    })),
+    photos,
+    messages: messages.map(message => ({
+      messageId: message.messageId,
+      body: message.body,
+      createdAt: message.createdAt
+    }))
+  };
+};
+
+module.exports = {
+  MAX_CLAIM_PHOTOS,
+  requestLoginOtp,
+  verifyLoginOtp,
+  listWarranties,
+  getCertificate,
+  fileClaim,
+  listClaims,
+  getClaim
+};
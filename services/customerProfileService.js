@@ -0,0 +1,210 @@
+const { Claim, Customer, CustomerProfile } = require('../schemas');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { normalizeMobile } = require('./otpService');
+
+// The profile is the buyer's record of truth. Each warranty still keeps a copy of the owner details
+// (customerDetails): list search and sorting, exports, certificates, claim queries and the public lookup
+// all read it straight from the warranty, and dropping it would put a profile join in every one of them.
+// The copy is the price of that: updateProfile rewrites it on every linked warranty, with a revision each.
+const PROFILE_FIELDS = ['name', 'email', 'mobile', 'alternateNumber', 'address'];
+const DUPLICATE_KEY = 11000;
+
+const generateProfileId = () => `CP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const pickProfileDetails = (details = {}) => PROFILE_FIELDS.reduce((picked, field) => {
+  if (details[field] !== undefined) picked[field] = details[field];
+  return picked;
+}, {});
+
+// The buyer's profile in a company, matched on mobile number and created on first purchase.
+// Details of an existing profile are left as they are; later warranties only link to it.
+const findOrCreateProfile = async (customerDetails, companyId, createdBy = null) => {
+  const normalizedMobile = normalizeMobile(customerDetails?.mobile);
+  if (!normalizedMobile) throw new ValidationError('Customer mobile number is required');
+
+  const upsert = () => CustomerProfile.findOneAndUpdate(
+    { companyId, normalizedMobile },
+    {
+      $setOnInsert: {
+        ...pickProfileDetails(customerDetails),
+        profileId: generateProfileId(),
+        companyId,
+        normalizedMobile,
+        createdBy,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first purchases at once: the unique index lets one insert win, the other reads it
+    if (error.code === DUPLICATE_KEY) return await upsert();
+    throw error;
+  }
+};
+
+// An invoice may cover several products, but only of one buyer
+const assertInvoiceAvailable = async (invoiceNumber, companyId, mobile) => {
+  const existing = await Customer.findOne({ companyId, 'invoiceDetails.invoiceNumber': invoiceNumber })
+    .select('warrantyKey customerDetails.mobile')
+    .lean();
+  if (existing && normalizeMobile(existing.customerDetails?.mobile) !== normalizeMobile(mobile)) {
+    throw new ValidationError('Invoice number already exists in this company for a different customer');
+  }
+};
+
+// Warranties of a profile the user may see; access follows the selling retailer of each warranty
+const getVisibleWarranties = async (profileId, user) => {
+  // services.js loads this module, so HierarchyService is only required once it is needed
+  const { HierarchyService } = require('../services');
+  const warranties = await Customer.find({ profileId })
+    .select('customerId warrantyKey companyId retailerId status isActive customerDetails productDetails warrantyDetails.planName warrantyDetails.warrantyPeriod warrantyDetails.startDate warrantyDetails.expiryDate invoiceDetails.invoiceNumber invoiceDetails.invoiceDate cancellation.isCancelled expiry.isExpired dates.createdDate')
+    .sort({ 'dates.createdDate': -1 })
+    .lean();
+
+  const retailerAccess = {};
+  for (const retailerId of new Set(warranties.map(w => w.retailerId))) {
+    retailerAccess[retailerId] = await HierarchyService.checkUserPermission(user.userId, retailerId, 'VIEW');
+  }
+  return warranties.filter(w => retailerAccess[w.retailerId]);
+};
+
+const resolveProfileId = async ({ profileId, customerId }) => {
+  if (profileId) return profileId;
+  const customer = await Customer.findOne({ customerId }).select('profileId').lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+  if (!customer.profileId) throw new NotFoundError('Warranty is not linked to a customer profile yet');
+  return customer.profileId;
+};
+
+// A buyer with every warranty and claim the user can see
+const getProfile = async (identifiers, user) => {
+  const profileId = await resolveProfileId(identifiers);
+  const profile = await CustomerProfile.findOne({ profileId }).lean();
+  if (!profile) throw new NotFoundError('Customer profile not found');
+
+  const warranties = await getVisibleWarranties(profileId, user);
+  if (warranties.length === 0) throw new AuthorizationError('No permission to view this customer');
+
+  const claims = await Claim.find({ customerId: { $in: warranties.map(w => w.customerId) }, isActive: true })
+    .select('claimId customerId warrantyKey claimType claimStatus claimDate claimAmount approvedAmount')
+    .sort({ claimDate: -1 })
+    .lean();
+
+  return { profile, warranties, claims };
+};
+
+// Update the buyer's details and copy them to the owner details of each of their warranties
+const updateProfile = async (identifiers, profileData, user) => {
+  const { CompanyService } = require('../services');
+  if (user.userType.includes('SUPPORT_EMPLOYEE') && !user.supportPermissions?.effectivePermissions?.canEditCustomers) {
+    throw new AuthorizationError('Support employee does not have permission to edit customers');
+  }
+
+  const profileId = await resolveProfileId(identifiers);
+  const profile = await CustomerProfile.findOne({ profileId }).lean();
+  if (!profile) throw new NotFoundError('Customer profile not found');
+
+  // The details are copied to every warranty of the buyer, so the user must be able to see all of them
+  const warranties = await getVisibleWarranties(profileId, user);
+  if (warranties.length === 0) throw new AuthorizationError('No permission to edit this customer');
+  const linked = await Customer.find({ profileId }).select('customerId companyId customerDetails').lean();
+  if (warranties.length < linked.length) {
+    throw new AuthorizationError('Customer has warranties sold outside your hierarchy; ask a user above both retailers to edit the profile');
+  }
+
+  const details = pickProfileDetails(profileData);
+  const set = { ...details, updatedAt: new Date() };
+  if (details.mobile) {
+    set.normalizedMobile = normalizeMobile(details.mobile);
+    const taken = await CustomerProfile.exists({
+      companyId: profile.companyId,
+      normalizedMobile: set.normalizedMobile,
+      profileId: { $ne: profileId }
+    });
+    if (taken) throw new ValidationError('Another customer profile already uses this mobile number');
+  }
+
+  const updated = await CustomerProfile.findOneAndUpdate({ profileId }, { $set: set }, { new: true, runValidators: true }).lean();
+
+  const ownerDetails = {};
+  Object.entries(details).forEach(([field, value]) => { ownerDetails[`customerDetails.${field}`] = value; });
+  await Customer.updateMany(
+    { profileId, customerId: { $in: linked.map(w => w.customerId) } },
+    { $set: { ...ownerDetails, 'dates.lastModifiedDate': new Date() } },
+    { runValidators: true }
+  );
+
+  // customerHistoryService loads this module, so it is only required once it is needed
+  const { diffCustomer, recordRevision } = require('./customerHistoryService');
+  for (const warranty of linked) {
+    const changes = diffCustomer(warranty, { customerDetails: { ...warranty.customerDetails, ...details } });
+    if (changes.length > 0) {
+      await recordRevision(warranty, changes, user.userId, { source: 'PROFILE_UPDATE' });
+    }
+  }
+
+  await CompanyService.createAuditLog(
+    user.userId,
+    'UPDATE',
+    'CUSTOMER',
+    profileId,
+    pickProfileDetails(profile),
+    details,
+    profile.companyId
+  );
+
+  return updated;
+};
+
+// One-off migration: link every warranty created before profiles existed to its buyer's profile.
+// Safe to re-run; only warranties without a profileId are touched.
+const migrateCustomerProfiles = async () => {
+  // Invoice numbers used to be unique across all warranties; they now repeat for multi-product invoices.
+  // Serial numbers were too; a device now only needs to be free of an active warranty in the company.
+  for (const index of ['invoiceDetails.invoiceNumber_1', 'productDetails.serialNumber_1']) {
+    try {
+      await Customer.collection.dropIndex(index);
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    }
+  }
+  await Customer.syncIndexes();
+  await CustomerProfile.syncIndexes();
+
+  const result = { linked: 0, profilesCreated: 0, skipped: [] };
+  const cursor = Customer.find({ profileId: null })
+    .select('customerId companyId customerDetails')
+    .lean()
+    .cursor();
+
+  for await (const customer of cursor) {
+    if (!normalizeMobile(customer.customerDetails?.mobile)) {
+      result.skipped.push({ customerId: customer.customerId, reason: 'No customer mobile number' });
+      continue;
+    }
+    const existed = await CustomerProfile.exists({
+      companyId: customer.companyId,
+      normalizedMobile: normalizeMobile(customer.customerDetails.mobile)
+    });
+    const profile = await findOrCreateProfile(customer.customerDetails, customer.companyId);
+    await Customer.updateOne({ customerId: customer.customerId, profileId: null }, { $set: { profileId: profile.profileId } });
+    if (!existed) result.profilesCreated++;
+    result.linked++;
+  }
+
+  return result;
+};
+
+module.exports = {
+  pickProfileDetails,
+  findOrCreateProfile,
+  assertInvoiceAvailable,
+  getProfile,
+  updateProfile,
+  migrateCustomerProfiles
+};
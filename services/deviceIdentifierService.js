@@ -0,0 +1,120 @@
+const { Brand, Customer } = require('../schemas');
+const { ValidationError } = require('../middleware/errorHandler');
+const { findProductCategory } = require('./premiumService');
+
+const IMEI_PATTERN = /^\d{15}$/;
+
+// IMEIs are often typed with spaces or dashes ("35-209900-176148-1")
+const normalizeImei = (value) => String(value).replace(/[\s-]/g, '');
+
+// Luhn check over all 15 digits; the last digit is the check digit
+const isValidImei = (value) => {
+  const imei = normalizeImei(value);
+  if (!IMEI_PATTERN.test(imei)) return false;
+
+  const sum = imei.split('').reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+};
+
+// Brand patterns must match the whole serial; an invalid stored pattern is reported, not ignored
+const compileSerialPattern = (pattern) => {
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch (error) {
+    throw new ValidationError(`Invalid serial number pattern "${pattern}": ${error.message}`);
+  }
+};
+
+const getIdentifierRules = (category) => ({
+  type: category?.identifierRules?.type === 'IMEI' ? 'IMEI' : 'SERIAL',
+  allowSecondImei: category?.identifierRules?.allowSecondImei === true
+});
+
+// Check the device identifiers of a registration against its category/brand rules.
+// Returns the identifiers as they should be stored (IMEIs without separators).
+const normalizeProductIdentifiers = async (productDetails = {}) => {
+  const serialNumber = String(productDetails.serialNumber || '').trim();
+  const imei2 = productDetails.imei2 ? String(productDetails.imei2).trim() : null;
+  if (!serialNumber) throw new ValidationError('Serial number / IMEI is required');
+
+  const category = await findProductCategory(productDetails);
+  const rules = getIdentifierRules(category);
+
+  if (rules.type === 'IMEI') {
+    if (!isValidImei(serialNumber)) {
+      throw new ValidationError(`IMEI "${serialNumber}" is not valid: expected 15 digits with a correct check digit`);
+    }
+    if (imei2) {
+      if (!rules.allowSecondImei) {
+        throw new ValidationError(`Category "${category.categoryName}" does not take a second IMEI`);
+      }
+      if (!isValidImei(imei2)) {
+        throw new ValidationError(`Second IMEI "${imei2}" is not valid: expected 15 digits with a correct check digit`);
+      }
+      if (normalizeImei(imei2) === normalizeImei(serialNumber)) {
+        throw new ValidationError('Second IMEI must differ from the first IMEI');
+      }
+    }
+    return { serialNumber: normalizeImei(serialNumber), imei2: imei2 ? normalizeImei(imei2) : null };
+  }
+
+  if (imei2) {
+    throw new ValidationError(`A second IMEI is only accepted for IMEI categories, not "${category?.categoryName || productDetails.category || 'this product'}"`);
+  }
+
+  if (productDetails.brand) {
+    const brand = await Brand.findOne({ brandName: productDetails.brand }).select('brandName serialNumberPattern').lean();
+    if (brand?.serialNumberPattern && !compileSerialPattern(brand.serialNumberPattern).test(serialNumber)) {
+      throw new ValidationError(`Serial number "${serialNumber}" does not match the ${brand.brandName} serial number format`);
+    }
+  }
+  return { serialNumber, imei2: null };
+};
+
+// Reject identifiers of a device that still has an active warranty in the company, as either IMEI.
+// Expired and cancelled warranties do not block the device from being covered again.
+const assertIdentifiersAvailable = async ({ serialNumber, imei2 }, companyId, excludeCustomerId = null) => {
+  const identifiers = [serialNumber, imei2].filter(Boolean);
+  const query = {
+    companyId,
+    $or: [
+      { 'productDetails.serialNumber': { $in: identifiers } },
+      { 'productDetails.imei2': { $in: identifiers } }
+    ]
+  };
+  if (excludeCustomerId) query.customerId = { $ne: excludeCustomerId };
+
+  query.isActive = true;
+  query['cancellation.isCancelled'] = { $ne: true };
+  query['warrantyDetails.expiryDate'] = { $gte: new Date() };
+
+  const active = await Customer.findOne(query)
+    .select('warrantyKey productDetails.serialNumber productDetails.imei2')
+    .lean();
+  if (!active) return;
+
+  const used = identifiers.find(id => [active.productDetails?.serialNumber, active.productDetails?.imei2].includes(id));
+  throw new ValidationError(`Device ${used} already has an active warranty (${active.warrantyKey})`);
+};
+
+const validateProductIdentifiers = async (productDetails, companyId, excludeCustomerId = null) => {
+  const identifiers = await normalizeProductIdentifiers(productDetails);
+  await assertIdentifiersAvailable(identifiers, companyId, excludeCustomerId);
+  return identifiers;
+};
+
+module.exports = {
+  normalizeImei,
+  isValidImei,
+  compileSerialPattern,
+  normalizeProductIdentifiers,
+  assertIdentifiersAvailable,
+  validateProductIdentifiers
+};
@@ -0,0 +1,457 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const mongoose = require('mongoose');
+const { Claim, Company, Customer, ExportJob, User, WalletManagement } = require('../schemas');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { EXPORT_FORMATS, createExportWriter } = require('../utils/export');
+const StorageService = require('./storageService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BATCH_SIZE = 500;
+const LEASE_MS = 5 * 60 * 1000; // the writer renews its lease after every batch
+
+// Larger exports (or any with background: true) are written by a job and fetched from storage
+const getSyncRowLimit = () => Number(process.env.EXPORT_SYNC_ROW_LIMIT) || 50000;
+
+const customerStatus = (customer) => {
+  if (customer.cancellation?.isCancelled) return 'Cancelled';
+  return customer.status == 1 ? 'Active' : 'Inactive';
+};
+
+// Parent user names for a batch of users
+const attachParentUsers = async (users) => {
+  const parentIds = [...new Set(users.map(user => user.parentUserId).filter(Boolean))];
+  const parents = await User.find({ userId: { $in: parentIds } }).select('userId name').lean();
+  const names = Object.fromEntries(parents.map(parent => [parent.userId, parent.name]));
+  return users.map(user => ({ ...user, parentUserName: names[user.parentUserId] || null }));
+};
+
+// Sender and receiver names for a batch of wallet transactions
+const attachTransactionUsers = async (transactions) => {
+  const userIds = new Set();
+  transactions.forEach(tx => {
+    if (tx.fromUserId) userIds.add(tx.fromUserId);
+    if (tx.toUserId) userIds.add(tx.toUserId);
+  });
+  const users = await User.find({ userId: { $in: [...userIds] } }).select('userId name').lean();
+  const names = Object.fromEntries(users.map(user => [user.userId, user.name]));
+  return transactions.map(tx => ({
+    ...tx,
+    fromUserName: names[tx.fromUserId] || null,
+    toUserName: names[tx.toUserId] || null
+  }));
+};
+
+// Exportable columns per dataset. fields are the document paths a column reads (the projection);
+// type date is localised to the company timezone, number stays numeric in XLSX and NDJSON.
+// defaultColumns are the columns of the former CSV downloads. Datasets with aggregate: true are
+// read through an aggregation pipeline (claims joined with their customer) instead of a query.
+const DATASETS = {
+  customers: {
+    model: Customer,
+    fileName: 'customers',
+    columns: [
+      { key: 'warrantyKey', header: 'Warranty Key', fields: ['warrantyKey'], value: c => c.warrantyKey },
+      { key: 'customerId', header: 'Customer ID', fields: ['customerId'], value: c => c.customerId },
+      { key: 'companyId', header: 'Company ID', fields: ['companyId'], value: c => c.companyId },
+      { key: 'retailerId', header: 'Retailer ID', fields: ['retailerId'], value: c => c.retailerId },
+      { key: 'name', header: 'Customer Name', fields: ['customerDetails.name'], value: c => c.customerDetails?.name },
+      { key: 'mobile', header: 'Mobile', fields: ['customerDetails.mobile'], value: c => c.customerDetails?.mobile },
+      { key: 'email', header: 'Email', fields: ['customerDetails.email'], value: c => c.customerDetails?.email },
+      { key: 'city', header: 'City', fields: ['customerDetails.address.city'], value: c => c.customerDetails?.address?.city },
+      { key: 'state', header: 'State', fields: ['customerDetails.address.state'], value: c => c.customerDetails?.address?.state },
+      { key: 'productName', header: 'Product', fields: ['productDetails.modelName'], value: c => c.productDetails?.modelName },
+      { key: 'brand', header: 'Brand', fields: ['productDetails.brand'], value: c => c.productDetails?.brand },
+      { key: 'productCategory', header: 'Category', fields: ['productDetails.category'], value: c => c.productDetails?.category },
+      { key: 'serialNumber', header: 'Serial Number', fields: ['productDetails.serialNumber'], value: c => c.productDetails?.serialNumber },
+      { key: 'invoiceNumber', header: 'Invoice Number', fields: ['invoiceDetails.invoiceNumber'], value: c => c.invoiceDetails?.invoiceNumber },
+      { key: 'planName', header: 'Plan', fields: ['warrantyDetails.planName'], value: c => c.warrantyDetails?.planName },
+      { key: 'premiumAmount', header: 'Premium Amount', type: 'number', fields: ['warrantyDetails.premiumAmount'], value: c => c.warrantyDetails?.premiumAmount || 0 },
+      { key: 'warrantyPeriod', header: 'Warranty Period (months)', type: 'number', fields: ['warrantyDetails.warrantyPeriod'], value: c => c.warrantyDetails?.warrantyPeriod || 0 },
+      { key: 'startDate', header: 'Start Date', type: 'date', fields: ['warrantyDetails.startDate'], value: c => c.warrantyDetails?.startDate },
+      { key: 'expiryDate', header: 'Expiry Date', type: 'date', fields: ['warrantyDetails.expiryDate'], value: c => c.warrantyDetails?.expiryDate },
+      { key: 'createdAt', header: 'Created At', type: 'date', fields: ['dates.createdDate'], value: c => c.dates?.createdDate },
+      { key: 'status', header: 'Status', fields: ['status', 'cancellation.isCancelled'], value: customerStatus },
+      { key: 'notes', header: 'Notes', fields: ['notes'], value: c => c.notes }
+    ],
+    defaultColumns: [
+      'warrantyKey', 'customerId', 'companyId', 'name', 'city', 'state', 'productName',
+      'productCategory', 'premiumAmount', 'warrantyPeriod', 'createdAt', 'status', 'notes'
+    ]
+  },
+  users: {
+    model: User,
+    fileName: 'users',
+    enrich: attachParentUsers,
+    columns: [
+      { key: 'userId', header: 'User ID', fields: ['userId'], value: u => u.userId },
+      { key: 'companyId', header: 'Company ID', fields: ['companyId'], value: u => u.companyId },
+      { key: 'name', header: 'Name', fields: ['name'], value: u => u.name },
+      { key: 'userType', header: 'User Type', fields: ['userType'], value: u => u.userType },
+      { key: 'email', header: 'Email', fields: ['email'], value: u => u.email },
+      { key: 'phone', header: 'Phone', fields: ['phone'], value: u => u.phone },
+      { key: 'isActive', header: 'Status', fields: ['isActive'], value: u => (u.isActive ? 'Active' : 'Inactive') },
+      { key: 'remainingAmount', header: 'Wallet Balance', type: 'number', fields: ['walletBalance.remainingAmount'], value: u => u.walletBalance?.remainingAmount || 0 },
+      { key: 'city', header: 'City', fields: ['address.city'], value: u => u.address?.city },
+      { key: 'state', header: 'State', fields: ['address.state'], value: u => u.address?.state },
+      { key: 'parentUserId', header: 'Parent User ID', fields: ['parentUserId'], value: u => u.parentUserId },
+      { key: 'parentUserName', header: 'Parent User', fields: ['parentUserId'], value: u => u.parentUserName },
+      { key: 'createdAt', header: 'Created At', type: 'date', fields: ['createdAt'], value: u => u.createdAt }
+    ],
+    defaultColumns: [
+      'userId', 'companyId', 'name', 'userType', 'email', 'phone', 'isActive',
+      'remainingAmount', 'city', 'state', 'parentUserName', 'createdAt'
+    ]
+  },
+  walletHistory: {
+    model: WalletManagement,
+    fileName: 'history',
+    enrich: attachTransactionUsers,
+    columns: [
+      { key: 'transactionId', header: 'Transaction ID', fields: ['transactionId'], value: tx => tx.transactionId },
+      { key: 'transactionType', header: 'Type', fields: ['transactionType'], value: tx => tx.transactionType },
+      { key: 'fromUserId', header: 'From User ID', fields: ['fromUserId'], value: tx => tx.fromUserId },
+      { key: 'fromUser', header: 'From User', fields: ['fromUserId'], value: tx => tx.fromUserName },
+      { key: 'toUserId', header: 'To User ID', fields: ['toUserId'], value: tx => tx.toUserId },
+      { key: 'toUser', header: 'To User', fields: ['toUserId'], value: tx => tx.toUserName },
+      { key: 'notes', header: 'Notes', fields: ['notes'], value: tx => tx.notes },
+      { key: 'isActive', header: 'Status', fields: ['isActive'], value: tx => (tx.isActive ? 'Active' : 'Inactive') },
+      { key: 'amount', header: 'Amount', type: 'number', fields: ['amount'], value: tx => tx.amount || 0 },
+      { key: 'warrantyKey', header: 'Warranty Key', fields: ['warrantyKey'], value: tx => tx.warrantyKey },
+      { key: 'customerDetails', header: 'Customer Name', fields: ['customerDetails.customerName'], value: tx => tx.customerDetails?.customerName },
+      { key: 'transactionDate', header: 'Transaction Date', type: 'date', fields: ['transactionDate'], value: tx => tx.transactionDate }
+    ],
+    defaultColumns: [
+      'transactionId', 'transactionType', 'fromUser', 'toUser', 'notes', 'isActive',
+      'amount', 'warrantyKey', 'customerDetails', 'transactionDate'
+    ]
+  },
+  claims: {
+    model: Claim,
+    aggregate: true,
+    fileName: 'claims',
+    columns: [
+      { key: 'claimId', header: 'Claim ID', fields: ['claimId'], value: c => c.claimId },
+      { key: 'warrantyKey', header: 'Warranty Key', fields: ['warrantyKey'], value: c => c.warrantyKey },
+      { key: 'companyId', header: 'Company ID', fields: ['companyId'], value: c => c.companyId },
+      { key: 'customerName', header: 'Customer Name', fields: ['customer.customerDetails.name'], value: c => c.customer?.customerDetails?.name },
+      { key: 'customerMobile', header: 'Customer Mobile', fields: ['customer.customerDetails.mobile'], value: c => c.customer?.customerDetails?.mobile },
+      { key: 'retailerId', header: 'Retailer ID', fields: ['customer.retailerId'], value: c => c.customer?.retailerId },
+      { key: 'brand', header: 'Brand', fields: ['customer.productDetails.brand'], value: c => c.customer?.productDetails?.brand },
+      { key: 'category', header: 'Category', fields: ['customer.productDetails.category'], value: c => c.customer?.productDetails?.category },
+      { key: 'modelName', header: 'Model', fields: ['customer.productDetails.modelName'], value: c => c.customer?.productDetails?.modelName },
+      { key: 'serialNumber', header: 'Serial Number', fields: ['customer.productDetails.serialNumber'], value: c => c.customer?.productDetails?.serialNumber },
+      { key: 'claimType', header: 'Claim Type', fields: ['claimType'], value: c => c.claimType },
+      { key: 'claimStatus', header: 'Status', fields: ['claimStatus'], value: c => c.claimStatus },
+      { key: 'claimAmount', header: 'Claim Amount', type: 'number', fields: ['claimAmount'], value: c => c.claimAmount },
+      { key: 'approvedAmount', header: 'Approved Amount', type: 'number', fields: ['approvedAmount'], value: c => c.approvedAmount },
+      { key: 'riskScore', header: 'Risk Score', type: 'number', fields: ['fraudAssessment.riskScore'], value: c => c.fraudAssessment?.riskScore },
+      { key: 'claimDate', header: 'Claim Date', type: 'date', fields: ['claimDate'], value: c => c.claimDate },
+      { key: 'approvalDate', header: 'Approval Date', type: 'date', fields: ['approvalDate'], value: c => c.approvalDate },
+      { key: 'completionDate', header: 'Completion Date', type: 'date', fields: ['completionDate'], value: c => c.completionDate }
+    ],
+    defaultColumns: [
+      'claimId', 'warrantyKey', 'companyId', 'customerName', 'customerMobile', 'retailerId', 'brand',
+      'category', 'modelName', 'serialNumber', 'claimType', 'claimStatus', 'claimAmount',
+      'approvedAmount', 'riskScore', 'claimDate', 'approvalDate', 'completionDate'
+    ]
+  }
+};
+
+const getDataset = (dataset) => {
+  const definition = DATASETS[dataset];
+  if (!definition) throw new ValidationError(`Unknown export dataset: ${dataset}`);
+  return definition;
+};
+
+// Column choices of every dataset, for building an export dialog
+const listExportColumns = () => Object.fromEntries(Object.entries(DATASETS).map(([name, definition]) => [name, {
+  columns: definition.columns.map(({ key, header, type = 'string' }) => ({ key, header, type })),
+  defaultColumns: definition.defaultColumns
+}]));
+
+// Selected columns in the order asked for; none selected means the dataset's defaults
+const resolveColumns = (dataset, keys) => {
+  const definition = getDataset(dataset);
+  const selected = keys && keys.length > 0 ? [...new Set(keys)] : definition.defaultColumns;
+  const unknown = selected.filter(key => !definition.columns.some(column => column.key === key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown ${dataset} export columns: ${unknown.join(', ')}`);
+  }
+  return selected.map(key => definition.columns.find(column => column.key === key));
+};
+
+const resolveFormat = (format) => {
+  if (!EXPORT_FORMATS[format]) throw new ValidationError(`Unsupported export format: ${format}`);
+  return EXPORT_FORMATS[format];
+};
+
+// The company's IANA timezone; an unknown name falls back to UTC
+const getCompanyTimezone = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.timezone').lean();
+  const timezone = company?.settings?.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// Formats a date as wall-clock time in the timezone: "2024-05-01 14:30" for spreadsheets and
+// ISO 8601 with the zone's offset for NDJSON
+const createDateFormatter = (timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23', timeZoneName: 'longOffset', timeZone: timezone
+  });
+
+  return (value, iso = false) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    if (!iso) return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+    const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+  };
+};
+
+// Number of documents a query (or, for aggregate datasets, a pipeline) matches
+const countRows = async (definition, { query, pipeline }) => {
+  if (!definition.aggregate) return await definition.model.countDocuments(query);
+  const [result] = await definition.model.aggregate([...pipeline, { $count: 'count' }]).allowDiskUse(true);
+  return result?.count || 0;
+};
+
+const openCursor = (definition, { query, pipeline, sort, fields }) => {
+  if (!definition.aggregate) {
+    return definition.model.find(query).sort(sort).select(fields.join(' ')).lean().cursor({ batchSize: BATCH_SIZE });
+  }
+  return definition.model.aggregate([
+    ...pipeline,
+    { $sort: sort },
+    { $project: Object.fromEntries(fields.map(field => [field, 1])) }
+  ]).allowDiskUse(true).cursor({ batchSize: BATCH_SIZE });
+};
+
+// Read the matching documents in batches and write them to output in the requested format
+const writeExport = async ({ dataset, query, pipeline, sort, columns, format, timezone }, output, onBatch) => {
+  const definition = getDataset(dataset);
+  const selected = resolveColumns(dataset, columns);
+  const formatDate = createDateFormatter(timezone);
+  const fields = [...new Set(selected.flatMap(column => column.fields))];
+  const writer = createExportWriter(format, output, selected.map(column => ({
+    key: column.key,
+    header: column.type === 'date' ? `${column.header} (${timezone})` : column.header,
+    width: Math.max(12, column.header.length + 4)
+  })), 'Export');
+
+  const toRow = (doc) => Object.fromEntries(selected.map(column => {
+    const value = column.value(doc);
+    if (column.type === 'date') return [column.key, formatDate(value, format === 'ndjson')];
+    if (column.type === 'number') return [column.key, Number(value) || 0];
+    return [column.key, value ?? null];
+  }));
+
+  let rowCount = 0;
+  let batch = [];
+  const flush = async () => {
+    const docs = definition.enrich ? await definition.enrich(batch) : batch;
+    for (const doc of docs) await writer.write(toRow(doc));
+    rowCount += docs.length;
+    batch = [];
+    if (onBatch) await onBatch(rowCount);
+  };
+
+  await writer.start();
+  // A failed write (e.g. the client went away) stops reading and releases the cursor on the server
+  const cursor = openCursor(definition, { query, pipeline, sort, fields });
+  try {
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+  } finally {
+    await cursor.close();
+  }
+  await writer.end();
+  return rowCount;
+};
+
+const buildFileName = (name, extension) => `${name}_${new Date().toISOString().split('T')[0]}.${extension}`;
+
+const generateJobId = () => `EXP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Start an export of a list query (or pipeline, for aggregate datasets). Small exports come back as a
+// stream to send as the response; large ones (or background: true) become an export job for
+// processExportJob. fileName is the name without date and extension (default: the dataset's).
+const startExport = async ({
+  dataset, query, pipeline, sort = {}, format = 'csv', columns, background = false, companyId, user, fileName: name
+}) => {
+  const definition = getDataset(dataset);
+  const { extension } = resolveFormat(format);
+  const selected = resolveColumns(dataset, columns).map(column => column.key);
+
+  const totalRows = await countRows(definition, { query, pipeline });
+  if (totalRows === 0) throw new NotFoundError('No records found for export');
+
+  // 'ALL' (every accessible company) is not a company of its own; the requester's company is used
+  const targetCompanyId = companyId && companyId !== 'ALL' ? companyId : user.companyId;
+  const timezone = await getCompanyTimezone(targetCompanyId);
+  const fileName = buildFileName(name || definition.fileName, extension);
+
+  if (background || totalRows > getSyncRowLimit()) {
+    const job = (await ExportJob.create({
+      jobId: generateJobId(),
+      companyId: targetCompanyId,
+      requestedBy: user.userId,
+      dataset,
+      format,
+      columns: selected,
+      timezone,
+      criteria: EJSON.stringify({ query, pipeline, sort }),
+      totalRows,
+      fileName
+    })).toObject();
+    delete job.criteria;
+    return { job };
+  }
+
+  const stream = new PassThrough();
+  writeExport({ dataset, query, pipeline, sort, columns: selected, format, timezone }, stream)
+    .catch(error => stream.destroy(error));
+  return { stream, format, fileName, totalRows };
+};
+
+// Write an export job's file and keep it in storage, owned by the requester
+const processExportJob = async (jobId) => {
+  const now = new Date();
+  const job = await ExportJob.findOneAndUpdate(
+    {
+      jobId,
+      status: { $in: ['QUEUED', 'PROCESSING'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { status: 'PROCESSING', lockedUntil: new Date(now.getTime() + LEASE_MS), startedAt: now, rowCount: 0 } },
+    { new: true }
+  ).lean();
+  if (!job) return null;
+
+  const { contentType, extension } = EXPORT_FORMATS[job.format];
+  const tempPath = path.join(os.tmpdir(), `${job.jobId}.${extension}`);
+  let output = null;
+  try {
+    const { query, pipeline, sort } = EJSON.parse(job.criteria);
+    output = fs.createWriteStream(tempPath);
+    const rowCount = await writeExport(
+      { dataset: job.dataset, query, pipeline, sort, columns: job.columns, format: job.format, timezone: job.timezone },
+      output,
+      (count) => ExportJob.updateOne(
+        { jobId },
+        { $set: { rowCount: count, lockedUntil: new Date(Date.now() + LEASE_MS) } }
+      )
+    );
+    await finished(output);
+
+    const file = await StorageService.saveGeneratedFile({
+      filePath: tempPath,
+      originalName: job.fileName,
+      contentType,
+      extension,
+      companyId: job.companyId,
+      ownerId: job.requestedBy,
+      purpose: 'EXPORT'
+    });
+    return await ExportJob.findOneAndUpdate(
+      { jobId },
+      { $set: { status: 'COMPLETED', rowCount, fileRef: file.ref, lockedUntil: null, completedAt: new Date() } },
+      { new: true }
+    ).select('-criteria').lean();
+  } catch (error) {
+    if (output) output.destroy();
+    await ExportJob.updateOne(
+      { jobId },
+      { $set: { status: 'FAILED', error: error.message, lockedUntil: null, completedAt: new Date() } }
+    );
+    throw error;
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+// True when a queued or running job has no live worker (it was never picked up or its process died)
+const isStalled = (job) => ['QUEUED', 'PROCESSING'].includes(job.status)
+  && (!job.lockedUntil || job.lockedUntil < new Date());
+
+// Background jobs run in the process that accepted the request. Jobs whose process stopped (a restart,
+// a crash) are picked up here, one at a time, by the resume-exports script.
+const resumeStalledExportJobs = async () => {
+  const result = { resumed: 0, completed: 0, failed: 0 };
+  const jobs = await ExportJob.find({
+    status: { $in: ['QUEUED', 'PROCESSING'] },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }]
+  })
+    .select('jobId')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  for (const { jobId } of jobs) {
+    try {
+      if (!(await processExportJob(jobId))) continue; // taken by another worker in the meantime
+      result.completed++;
+    } catch (error) {
+      result.failed++; // the error is recorded on the job
+    }
+    result.resumed++;
+  }
+  return result;
+};
+
+// Job status with a download link once the file is ready
+const getExportJob = async (jobId, user, { expiresIn } = {}) => {
+  const job = await ExportJob.findOne({ jobId }).select('-criteria').lean();
+  if (!job) throw new NotFoundError('Export job not found');
+  if (job.requestedBy !== user.userId) throw new AuthorizationError('No access to this export job');
+
+  const download = job.status === 'COMPLETED' && job.fileRef
+    ? await StorageService.createDownloadUrl(job.fileRef, user, { expiresIn })
+    : null;
+  return { job, download, stalled: isStalled(job) };
+};
+
+const listExportJobs = async (user, { page = 1, limit = 10 } = {}) => {
+  const query = { requestedBy: user.userId };
+  const [jobs, totalData] = await Promise.all([
+    ExportJob.find(query)
+      .select('-criteria')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ExportJob.countDocuments(query)
+  ]);
+
+  return {
+    jobs,
+    totalData,
+    currentPage: page,
+    totalPages: Math.ceil(totalData / limit),
+    limit
+  };
+};
+
+module.exports = {
+  listExportColumns,
+  startExport,
+  processExportJob,
+  resumeStalledExportJobs,
+  getExportJob,
+  listExportJobs
+};
@@ -0,0 +1,116 @@
+const sharp = require('sharp');
+const { StoredFile } = require('../schemas');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_DIMENSION = 4096;
+
+// IMAGE_OUTPUT_FORMAT picks what uploads are converted to: webp (default) or jpeg
+const OUTPUT_FORMATS = {
+  webp: { format: 'webp', contentType: 'image/webp', extension: 'webp', options: { quality: 82 } },
+  jpeg: { format: 'jpeg', contentType: 'image/jpeg', extension: 'jpg', options: { quality: 82, mozjpeg: true } }
+};
+
+// Stored next to every uploaded image; list views use the thumbnail, detail views the preview
+const VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+  preview: { width: 1280, height: 1280, fit: 'inside' }
+};
+
+const PRODUCT_IMAGE_FIELDS = ['frontImage', 'backImage', 'leftImage', 'rightImage'];
+
+const getOutputFormat = () => OUTPUT_FORMATS[(process.env.IMAGE_OUTPUT_FORMAT || 'webp').toLowerCase()] || OUTPUT_FORMATS.webp;
+
+const isProcessableImage = (contentType) => IMAGE_CONTENT_TYPES.includes(contentType);
+
+// Rotate by the EXIF orientation, resize and re-encode. sharp drops all metadata (EXIF, GPS, ICC)
+// unless asked to keep it, so the output carries none.
+const render = async (buffer, resize, output) => {
+  let image = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize({ ...resize, withoutEnlargement: true });
+  if (output.format === 'jpeg') image = image.flatten({ background: '#ffffff' }); // JPEG has no transparency
+
+  const { data, info } = await image
+    .toFormat(output.format, output.options)
+    .toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    contentType: output.contentType,
+    extension: output.extension,
+    width: info.width,
+    height: info.height
+  };
+};
+
+// Normalised full-size image plus its variants
+const processImage = async (buffer) => {
+  const output = getOutputFormat();
+  try {
+    const image = await render(buffer, { width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside' }, output);
+    const variants = {};
+    for (const [name, resize] of Object.entries(VARIANTS)) {
+      variants[name] = await render(buffer, resize, output);
+    }
+    return { image, variants };
+  } catch (error) {
+    throw new ValidationError(`Image could not be processed: ${error.message}`);
+  }
+};
+
+// Variant references of stored images, keyed by image reference. Images that are not in storage
+// (external URLs, older public/ paths) get no variants.
+const findVariants = async (refs) => {
+  // storageService loads this module, so it is only required once it is needed
+  const { isFileRef, toFileId, toFileRef } = require('./storageService');
+  const fileIds = refs.filter(isFileRef).map(toFileId);
+  if (fileIds.length === 0) return {};
+
+  const files = await StoredFile.find({ fileId: { $in: fileIds }, deletedAt: null })
+    .select('fileId variants')
+    .lean();
+  return Object.fromEntries(files.map(file => [toFileRef(file.fileId), {
+    thumbnail: file.variants?.thumbnail || null,
+    preview: file.variants?.preview || null
+  }]));
+};
+
+const EMPTY_VARIANTS = { thumbnail: null, preview: null };
+
+// productImages.variants for a set of product images
+const buildProductImageVariants = async (productImages = {}) => {
+  const additionalImages = productImages.additionalImages || [];
+  const found = await findVariants([
+    ...PRODUCT_IMAGE_FIELDS.map(field => productImages[field]).filter(Boolean),
+    ...additionalImages
+  ]);
+
+  const variants = {};
+  PRODUCT_IMAGE_FIELDS.forEach(field => {
+    variants[field] = found[productImages[field]] || EMPTY_VARIANTS;
+  });
+  variants.additionalImages = additionalImages.map(ref => found[ref] || EMPTY_VARIANTS);
+  return variants;
+};
+
+// Variants of a single image (invoice image)
+const buildImageVariants = async (ref) => {
+  if (!ref) return EMPTY_VARIANTS;
+  const found = await findVariants([ref]);
+  return found[ref] || EMPTY_VARIANTS;
+};
+
+// One entry per image of a list (claim damage images)
+const buildImageListVariants = async (refs = []) => {
+  const found = await findVariants(refs);
+  return refs.map(image => ({ image, ...(found[image] || EMPTY_VARIANTS) }));
+};
+
+module.exports = {
+  VARIANTS,
+  isProcessableImage,
+  processImage,
+  buildProductImageVariants,
+  buildImageVariants,
+  buildImageListVariants
+};
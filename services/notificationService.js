@@ -0,0 +1,52 @@
+const { Notification } = require('../schemas');
+
+// Create one in-app notification per recipient
+const createNotifications = async (userIds, { companyId, type, title, message, entityType, entityId }) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  if (recipients.length === 0) return [];
+
+  return await Notification.insertMany(recipients.map(userId => ({
+    notificationId: `NOTIF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    companyId,
+    type,
+    title,
+    message,
+    entityType,
+    entityId
+  })));
+};
+
+const getNotifications = async (userId, { unreadOnly = false, page = 1, limit = 20 } = {}) => {
+  const query = { userId };
+  if (unreadOnly) query.isRead = false;
+
+  const [notifications, totalData, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ userId, isRead: false })
+  ]);
+
+  return { notifications, totalData, unreadCount };
+};
+
+// Mark the given notifications (or, with filter only, all matching ones) as read
+const markNotificationsRead = async (userId, { notificationIds, entityType, entityId } = {}) => {
+  const query = { userId, isRead: false };
+  if (notificationIds) query.notificationId = { $in: notificationIds };
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+
+  const result = await Notification.updateMany(query, { $set: { isRead: true, readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createNotifications,
+  getNotifications,
+  markNotificationsRead
+};
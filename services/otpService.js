@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { OtpChallenge } = require('../schemas');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+const { sendSms, canSendSms } = require('../utils/sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_PER_WINDOW = 3; // OTPs a customer (or, without a customer, a mobile) can request per window
+const OTP_WINDOW_MINUTES = 15;
+
+const hashCode = (challengeId, code) => {
+  return crypto.createHash('sha256').update(`${challengeId}:${code}`).digest('hex');
+};
+
+const generateChallengeId = () => `OTP_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Last digits only, so "+91 98765 43210" and "9876543210" compare equal
+const normalizeMobile = (mobile = '') => String(mobile).replace(/\D/g, '').slice(-10);
+
+const maskMobile = (mobile = '') => {
+  const digits = String(mobile).replace(/\D/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '****';
+};
+
+const smsUnavailable = () => new AppError('OTP delivery is not available, please try again later', 503);
+
+// Fail before any lookup when no SMS can be sent, so every request gets the same error
+const assertSmsAvailable = () => {
+  if (!canSendSms()) throw smsUnavailable();
+};
+
+// The answer to a request that sends nothing (no match, or too many requests): a challenge id that never verifies
+const createDecoyChallenge = () => ({ challengeId: generateChallengeId(), expiresInMinutes: OTP_TTL_MINUTES });
+
+// Create a challenge and text its code to the customer's mobile. Public endpoints that must not reveal a
+// match pass decoyWhenLimited to answer a rate-limited request like one that matched nothing.
+const createOtpChallenge = async ({ purpose, customerId = null, companyId, mobile, requestIp = null, message, decoyWhenLimited = false }) => {
+  assertSmsAvailable();
+
+  const windowStart = new Date(Date.now() - OTP_WINDOW_MINUTES * 60 * 1000);
+  const recentCount = await OtpChallenge.countDocuments({
+    ...(customerId ? { customerId } : { mobile: normalizeMobile(mobile) }),
+    purpose,
+    createdAt: { $gte: windowStart }
+  });
+  if (recentCount >= OTP_MAX_PER_WINDOW) {
+    if (decoyWhenLimited) return createDecoyChallenge();
+    throw new AppError(`Too many OTP requests, please try again in ${OTP_WINDOW_MINUTES} minutes`, 429);
+  }
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const challengeId = generateChallengeId();
+
+  await OtpChallenge.create({
+    challengeId,
+    purpose,
+    customerId,
+    companyId,
+    mobile: normalizeMobile(mobile),
+    codeHash: hashCode(challengeId, code),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+    requestIp
+  });
+
+  const sent = await sendSms(mobile, `${message || 'Your verification code is'} ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+  if (!sent) {
+    await OtpChallenge.deleteOne({ challengeId });
+    throw smsUnavailable();
+  }
+
+  return { challengeId, expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+// Verify and consume a challenge; every failure gives the same message
+const verifyOtpChallenge = async (challengeId, purpose, code) => {
+  const invalid = new ValidationError('Invalid or expired OTP');
+
+  // Count the attempt before comparing so parallel guesses cannot exceed the limit
+  const challenge = await OtpChallenge.findOneAndUpdate(
+    {
+      challengeId,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!challenge) throw invalid;
+
+  const expected = Buffer.from(challenge.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(challengeId, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) throw invalid;
+
+  const consumed = await OtpChallenge.findOneAndUpdate(
+    { challengeId, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+  if (!consumed) throw invalid;
+
+  return consumed;
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  generateChallengeId,
+  assertSmsAvailable,
+  createDecoyChallenge,
+  normalizeMobile,
+  maskMobile,
+  createOtpChallenge,
+  verifyOtpChallenge
+};
@@ -0,0 +1,240 @@
+const { Company, Customer, User, WalletManagement } = require('../schemas');
+const { CompanyService, CustomerService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const OtpService = require('./otpService');
+const CertificateService = require('./certificateService');
+const CustomerProfileService = require('./customerProfileService');
+const CustomerHistoryService = require('./customerHistoryService');
+
+const PURPOSE = 'OWNERSHIP_TRANSFER';
+const OWNER_FIELDS = ['name', 'email', 'mobile', 'alternateNumber', 'address'];
+
+const getTransferPolicy = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.ownershipTransfer').lean();
+  const configured = company?.settings?.ownershipTransfer || {};
+  return {
+    fee: typeof configured.fee === 'number' ? configured.fee : 0,
+    requireOtp: configured.requireOtp === true
+  };
+};
+
+const updateTransferPolicy = async (companyId, policyData, updatedBy) => {
+  const oldPolicy = await getTransferPolicy(companyId);
+  const policy = {
+    fee: policyData.fee ?? oldPolicy.fee,
+    requireOtp: policyData.requireOtp ?? oldPolicy.requireOtp
+  };
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.ownershipTransfer': policy, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { ownershipTransfer: oldPolicy },
+    { ownershipTransfer: policy },
+    companyId
+  );
+
+  return policy;
+};
+
+const pickOwner = (details = {}) => OWNER_FIELDS.reduce((owner, field) => {
+  if (details[field] !== undefined) owner[field] = details[field];
+  return owner;
+}, {});
+
+// The fee is a wallet operation, so support employees and repair centers cannot transfer
+const loadTransferableCustomer = async (customerId, user) => {
+  if (user.userType.includes('SUPPORT_EMPLOYEE')) {
+    throw new AuthorizationError('Support employees cannot transfer warranties (wallet operation)');
+  }
+  if (user.userType === 'REPAIR_CENTER') {
+    throw new AuthorizationError('Repair centers cannot transfer warranties');
+  }
+
+  const canAccess = await CustomerService.canAccessCustomer(user.userId, customerId);
+  if (!canAccess) throw new AuthorizationError('No permission to transfer this warranty');
+
+  const customer = await Customer.findOne({ customerId }).lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+  if (customer.cancellation?.isCancelled) throw new ValidationError('Cancelled warranties cannot be transferred');
+  if (customer.status === 0 || !customer.isActive) throw new ValidationError('Warranty is not active');
+  if (new Date(customer.warrantyDetails.expiryDate) < new Date()) {
+    throw new ValidationError('Expired warranties cannot be transferred');
+  }
+  return customer;
+};
+
+// Text an OTP to the new owner's mobile to confirm they are taking over the warranty
+const requestTransferOtp = async (customerId, mobile, user, requestIp) => {
+  const customer = await loadTransferableCustomer(customerId, user);
+  if (OtpService.normalizeMobile(mobile) === OtpService.normalizeMobile(customer.customerDetails?.mobile)) {
+    throw new ValidationError('New owner mobile is the same as the current owner');
+  }
+
+  return await OtpService.createOtpChallenge({
+    purpose: PURPOSE,
+    customerId,
+    companyId: customer.companyId,
+    mobile,
+    requestIp,
+    message: `You are becoming the owner of warranty ${customer.warrantyKey}. Your confirmation code is`
+  });
+};
+
+const verifyNewOwnerOtp = async (customerId, newOwner, { challengeId, otp }) => {
+  const challenge = await OtpService.verifyOtpChallenge(challengeId, PURPOSE, otp);
+  if (challenge.customerId !== customerId ||
+      challenge.mobile !== OtpService.normalizeMobile(newOwner.mobile)) {
+    throw new ValidationError('Invalid or expired OTP');
+  }
+};
+
+// Debit the transfer fee from the selling retailer's wallet; the balance check and debit are one update
+const chargeTransferFee = async (customer, fee, userId) => {
+  const debited = await User.updateOne(
+    { userId: customer.retailerId, 'walletBalance.remainingAmount': { $gte: fee } },
+    {
+      $inc: {
+        'walletBalance.usedAmount': fee,
+        'walletBalance.remainingAmount': -fee
+      }
+    }
+  );
+  if (debited.modifiedCount === 0) {
+    throw new ValidationError('Insufficient wallet balance for the transfer fee');
+  }
+
+  const walletRecord = new WalletManagement({
+    transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    companyId: customer.companyId,
+    transactionType: 'TRANSFER_FEE',
+    fromUserId: customer.retailerId,
+    toUserId: customer.retailerId,
+    amount: fee,
+    isActive: true,
+    isRestrictedOperation: true,
+    warrantyKey: customer.warrantyKey,
+    customerDetails: {
+      customerId: customer.customerId,
+      customerName: customer.customerDetails?.name,
+      productModel: customer.productDetails?.modelName,
+      premiumAmount: customer.warrantyDetails?.premiumAmount
+    },
+    notes: 'Warranty ownership transfer fee'
+  });
+  await walletRecord.save();
+
+  await CompanyService.createAuditLog(userId, 'WALLET_TRANSFER_FEE', 'WALLET', walletRecord.transactionId, null, {
+    retailerId: customer.retailerId,
+    warrantyKey: customer.warrantyKey,
+    fee,
+    customerId: customer.customerId
+  }, customer.companyId);
+
+  return walletRecord;
+};
+
+const refundTransferFee = async (customer, walletRecord) => {
+  await User.updateOne(
+    { userId: customer.retailerId },
+    { $inc: { 'walletBalance.usedAmount': -walletRecord.amount, 'walletBalance.remainingAmount': walletRecord.amount } }
+  );
+  await WalletManagement.updateOne(
+    { transactionId: walletRecord.transactionId },
+    { $set: { isActive: false, notes: 'Transfer fee reversed: transfer did not complete' } }
+  );
+};
+
+// Move the warranty to a new owner. warrantyKey, coverage and claims stay on the same Customer record;
+// only customerDetails and the linked profile change and the previous owner is appended to ownershipHistory.
+const transferOwnership = async (customerId, newOwnerData, user, { challengeId, otp, reason } = {}) => {
+  const customer = await loadTransferableCustomer(customerId, user);
+  const newOwner = pickOwner(newOwnerData);
+  if (OtpService.normalizeMobile(newOwner.mobile) === OtpService.normalizeMobile(customer.customerDetails?.mobile)) {
+    throw new ValidationError('New owner mobile is the same as the current owner');
+  }
+
+  const policy = await getTransferPolicy(customer.companyId);
+  const verifiedByOtp = Boolean(challengeId);
+  if (policy.requireOtp && !verifiedByOtp) {
+    throw new ValidationError('OTP verification of the new owner is required for transfers');
+  }
+  if (verifiedByOtp) await verifyNewOwnerOtp(customerId, newOwner, { challengeId, otp });
+
+  const walletRecord = policy.fee > 0 ? await chargeTransferFee(customer, policy.fee, user.userId) : null;
+
+  const newProfile = await CustomerProfileService.findOrCreateProfile(newOwner, customer.companyId, user.userId);
+
+  const now = new Date();
+  const previousOwner = pickOwner(customer.customerDetails);
+  const lastTransfer = customer.ownershipHistory?.[customer.ownershipHistory.length - 1];
+  const historyEntry = {
+    transferId: `TRF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    owner: previousOwner,
+    profileId: customer.profileId || null,
+    ownedFrom: lastTransfer?.ownedUntil || customer.dates?.createdDate,
+    ownedUntil: now,
+    transferredBy: user.userId,
+    reason: reason || null,
+    fee: walletRecord ? policy.fee : 0,
+    feeTransactionId: walletRecord?.transactionId || null,
+    verifiedByOtp
+  };
+
+  // Guard on the current mobile so two concurrent transfers cannot both apply
+  let updated;
+  try {
+    updated = await Customer.findOneAndUpdate(
+      { customerId, 'customerDetails.mobile': customer.customerDetails.mobile },
+      {
+        $set: { customerDetails: newOwner, profileId: newProfile.profileId, 'dates.lastModifiedDate': now },
+        $push: { ownershipHistory: historyEntry }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) throw new ValidationError('Warranty owner changed while transferring, please retry');
+  } catch (error) {
+    if (walletRecord) await refundTransferFee(customer, walletRecord);
+    throw error;
+  }
+
+  await CustomerHistoryService.recordRevision(
+    updated,
+    CustomerHistoryService.diffCustomer(customer, updated.toObject()),
+    user.userId,
+    { source: 'TRANSFER', reason: reason || null }
+  );
+
+  await CompanyService.createAuditLog(
+    user.userId,
+    'UPDATE',
+    'CUSTOMER',
+    customerId,
+    { customerDetails: previousOwner },
+    { customerDetails: newOwner, transfer: historyEntry },
+    customer.companyId
+  );
+
+  // The certificate shows the owner, so it is re-issued (same number) for the new one
+  try {
+    await CertificateService.generateCertificate(customerId, user.userId);
+  } catch (error) {
+    console.error(`Certificate regeneration failed for ${customerId}:`, error.message);
+  }
+
+  return { customer: updated, transfer: historyEntry };
+};
+
+module.exports = {
+  getTransferPolicy,
+  updateTransferPolicy,
+  requestTransferOtp,
+  transferOwnership
+};
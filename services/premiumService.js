@@ -0,0 +1,140 @@
+const { Category, Company } = require('../schemas');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DEFAULT_PRICING_POLICY = {
+  roundTo: 0.01,
+  roundingMode: 'NEAREST',
+  minimumPremium: 0
+};
+// The epsilon keeps float noise (100.0000001 steps) from moving a price a whole step up or down
+const ROUNDING = {
+  NEAREST: (steps) => Math.round(steps),
+  UP: (steps) => Math.ceil(steps - 1e-9),
+  DOWN: (steps) => Math.floor(steps + 1e-9)
+};
+const PRICE_TOLERANCE = 0.005;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Company pricing rules merged over the defaults (older companies have no premiumPricing settings)
+const getPricingPolicy = async (companyId) => {
+  if (!companyId) return { ...DEFAULT_PRICING_POLICY };
+  const company = await Company.findOne({ companyId }).select('settings.premiumPricing').lean();
+  const configured = company?.settings?.premiumPricing || {};
+  return {
+    roundTo: configured.roundTo > 0 ? configured.roundTo : DEFAULT_PRICING_POLICY.roundTo,
+    roundingMode: ROUNDING[configured.roundingMode] ? configured.roundingMode : DEFAULT_PRICING_POLICY.roundingMode,
+    minimumPremium: typeof configured.minimumPremium === 'number' ? configured.minimumPremium : DEFAULT_PRICING_POLICY.minimumPremium
+  };
+};
+
+const updatePricingPolicy = async (companyId, policyData, updatedBy) => {
+  // services.js loads this module, so CompanyService is only required once it is needed
+  const { CompanyService } = require('../services');
+  const oldPolicy = await getPricingPolicy(companyId);
+  const policy = { ...oldPolicy };
+  Object.keys(DEFAULT_PRICING_POLICY).forEach(field => {
+    if (policyData[field] !== undefined) policy[field] = policyData[field];
+  });
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.premiumPricing': policy, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { premiumPricing: oldPolicy },
+    { premiumPricing: policy },
+    companyId
+  );
+
+  return policy;
+};
+
+// Round to the company's step, then lift to its minimum premium
+const applyPricingPolicy = (amount, policy) => {
+  const steps = roundAmount(amount) / policy.roundTo;
+  const rounded = roundAmount(ROUNDING[policy.roundingMode](steps) * policy.roundTo);
+  return Math.max(rounded, policy.minimumPremium);
+};
+
+// Category of a product, by id when stored and by name for older warranties
+const findProductCategory = async (productDetails = {}) => {
+  if (productDetails.categoryId) {
+    return await Category.findOne({ categoryId: productDetails.categoryId }).lean();
+  }
+  if (productDetails.category) {
+    return await Category.findOne({ categoryName: productDetails.category }).lean();
+  }
+  return null;
+};
+
+// Active percent slab of a category for a duration in months
+const findCategorySlab = (category, durationMonths) =>
+  (category.percentList || []).find(slab => slab.isActive !== false && slab.duration === durationMonths) || null;
+
+// Premium = slab percent of the product purchase price for the chosen duration, rounded and
+// floored by the company's pricing rules
+const calculateCategoryPremium = async ({ productDetails, durationMonths, companyId = null }) => {
+  const category = await findProductCategory(productDetails);
+  if (!category) throw new NotFoundError('Product category not found, premium cannot be priced');
+
+  const purchasePrice = productDetails?.purchasePrice;
+  if (!purchasePrice || purchasePrice <= 0) {
+    throw new ValidationError('Product purchase price is required to price the premium');
+  }
+
+  const slab = findCategorySlab(category, durationMonths);
+  if (!slab) {
+    throw new ValidationError(`Category "${category.categoryName}" has no premium rate for ${durationMonths} months`);
+  }
+
+  const policy = await getPricingPolicy(companyId);
+  const basePremium = roundAmount(purchasePrice * slab.percent / 100);
+
+  return {
+    categoryId: category.categoryId,
+    categoryName: category.categoryName,
+    durationMonths,
+    purchasePrice,
+    percent: slab.percent,
+    basePremium,
+    roundTo: policy.roundTo,
+    roundingMode: policy.roundingMode,
+    minimumPremium: policy.minimumPremium,
+    premiumAmount: applyPricingPolicy(basePremium, policy)
+  };
+};
+
+// Price a new registration and reject a client-sent premium that differs from it
+const verifyPremium = async ({ productDetails, warrantyDetails }, companyId) => {
+  const durationMonths = warrantyDetails?.warrantyPeriod;
+  if (!Number.isInteger(durationMonths) || durationMonths <= 0) {
+    throw new ValidationError('Warranty period must be a whole number of months');
+  }
+
+  const pricing = await calculateCategoryPremium({ productDetails, durationMonths, companyId });
+  const submitted = warrantyDetails.premiumAmount;
+  if (typeof submitted !== 'number' || Math.abs(submitted - pricing.premiumAmount) > PRICE_TOLERANCE) {
+    throw new ValidationError(
+      `Premium amount ${submitted} does not match the calculated premium ${pricing.premiumAmount} for ${durationMonths} months`
+    );
+  }
+  return pricing;
+};
+
+module.exports = {
+  DEFAULT_PRICING_POLICY,
+  getPricingPolicy,
+  updatePricingPolicy,
+  applyPricingPolicy,
+  findProductCategory,
+  findCategorySlab,
+  calculateCategoryPremium,
+  verifyPremium
+};
@@ -0,0 +1,595 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const JSZip = require('jszip');
+const {
+  AuditLog, Claim, ClaimMessage, Customer, CustomerProfile, CustomerRevision, ImportJob,
+  OtpChallenge, PrivacyRequest, StoredFile, User, WalletManagement
+} = require('../schemas');
+const { CompanyService } = require('../services');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { canAccessClaimCompany } = require('./claimWorkflowService');
+const { OPEN_CLAIM_STATUSES } = require('./claimEligibilityService');
+const { normalizeMobile, maskMobile } = require('./otpService');
+const StorageService = require('./storageService');
+const CertificateService = require('./certificateService');
+const { isPublicPath, resolvePublicPath, loadFile } = require('../utils/fileLoader');
+
+const ERASED = '[erased]';
+const ERASED_NAME = 'Erased customer';
+const PRODUCT_IMAGE_FIELDS = ['frontImage', 'backImage', 'leftImage', 'rightImage'];
+
+// What an erased owner looks like; required fields get placeholders
+const ANONYMOUS_PERSON = {
+  name: ERASED_NAME,
+  email: null,
+  mobile: ERASED,
+  alternateNumber: null,
+  address: {}
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stored numbers keep whatever spacing they were typed with; match the 10 digits with anything in between
+const mobilePattern = (mobile) => new RegExp(`${mobile.split('').join('\\D*')}$`);
+const emailPattern = (email) => new RegExp(`^${escapeRegex(email)}$`, 'i');
+
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+// Keyed hash, so a later request for the same person can be found in the log without storing who they are
+const hashSubject = (value) => (value
+  ? crypto.createHmac('sha256', process.env.PRIVACY_HASH_SECRET || process.env.JWT_SECRET).update(value).digest('hex')
+  : null);
+
+const normaliseSubject = ({ mobile, email }) => {
+  const subject = {
+    mobile: mobile ? normalizeMobile(mobile) : null,
+    email: email ? String(email).trim().toLowerCase() : null
+  };
+  if (mobile && subject.mobile.length !== 10) throw new ValidationError('Invalid mobile number');
+  if (!subject.mobile && !subject.email) throw new ValidationError('A mobile number or email address is required');
+  return subject;
+};
+
+const isSubject = (person, subject) => Boolean(person) && (
+  (subject.mobile && normalizeMobile(person.mobile) === subject.mobile) ||
+  (subject.email && String(person.email || '').toLowerCase() === subject.email)
+);
+
+// Company owners act for the company as data controller
+const getActor = async (userId, companyId) => {
+  const actor = await User.findOne({ userId });
+  if (!actor) throw new NotFoundError('User not found');
+  if (!actor.userType.includes('OWNER')) {
+    throw new AuthorizationError('Only company owners can handle privacy requests');
+  }
+  if (!(await canAccessClaimCompany(actor, companyId || actor.companyId))) {
+    throw new AuthorizationError('No access to this company');
+  }
+  return actor;
+};
+
+// Everything held about the subject in one company: their profiles, the warranties they own, the
+// warranties they owned before a transfer, and the claims filed while each warranty was theirs
+const findSubjectRecords = async (companyId, subject) => {
+  const personMatch = (prefix) => [
+    ...(subject.mobile ? [{ [`${prefix}.mobile`]: mobilePattern(subject.mobile) }] : []),
+    ...(subject.email ? [{ [`${prefix}.email`]: emailPattern(subject.email) }] : [])
+  ];
+
+  const profiles = await CustomerProfile.find({
+    companyId,
+    $or: [
+      ...(subject.mobile ? [{ normalizedMobile: subject.mobile }] : []),
+      ...(subject.email ? [{ email: emailPattern(subject.email) }] : [])
+    ]
+  }).lean();
+
+  const owned = await Customer.find({
+    companyId,
+    $or: [{ profileId: { $in: profiles.map(p => p.profileId) } }, ...personMatch('customerDetails')]
+  }).lean();
+  const ownedIds = owned.map(c => c.customerId);
+
+  const previous = await Customer.find({
+    companyId,
+    customerId: { $nin: ownedIds },
+    $or: personMatch('ownershipHistory.owner')
+  }).lean();
+
+  const ownershipPeriods = {};
+  previous.forEach(customer => {
+    ownershipPeriods[customer.customerId] = (customer.ownershipHistory || [])
+      .filter(entry => isSubject(entry.owner, subject))
+      .map(entry => ({ from: entry.ownedFrom, until: entry.ownedUntil }));
+  });
+
+  const claims = await Claim.find({ customerId: { $in: [...ownedIds, ...previous.map(c => c.customerId)] } }).lean();
+  const subjectClaims = claims.filter(claim => ownedIds.includes(claim.customerId) ||
+    (ownershipPeriods[claim.customerId] || []).some(period =>
+      (!period.from || claim.claimDate >= period.from) && (!period.until || claim.claimDate <= period.until)));
+
+  return { profiles, owned, previous, ownershipPeriods, claims: subjectClaims };
+};
+
+// Log the request, run it, and record its outcome whatever happens
+const runRequest = async (type, actor, companyId, subject, { legalBasis, reference }, handler) => {
+  const request = await PrivacyRequest.create({
+    requestId: `PRV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    companyId,
+    type,
+    subject: {
+      mobileHash: hashSubject(subject.mobile),
+      emailHash: hashSubject(subject.email),
+      maskedMobile: subject.mobile ? maskMobile(subject.mobile) : null,
+      maskedEmail: maskEmail(subject.email)
+    },
+    legalBasis,
+    reference: reference || null,
+    requestedBy: actor.userId
+  });
+
+  try {
+    const { status = 'COMPLETED', outcome, result } = await handler(request);
+    await PrivacyRequest.updateOne(
+      { requestId: request.requestId },
+      { $set: { status, outcome, completedAt: new Date() } }
+    );
+    return { requestId: request.requestId, status, outcome, ...result };
+  } catch (error) {
+    await PrivacyRequest.updateOne(
+      { requestId: request.requestId },
+      { $set: { status: 'FAILED', error: error.message, completedAt: new Date() } }
+    );
+    throw error;
+  }
+};
+
+// Images and attachments of the subject's records: storage refs, or public/ paths from before the storage service
+const collectFiles = (owned, claims, claimMessages) => [
+  ...owned.flatMap(customer => [
+    ...PRODUCT_IMAGE_FIELDS.map(field => customer.productImages?.[field]),
+    ...(customer.productImages?.additionalImages || []),
+    customer.invoiceDetails?.invoiceImage
+  ]),
+  ...claims.flatMap(claim => claim.damageImages || []),
+  ...claimMessages.flatMap(message => (message.attachments || []).map(attachment => attachment.url))
+].filter(value => value && value !== ERASED);
+
+// Delete a public/ file; one that is already gone counts as deleted
+const removePublicFile = async (url) => {
+  try {
+    await fs.promises.unlink(resolvePublicPath(url));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Internal ids and version keys mean nothing to the person reading the export
+const toExportJson = (data) => JSON.stringify(data, (key, value) => (key === '_id' || key === '__v' ? undefined : value), 2);
+
+// Export everything held about a mobile number and/or email address: JSON, or a ZIP with the JSON and the stored files
+const exportSubjectData = async ({ mobile, email, companyId, legalBasis, reference, format = 'zip' }, userId) => {
+  const actor = await getActor(userId, companyId);
+  const targetCompanyId = companyId || actor.companyId;
+  const subject = normaliseSubject({ mobile, email });
+
+  return await runRequest('EXPORT', actor, targetCompanyId, subject, { legalBasis, reference }, async (request) => {
+    const { profiles, owned, previous, ownershipPeriods, claims } = await findSubjectRecords(targetCompanyId, subject);
+    const ownedIds = owned.map(c => c.customerId);
+    const claimIds = claims.map(c => c.claimId);
+
+    // Other owners of the subject's warranties are third parties: their ownership entries are left out and
+    // their details redacted from the revision diffs and audit snapshots (transfers copy both owners)
+    const isSubjectEntry = (entry) => isSubject(entry.owner, subject);
+    const otherOwners = owned.flatMap(c => (c.ownershipHistory || []).filter(entry => !isSubjectEntry(entry)).map(entry => entry.owner));
+    const { redactFields } = createRedactor(otherOwners, [...profiles, ...owned.map(c => c.customerDetails)]);
+    const withoutOthers = (value) => redactFields(value) || value;
+
+    const [claimMessages, storedRevisions, storedAuditEntries, walletTransactions] = await Promise.all([
+      ClaimMessage.find({ claimId: { $in: claimIds } }).select('-readBy').sort({ createdAt: 1 }).lean(),
+      CustomerRevision.find({ customerId: { $in: ownedIds } }).sort({ createdAt: 1 }).lean(),
+      AuditLog.find({
+        $or: [
+          { entityType: 'CUSTOMER', entityId: { $in: [...ownedIds, ...profiles.map(p => p.profileId)] } },
+          { entityType: 'CLAIM', entityId: { $in: claimIds } }
+        ]
+      }).sort({ timestamp: 1 }).lean(),
+      WalletManagement.find({ warrantyKey: { $in: owned.map(c => c.warrantyKey) } })
+        .select('transactionId transactionType warrantyKey customerDetails transactionDate')
+        .lean()
+    ]);
+    const revisions = storedRevisions.map(revision => ({ ...revision, changes: withoutOthers(revision.changes) }));
+    const auditEntries = storedAuditEntries.map(entry => ({
+      ...entry,
+      oldData: withoutOthers(entry.oldData),
+      newData: withoutOthers(entry.newData)
+    }));
+    const warranties = owned.map(customer => ({
+      ...customer,
+      ownershipHistory: (customer.ownershipHistory || []).filter(isSubjectEntry)
+    }));
+
+    const fileValues = collectFiles(owned, claims, claimMessages);
+    const files = await StoredFile.find({
+      fileId: { $in: fileValues.filter(StorageService.isFileRef).map(StorageService.toFileId) },
+      deletedAt: null
+    })
+      .select('fileId purpose originalName contentType extension size createdAt')
+      .lean();
+    const legacyFiles = [...new Set(fileValues.filter(isPublicPath))];
+
+    // Previous owners get their own ownership entries, not the current owner's data
+    const previousOwnerships = previous.map(customer => ({
+      customerId: customer.customerId,
+      warrantyKey: customer.warrantyKey,
+      productDetails: customer.productDetails,
+      ownership: (customer.ownershipHistory || []).filter(isSubjectEntry),
+      periods: ownershipPeriods[customer.customerId]
+    }));
+
+    const data = {
+      requestId: request.requestId,
+      companyId: targetCompanyId,
+      exportedAt: new Date(),
+      subject: { mobile: subject.mobile, email: subject.email },
+      profiles,
+      warranties,
+      previousOwnerships,
+      claims,
+      claimMessages,
+      revisions,
+      auditEntries,
+      walletTransactions,
+      files,
+      legacyFiles
+    };
+
+    const outcome = {
+      profiles: profiles.length,
+      warranties: owned.length,
+      previousOwnerships: previous.length,
+      claims: claims.length,
+      claimMessages: claimMessages.length,
+      revisions: revisions.length,
+      auditEntries: auditEntries.length,
+      walletTransactions: walletTransactions.length,
+      files: files.length,
+      legacyFiles: legacyFiles.length,
+      format
+    };
+
+    if (format === 'json') {
+      return {
+        outcome,
+        result: { fileName: `${request.requestId}.json`, contentType: 'application/json', body: Buffer.from(toExportJson(data)) }
+      };
+    }
+
+    const zip = new JSZip();
+    const missingFiles = [];
+    for (const file of files) {
+      try {
+        zip.file(`files/${file.fileId}.${file.extension}`, await StorageService.readFile(file.fileId));
+      } catch (error) {
+        missingFiles.push(file.fileId);
+      }
+    }
+    for (const url of legacyFiles) {
+      try {
+        zip.file(`files/${url.replace(/^\//, '')}`, await loadFile(url));
+      } catch (error) {
+        missingFiles.push(url);
+      }
+    }
+    zip.file('data.json', toExportJson({ ...data, missingFiles }));
+    outcome.missingFiles = missingFiles.length;
+
+    return {
+      outcome,
+      result: {
+        fileName: `${request.requestId}.zip`,
+        contentType: 'application/zip',
+        body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+      }
+    };
+  });
+};
+
+// Replace every value that belongs to the given people, wherever it was copied to (audit snapshots,
+// revision diffs, import rows, wallet transactions), and their name, email, street and numbers in free text.
+// Values they share with the people in `keep` (a city, say) are left alone.
+const createRedactor = (people, keep = []) => {
+  const values = new Set();
+  const textValues = new Set();
+  const mobiles = new Set();
+  const isText = (value) => typeof value === 'string' && value.trim().length >= 3;
+  const collect = (person, action) => {
+    if (!person) return;
+    [person.name, person.email, ...Object.values(person.address || {})]
+      .filter(isText)
+      .forEach(value => values[action](value.trim().toLowerCase()));
+    [person.name, person.email, person.address?.street]
+      .filter(isText)
+      .forEach(value => textValues[action](value.trim()));
+    [person.mobile, person.alternateNumber]
+      .filter(Boolean)
+      .forEach(number => mobiles[action](normalizeMobile(number)));
+  };
+  people.forEach(person => collect(person, 'add'));
+  keep.forEach(person => collect(person, 'delete'));
+
+  const isPersonal = (text) => {
+    const value = text.trim().toLowerCase();
+    if (values.has(value)) return true;
+    const digits = value.replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 15 && mobiles.has(normalizeMobile(digits));
+  };
+
+  const redact = (value) => {
+    if (typeof value === 'string') return isPersonal(value) ? ERASED : value;
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redact(nested)]));
+    }
+    return value;
+  };
+
+  // The redacted value, or null when nothing in it belonged to the subject
+  const redactFields = (value) => {
+    const redacted = redact(value);
+    return JSON.stringify(redacted) === JSON.stringify(value) ? null : redacted;
+  };
+
+  // The redacted text, or null when nothing in it belonged to the subject
+  const redactText = (text) => {
+    let redacted = [...textValues].reduce((current, value) =>
+      current.replace(new RegExp(`(?<![\\w])${escapeRegex(value)}(?![\\w])`, 'gi'), ERASED), text);
+    redacted = redacted.replace(/\+?\d[\d\s-]{8,18}\d/g, match => (isPersonal(match) ? ERASED : match));
+    return redacted === text ? null : redacted;
+  };
+
+  return { redactFields, redactText };
+};
+
+// Anonymise the subject's personal data while keeping warranty, claim and financial records for retention.
+// Refused while a claim on their warranties is open: settling it needs their contact details.
+const eraseSubjectData = async ({ mobile, email, companyId, legalBasis, reference }, userId) => {
+  const actor = await getActor(userId, companyId);
+  const targetCompanyId = companyId || actor.companyId;
+  const subject = normaliseSubject({ mobile, email });
+
+  return await runRequest('ERASURE', actor, targetCompanyId, subject, { legalBasis, reference }, async (request) => {
+    const { profiles, owned, previous, claims } = await findSubjectRecords(targetCompanyId, subject);
+    const ownedIds = owned.map(c => c.customerId);
+    const previousIds = previous.map(c => c.customerId);
+
+    const openClaims = claims.filter(claim => ownedIds.includes(claim.customerId) &&
+      claim.isActive && OPEN_CLAIM_STATUSES.includes(claim.claimStatus));
+    if (openClaims.length > 0) {
+      return {
+        status: 'REJECTED',
+        outcome: {
+          reason: 'Claims on the subject\'s warranties are still open',
+          openClaimIds: openClaims.map(claim => claim.claimId)
+        }
+      };
+    }
+
+    const { redactFields, redactText } = createRedactor([
+      ...profiles,
+      ...owned.map(c => c.customerDetails),
+      ...previous.flatMap(c => (c.ownershipHistory || []).map(entry => entry.owner).filter(owner => isSubject(owner, subject)))
+    ]);
+    const allIds = [...ownedIds, ...previousIds];
+    const outcome = {
+      warrantiesAnonymised: 0,
+      previousOwnershipsAnonymised: 0,
+      profilesAnonymised: 0,
+      claimsRetained: claims.length,
+      revisionsRedacted: 0,
+      auditEntriesRedacted: 0,
+      walletTransactionsRedacted: 0,
+      importRowsRedacted: 0,
+      claimMessagesRedacted: 0,
+      claimAttachmentsDeleted: 0,
+      otpChallengesDeleted: 0,
+      invoiceFilesDeleted: 0,
+      legacyInvoiceImagesDeleted: 0,
+      externalInvoiceImagesUnlinked: 0,
+      certificatesDiscarded: 0
+    };
+
+    // Copies first, so a failed run can be repeated: the subject is still found by their details
+    const revisions = await CustomerRevision.find({ customerId: { $in: allIds } }).select('revisionId changes').lean();
+    for (const revision of revisions) {
+      const changes = redactFields(revision.changes);
+      if (!changes) continue;
+      await CustomerRevision.updateOne({ revisionId: revision.revisionId }, { $set: { changes } });
+      outcome.revisionsRedacted++;
+    }
+
+    const auditEntries = await AuditLog.find({
+      $or: [
+        { entityType: 'CUSTOMER', entityId: { $in: [...allIds, ...profiles.map(p => p.profileId)] } },
+        { entityType: 'CLAIM', entityId: { $in: claims.map(c => c.claimId) } }
+      ]
+    }).select('logId oldData newData').lean();
+    for (const entry of auditEntries) {
+      const oldData = redactFields(entry.oldData);
+      const newData = redactFields(entry.newData);
+      if (!oldData && !newData) continue;
+      await AuditLog.updateOne(
+        { logId: entry.logId },
+        { $set: { oldData: oldData || entry.oldData, newData: newData || entry.newData } }
+      );
+      outcome.auditEntriesRedacted++;
+    }
+
+    const transactions = await WalletManagement.find({ warrantyKey: { $in: [...owned, ...previous].map(c => c.warrantyKey) } })
+      .select('transactionId customerDetails')
+      .lean();
+    for (const transaction of transactions) {
+      const customerDetails = redactFields(transaction.customerDetails);
+      if (!customerDetails) continue;
+      await WalletManagement.updateOne({ transactionId: transaction.transactionId }, { $set: { customerDetails } });
+      outcome.walletTransactionsRedacted++;
+    }
+
+    const importJobs = await ImportJob.find({ 'rows.customerId': { $in: allIds } }).select('rows.customerId rows.data').lean();
+    for (const job of importJobs) {
+      const updates = {};
+      job.rows.forEach((row, index) => {
+        if (!allIds.includes(row.customerId)) return;
+        const data = redactFields(row.data);
+        if (data) updates[`rows.${index}.data`] = data;
+      });
+      if (Object.keys(updates).length === 0) continue;
+      await ImportJob.updateOne({ _id: job._id }, { $set: updates });
+      outcome.importRowsRedacted += Object.keys(updates).length;
+    }
+
+    // Claims are kept, but their messages lose the subject's details and their attachments (photos,
+    // documents), which cannot be redacted
+    const claimMessages = await ClaimMessage.find({ claimId: { $in: claims.map(c => c.claimId) } })
+      .select('messageId authorName body attachments')
+      .lean();
+    for (const message of claimMessages) {
+      const updates = {};
+      const body = redactText(message.body);
+      if (body) updates.body = body;
+      if (message.authorName && redactFields(message.authorName)) updates.authorName = ERASED;
+      if (message.attachments?.length) {
+        for (const { url } of message.attachments) {
+          try {
+            await StorageService.purgeFile(url);
+          } catch (error) {
+            if (!(error instanceof NotFoundError)) throw error;
+          }
+          outcome.claimAttachmentsDeleted++;
+        }
+        updates.attachments = [];
+      }
+      if (Object.keys(updates).length === 0) continue;
+      await ClaimMessage.updateOne({ messageId: message.messageId }, { $set: updates });
+      outcome.claimMessagesRedacted++;
+    }
+
+    if (subject.mobile) {
+      const { deletedCount } = await OtpChallenge.deleteMany({ mobile: subject.mobile });
+      outcome.otpChallengesDeleted = deletedCount;
+    }
+
+    // Invoices carry name and address; the invoice number and date stay on the warranty
+    for (const customer of owned) {
+      const invoiceImage = customer.invoiceDetails?.invoiceImage;
+      if (StorageService.isFileRef(invoiceImage)) {
+        try {
+          await StorageService.purgeFile(invoiceImage);
+          outcome.invoiceFilesDeleted++;
+        } catch (error) {
+          if (!(error instanceof NotFoundError)) throw error;
+        }
+      } else if (invoiceImage && invoiceImage !== ERASED && isPublicPath(invoiceImage)) {
+        await removePublicFile(invoiceImage);
+        outcome.legacyInvoiceImagesDeleted++;
+      } else if (invoiceImage && invoiceImage !== ERASED) {
+        // Hosted elsewhere; the warranty no longer points at it
+        outcome.externalInvoiceImagesUnlinked++;
+      }
+
+      if (customer.certificate?.certificateNumber) {
+        await CertificateService.discardCertificatePdf(customer.certificate.certificateNumber);
+        outcome.certificatesDiscarded++;
+      }
+    }
+
+    const erasedAt = new Date();
+    for (const customer of owned) {
+      await Customer.updateOne(
+        { customerId: customer.customerId },
+        {
+          $set: {
+            customerDetails: ANONYMOUS_PERSON,
+            'invoiceDetails.invoiceImage': ERASED,
+            'invoiceDetails.invoiceImageVariants': { thumbnail: null, preview: null },
+            'certificate.filePath': null,
+            'certificate.emailedTo': null,
+            privacy: { erasedAt, requestId: request.requestId }
+          }
+        }
+      );
+      await CompanyService.createAuditLog(
+        actor.userId,
+        'UPDATE',
+        'CUSTOMER',
+        customer.customerId,
+        null,
+        { privacyRequestId: request.requestId, personalDataErased: true },
+        customer.companyId
+      );
+      outcome.warrantiesAnonymised++;
+    }
+
+    for (const customer of previous) {
+      const updates = {};
+      (customer.ownershipHistory || []).forEach((entry, index) => {
+        if (isSubject(entry.owner, subject)) updates[`ownershipHistory.${index}.owner`] = ANONYMOUS_PERSON;
+      });
+      if (Object.keys(updates).length === 0) continue;
+      await Customer.updateOne({ customerId: customer.customerId }, { $set: updates });
+      outcome.previousOwnershipsAnonymised += Object.keys(updates).length;
+    }
+
+    // The profile stays as the anchor of the retained warranties; its matching key is freed
+    for (const profile of profiles) {
+      await CustomerProfile.updateOne(
+        { profileId: profile.profileId },
+        {
+          $set: {
+            ...ANONYMOUS_PERSON,
+            normalizedMobile: `ERASED_${profile.profileId}`,
+            updatedAt: erasedAt
+          }
+        }
+      );
+      outcome.profilesAnonymised++;
+    }
+
+    return { outcome };
+  });
+};
+
+// The request log of a company, newest first
+const listRequests = async ({ companyId, type, status, page = 1, limit = 20 }, userId) => {
+  const actor = await getActor(userId, companyId);
+  const query = { companyId: companyId || actor.companyId };
+  if (type) query.type = type;
+  if (status) query.status = status;
+
+  const [requests, totalData] = await Promise.all([
+    PrivacyRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PrivacyRequest.countDocuments(query)
+  ]);
+
+  return {
+    requests,
+    totalData,
+    currentPage: page,
+    totalPages: Math.ceil(totalData / limit),
+    limit
+  };
+};
+
+module.exports = {
+  exportSubjectData,
+  eraseSubjectData,
+  listRequests
+};
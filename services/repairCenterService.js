@@ -0,0 +1,363 @@
+const bcrypt = require('bcrypt');
+const { Claim, Customer, RepairCenter, User } = require('../schemas');
+const { CompanyService } = require('../services');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { canAccessClaimCompany } = require('./claimWorkflowService');
+
+const OPEN_JOB_STATUSES = ['ASSIGNED', 'ACCEPTED', 'ESTIMATED', 'INVOICED'];
+const UPDATABLE_FIELDS = ['name', 'phone', 'address', 'servicePincodes', 'supportedCategories', 'supportedBrands', 'isActive'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Owners and employees manage the repair network of companies they can access
+const assertCanManageRepairCenters = async (actor, companyId) => {
+  if (!actor.userType.includes('OWNER') && !actor.userType.includes('EMPLOYEE')) {
+    throw new AuthorizationError('Only owners and employees can manage repair centers');
+  }
+  if (actor.userType.includes('SUPPORT_EMPLOYEE')) {
+    throw new AuthorizationError('Support employees cannot manage repair centers');
+  }
+  const hasAccess = await canAccessClaimCompany(actor, companyId);
+  if (!hasAccess) {
+    throw new AuthorizationError('No access to this company');
+  }
+};
+
+// Create a repair center together with its REPAIR_CENTER login
+const createRepairCenter = async (centerData, login, createdBy) => {
+  const creator = await User.findOne({ userId: createdBy });
+  if (!creator) throw new NotFoundError('User not found');
+
+  const companyId = centerData.companyId || creator.companyId;
+  await assertCanManageRepairCenters(creator, companyId);
+
+  const emailExists = await User.findOne({ email: login.email.toLowerCase() });
+  if (emailExists) throw new ValidationError('Email already exists');
+
+  const repairCenter = new RepairCenter({
+    repairCenterId: `RC_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    companyId,
+    name: centerData.name,
+    email: centerData.email,
+    phone: centerData.phone,
+    address: centerData.address,
+    servicePincodes: centerData.servicePincodes || [],
+    supportedCategories: centerData.supportedCategories || [],
+    supportedBrands: centerData.supportedBrands || [],
+    createdBy
+  });
+
+  const hashedPassword = await bcrypt.hash(login.password, 12);
+  const centerUser = new User({
+    userId: `USER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    companyId,
+    userType: 'REPAIR_CENTER',
+    repairCenterId: repairCenter.repairCenterId,
+    name: login.name || centerData.name,
+    email: login.email.toLowerCase(),
+    phone: login.phone || centerData.phone,
+    password: hashedPassword,
+    isActive: true,
+    parentUserId: null,
+    hierarchyLevel: 0,
+    permissions: {
+      canCreateUser: false,
+      canEditUser: false,
+      canViewReports: false,
+      canManageKeys: false
+    },
+    address: centerData.address,
+    createdBy
+  });
+
+  // Both documents are validated before anything is written
+  await repairCenter.validate();
+  await centerUser.validate();
+  await repairCenter.save();
+
+  // Without its login the center cannot be used, so a failed login (e.g. an email taken in the meantime) removes it
+  try {
+    await centerUser.save();
+  } catch (error) {
+    await RepairCenter.deleteOne({ repairCenterId: repairCenter.repairCenterId });
+    throw error;
+  }
+
+  await CompanyService.createAuditLog(
+    createdBy,
+    'CREATE',
+    'REPAIR_CENTER',
+    repairCenter.repairCenterId,
+    null,
+    repairCenter.toObject(),
+    companyId
+  );
+
+  const user = centerUser.toObject();
+  delete user.password;
+  return { repairCenter, user };
+};
+
+const updateRepairCenter = async (repairCenterId, updateData, updatedBy) => {
+  const updater = await User.findOne({ userId: updatedBy });
+  if (!updater) throw new NotFoundError('User not found');
+
+  const repairCenter = await RepairCenter.findOne({ repairCenterId });
+  if (!repairCenter) throw new NotFoundError('Repair center not found');
+
+  await assertCanManageRepairCenters(updater, repairCenter.companyId);
+
+  const oldData = repairCenter.toObject();
+  UPDATABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) repairCenter[field] = updateData[field];
+  });
+  await repairCenter.save();
+
+  // Deactivating a center also disables its login
+  if (updateData.isActive !== undefined) {
+    await User.updateMany(
+      { repairCenterId, userType: 'REPAIR_CENTER' },
+      { $set: { isActive: updateData.isActive } }
+    );
+  }
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'REPAIR_CENTER',
+    repairCenterId,
+    oldData,
+    repairCenter.toObject(),
+    repairCenter.companyId
+  );
+
+  return repairCenter;
+};
+
+const getRepairCenters = async (companyId, userId, filters = {}) => {
+  const user = await User.findOne({ userId });
+  if (!user) throw new NotFoundError('User not found');
+
+  const hasAccess = await canAccessClaimCompany(user, companyId);
+  if (!hasAccess) throw new AuthorizationError('No access to this company');
+
+  const query = { companyId };
+  if (filters.pincode) query.servicePincodes = filters.pincode;
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+  return await RepairCenter.find(query).sort({ createdAt: -1 }).lean();
+};
+
+// Pick the least loaded active center of the company serving this pincode, category and brand
+const findEligibleRepairCenter = async (companyId, { pincode, categoryId, brand }) => {
+  if (!pincode) return null;
+
+  const query = {
+    companyId,
+    isActive: true,
+    servicePincodes: pincode
+  };
+  if (categoryId) {
+    query.$and = [{ $or: [{ supportedCategories: { $size: 0 } }, { supportedCategories: categoryId }] }];
+  }
+  if (brand) {
+    query.$and = [
+      ...(query.$and || []),
+      { $or: [{ supportedBrands: { $size: 0 } }, { supportedBrands: { $regex: `^${escapeRegex(brand)}$`, $options: 'i' } }] }
+    ];
+  }
+
+  const centers = await RepairCenter.find(query).lean();
+  if (centers.length === 0) return null;
+
+  const openJobs = await Claim.aggregate([
+    {
+      $match: {
+        'repairDetails.repairCenterId': { $in: centers.map(c => c.repairCenterId) },
+        'repairDetails.jobStatus': { $in: OPEN_JOB_STATUSES }
+      }
+    },
+    { $group: { _id: '$repairDetails.repairCenterId', count: { $sum: 1 } } }
+  ]);
+  const loadMap = openJobs.reduce((acc, row) => {
+    acc[row._id] = row.count;
+    return acc;
+  }, {});
+
+  return centers.sort((a, b) => (loadMap[a.repairCenterId] || 0) - (loadMap[b.repairCenterId] || 0))[0];
+};
+
+const applyAssignment = async (claim, repairCenter, assignedBy) => {
+  const now = new Date();
+  const updatedClaim = await Claim.findOneAndUpdate(
+    { claimId: claim.claimId },
+    {
+      $set: {
+        'repairDetails.repairCenterId': repairCenter.repairCenterId,
+        'repairDetails.repairCenter': repairCenter.name,
+        'repairDetails.jobStatus': 'ASSIGNED',
+        'repairDetails.assignedAt': now,
+        'repairDetails.acceptedAt': null
+      }
+    },
+    { new: true }
+  );
+
+  await CompanyService.createAuditLog(
+    assignedBy,
+    'UPDATE',
+    'CLAIM',
+    claim.claimId,
+    { repairCenterId: claim.repairDetails?.repairCenterId || null },
+    { repairCenterId: repairCenter.repairCenterId },
+    claim.companyId
+  );
+
+  return updatedClaim;
+};
+
+// Assign a new claim to an eligible center by customer pincode and product category.
+// Theft claims have nothing to repair and stay unassigned.
+const autoAssignClaim = async (claim, assignedBy) => {
+  if (claim.claimType === 'THEFT') return null;
+
+  const customer = await Customer.findOne({ customerId: claim.customerId })
+    .select('customerDetails.address.zipCode productDetails.categoryId productDetails.brand')
+    .lean();
+  if (!customer) return null;
+
+  const repairCenter = await findEligibleRepairCenter(claim.companyId, {
+    pincode: customer.customerDetails?.address?.zipCode,
+    categoryId: customer.productDetails?.categoryId,
+    brand: customer.productDetails?.brand
+  });
+  if (!repairCenter) return null;
+
+  return await applyAssignment(claim, repairCenter, assignedBy);
+};
+
+// Manually (re)assign a claim to a specific center of the same company
+const assignClaim = async (claimId, repairCenterId, assignedBy) => {
+  const actor = await User.findOne({ userId: assignedBy });
+  if (!actor) throw new NotFoundError('User not found');
+
+  const claim = await Claim.findOne({ claimId, isActive: true });
+  if (!claim) throw new NotFoundError('Claim not found');
+
+  await assertCanManageRepairCenters(actor, claim.companyId);
+
+  if (['INVOICED', 'REPAIRED'].includes(claim.repairDetails?.jobStatus)) {
+    throw new ValidationError('Repair is already invoiced, it cannot be reassigned');
+  }
+
+  const repairCenter = await RepairCenter.findOne({ repairCenterId, companyId: claim.companyId, isActive: true });
+  if (!repairCenter) throw new NotFoundError('Active repair center not found in this company');
+
+  return await applyAssignment(claim, repairCenter, assignedBy);
+};
+
+// Load a claim assigned to the acting center, enforcing tenancy and the expected job status
+const getCenterJob = async (claimId, centerUser, allowedJobStatuses) => {
+  const claim = await Claim.findOne({
+    claimId,
+    companyId: centerUser.companyId,
+    'repairDetails.repairCenterId': centerUser.repairCenterId,
+    isActive: true
+  });
+  if (!claim) throw new NotFoundError('Repair job not found');
+
+  if (!allowedJobStatuses.includes(claim.repairDetails.jobStatus)) {
+    throw new ValidationError(`Repair job is ${claim.repairDetails.jobStatus}, expected ${allowedJobStatuses.join(' or ')}`);
+  }
+  return claim;
+};
+
+const updateJob = async (claim, centerUser, set, action) => {
+  const updatedClaim = await Claim.findOneAndUpdate(
+    { claimId: claim.claimId, 'repairDetails.jobStatus': claim.repairDetails.jobStatus },
+    { $set: set },
+    { new: true }
+  );
+  if (!updatedClaim) throw new ValidationError('Repair job changed concurrently, please retry');
+
+  await CompanyService.createAuditLog(
+    centerUser.userId,
+    'UPDATE',
+    'CLAIM',
+    claim.claimId,
+    { jobStatus: claim.repairDetails.jobStatus },
+    { action, ...set },
+    claim.companyId
+  );
+
+  return updatedClaim;
+};
+
+const getJobs = async (centerUser, filters = {}) => {
+  const query = {
+    companyId: centerUser.companyId,
+    'repairDetails.repairCenterId': centerUser.repairCenterId,
+    isActive: true
+  };
+  if (filters.jobStatus) query['repairDetails.jobStatus'] = filters.jobStatus;
+
+  return await Claim.find(query)
+    .select('claimId customerId warrantyKey claimType claimStatus claimDescription damageImages repairDetails claimDate')
+    .sort({ 'repairDetails.assignedAt': -1 })
+    .lean();
+};
+
+const acceptJob = async (claimId, centerUser) => {
+  const claim = await getCenterJob(claimId, centerUser, ['ASSIGNED']);
+  return await updateJob(claim, centerUser, {
+    'repairDetails.jobStatus': 'ACCEPTED',
+    'repairDetails.acceptedAt': new Date()
+  }, 'ACCEPT');
+};
+
+// The estimate becomes the repair cost used to settle the claim at approval
+const recordEstimate = async (claimId, centerUser, { amount, notes = null }) => {
+  const claim = await getCenterJob(claimId, centerUser, ['ACCEPTED', 'ESTIMATED']);
+  if (!['PENDING', 'IN_PROGRESS'].includes(claim.claimStatus)) {
+    throw new ValidationError('Estimates can only be recorded before the claim is decided');
+  }
+  return await updateJob(claim, centerUser, {
+    'repairDetails.jobStatus': 'ESTIMATED',
+    'repairDetails.estimate': { amount, notes, estimatedAt: new Date() },
+    'repairDetails.repairCost': amount
+  }, 'ESTIMATE');
+};
+
+const uploadInvoice = async (claimId, centerUser, { repairInvoice, repairCost }) => {
+  const claim = await getCenterJob(claimId, centerUser, ['ESTIMATED']);
+  if (claim.claimStatus !== 'APPROVED') {
+    throw new ValidationError('The repair invoice can only be uploaded for approved claims');
+  }
+  return await updateJob(claim, centerUser, {
+    'repairDetails.jobStatus': 'INVOICED',
+    'repairDetails.repairInvoice': repairInvoice,
+    'repairDetails.repairCost': repairCost
+  }, 'INVOICE');
+};
+
+const markRepairDone = async (claimId, centerUser) => {
+  const claim = await getCenterJob(claimId, centerUser, ['INVOICED']);
+  return await updateJob(claim, centerUser, {
+    'repairDetails.jobStatus': 'REPAIRED',
+    'repairDetails.repairDate': new Date()
+  }, 'REPAIRED');
+};
+
+module.exports = {
+  createRepairCenter,
+  updateRepairCenter,
+  getRepairCenters,
+  findEligibleRepairCenter,
+  autoAssignClaim,
+  assignClaim,
+  getJobs,
+  acceptJob,
+  recordEstimate,
+  uploadInvoice,
+  markRepairDone
+};
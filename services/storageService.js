@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StoredFile } = require('../schemas');
+const { HierarchyService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { getStorageDriver } = require('../utils/storage');
+const ImageService = require('./imageService');
+
+// Records keep "storage://<fileId>" instead of a path; utils/fileLoader.js resolves it
+const FILE_REF_PREFIX = 'storage://';
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const MAX_URL_TTL_SECONDS = 24 * 60 * 60;
+
+const getMaxFileBytes = () => Number(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const getAllowedExtensions = () => (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,webp,pdf')
+  .split(',')
+  .map(ext => ext.trim().toLowerCase());
+
+// Magic numbers of the accepted formats; the extension of an upload must agree with its content
+const FILE_SIGNATURES = [
+  {
+    contentType: 'image/jpeg',
+    extensions: ['jpg', 'jpeg'],
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    contentType: 'image/png',
+    extensions: ['png'],
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    contentType: 'image/webp',
+    extensions: ['webp'],
+    matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    contentType: 'application/pdf',
+    extensions: ['pdf'],
+    matches: (buffer) => buffer.toString('ascii', 0, 5) === '%PDF-'
+  }
+];
+
+const sniffContentType = (buffer) => FILE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+
+const toFileRef = (fileId) => `${FILE_REF_PREFIX}${fileId}`;
+
+const isFileRef = (value) => typeof value === 'string' && value.startsWith(FILE_REF_PREFIX);
+
+// Accepts a file reference or a bare fileId
+const toFileId = (value) => (isFileRef(value) ? value.slice(FILE_REF_PREFIX.length) : value);
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signDownload = (fileId, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${fileId}:${expires}`).digest('hex');
+
+const generateFileId = () => `FILE_${crypto.randomUUID().replace(/-/g, '')}`;
+
+// Write one object and its record; the object is removed again if the record cannot be saved.
+// The content is a buffer or, for large generated files, a stream of the given size.
+const storeObject = async (driver, {
+  companyId, ownerId, purpose, originalName, buffer, stream, size = buffer?.length, contentType, extension, ...fields
+}) => {
+  const fileId = generateFileId();
+  const key = `${companyId}/${purpose.toLowerCase()}/${fileId}.${extension}`;
+  await driver.put(key, buffer || stream, { contentType, contentLength: size });
+
+  try {
+    const file = await StoredFile.create({
+      ...fields,
+      fileId,
+      companyId,
+      ownerId,
+      driver: driver.name,
+      key,
+      purpose,
+      originalName,
+      contentType,
+      extension,
+      size
+    });
+    return file.toObject();
+  } catch (error) {
+    await driver.remove(key);
+    throw error;
+  }
+};
+
+// Check and store a file under a collision-free key in the company's folder. Images are normalised
+// (rotated, metadata stripped, re-encoded) and stored with their thumbnail and preview variants.
+const saveFile = async ({ buffer, originalName, companyId, ownerId, purpose = 'UPLOAD' }) => {
+  if (!buffer || buffer.length === 0) throw new ValidationError('File is empty');
+  if (buffer.length > getMaxFileBytes()) {
+    throw new ValidationError(`File ${originalName} is larger than ${getMaxFileBytes()} bytes`);
+  }
+
+  const extension = path.extname(originalName || '').replace('.', '').toLowerCase();
+  if (!getAllowedExtensions().includes(extension)) {
+    throw new ValidationError(`File type .${extension} is not allowed`);
+  }
+  const detected = sniffContentType(buffer);
+  if (!detected || !detected.extensions.includes(extension)) {
+    throw new ValidationError(`Content of ${originalName} is not a valid .${extension} file`);
+  }
+
+  const driver = getStorageDriver();
+  const common = { companyId, ownerId, purpose, originalName: path.basename(originalName) };
+
+  if (!ImageService.isProcessableImage(detected.contentType)) {
+    const file = await storeObject(driver, { ...common, buffer, contentType: detected.contentType, extension });
+    return { ...file, ref: toFileRef(file.fileId) };
+  }
+
+  const { image, variants } = await ImageService.processImage(buffer);
+  const stored = [];
+  try {
+    const variantRefs = {};
+    for (const [name, variant] of Object.entries(variants)) {
+      const variantFile = await storeObject(driver, { ...common, ...variant, variant: name });
+      stored.push(variantFile);
+      variantRefs[name] = toFileRef(variantFile.fileId);
+    }
+    const file = await storeObject(driver, { ...common, ...image, variants: variantRefs });
+    return { ...file, ref: toFileRef(file.fileId) };
+  } catch (error) {
+    for (const variantFile of stored) {
+      await driver.remove(variantFile.key);
+      await StoredFile.deleteOne({ fileId: variantFile.fileId });
+    }
+    throw error;
+  }
+};
+
+// Store a file the application produced itself (exports), streamed from a local path. The upload
+// checks do not apply: the content is trusted and its type is set by the caller.
+const saveGeneratedFile = async ({ filePath, originalName, contentType, extension, companyId, ownerId, purpose }) => {
+  const { size } = await fs.promises.stat(filePath);
+  const file = await storeObject(getStorageDriver(), {
+    companyId,
+    ownerId,
+    purpose,
+    originalName,
+    stream: fs.createReadStream(filePath),
+    size,
+    contentType,
+    extension
+  });
+  return { ...file, ref: toFileRef(file.fileId) };
+};
+
+// Read a multipart file part (the multipart plugin enforces its own size limit while reading)
+const readUpload = async (part) => {
+  try {
+    return await part.toBuffer();
+  } catch (error) {
+    if (error.code === 'FST_REQ_FILE_TOO_LARGE') throw new ValidationError(`File ${part.filename} is too large`);
+    throw error;
+  }
+};
+
+// Store a multipart file part
+const saveUpload = async (part, { companyId, ownerId, purpose }) => {
+  const buffer = await readUpload(part);
+  return saveFile({ buffer, originalName: part.filename, companyId, ownerId, purpose });
+};
+
+const findFile = async (fileRefOrId) => {
+  const file = await StoredFile.findOne({ fileId: toFileId(fileRefOrId), deletedAt: null }).lean();
+  if (!file) throw new NotFoundError('File not found');
+  return file;
+};
+
+// The uploader and the users above them in the hierarchy may open a file
+const assertCanView = async (file, user) => {
+  if (file.ownerId === user.userId) return;
+  if (!(await HierarchyService.checkUserPermission(user.userId, file.ownerId, 'VIEW'))) {
+    throw new AuthorizationError('No permission to access this file');
+  }
+};
+
+// Expiring download URL: presigned by the backend when the driver supports it, otherwise signed by the app
+const buildDownloadUrl = (file, { expiresIn = DEFAULT_URL_TTL_SECONDS } = {}) => {
+  const ttl = Math.min(Math.max(Number(expiresIn) || DEFAULT_URL_TTL_SECONDS, 1), MAX_URL_TTL_SECONDS);
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+  const driver = getStorageDriver(file.driver);
+
+  if (driver.getSignedUrl) {
+    const url = driver.getSignedUrl(file.key, {
+      expiresIn: ttl,
+      contentType: file.contentType,
+      fileName: file.originalName
+    });
+    return { fileId: file.fileId, url, expiresAt };
+  }
+
+  const expires = String(Math.floor(expiresAt.getTime() / 1000));
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  const query = new URLSearchParams({ fileId: file.fileId, expires, signature: signDownload(file.fileId, expires) });
+  return { fileId: file.fileId, url: `${baseUrl}/api/public/files/download?${query}`, expiresAt };
+};
+
+const createDownloadUrl = async (fileRefOrId, user, options) => {
+  const file = await findFile(fileRefOrId);
+  await assertCanView(file, user);
+  return buildDownloadUrl(file, options);
+};
+
+// Download URL without an access check, for callers that scope files themselves (customer portal)
+const getDownloadUrl = async (fileRefOrId, options) => buildDownloadUrl(await findFile(fileRefOrId), options);
+
+// Download URLs of many files in one lookup, keyed by the given reference; missing files are left out.
+// Like getDownloadUrl, for callers that have already scoped the records the files belong to.
+const getDownloadUrls = async (fileRefs, options) => {
+  const refs = [...new Set(fileRefs.filter(isFileRef))];
+  if (refs.length === 0) return {};
+  const files = await StoredFile.find({ fileId: { $in: refs.map(toFileId) }, deletedAt: null }).lean();
+  const byId = Object.fromEntries(files.map(file => [file.fileId, file]));
+  return Object.fromEntries(refs
+    .filter(ref => byId[toFileId(ref)])
+    .map(ref => [ref, buildDownloadUrl(byId[toFileId(ref)], options)]));
+};
+
+// Check an app-signed download URL and load the file it points to
+const getSignedDownload = async ({ fileId, expires, signature }) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) {
+    throw new AuthorizationError('Download link has expired');
+  }
+  const expected = Buffer.from(signDownload(fileId, String(expires)));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthorizationError('Invalid download link');
+  }
+
+  const file = await findFile(fileId);
+  const body = await getStorageDriver(file.driver).get(file.key);
+  return { file, body };
+};
+
+// Remove a file from its backend and mark its record deleted; an image goes together with its
+// thumbnail and preview
+const removeFile = async (file) => {
+  const variantIds = Object.values(file.variants || {}).filter(Boolean).map(toFileId);
+  const variants = await StoredFile.find({ fileId: { $in: variantIds }, deletedAt: null }).lean();
+  for (const stored of [file, ...variants]) {
+    await getStorageDriver(stored.driver).remove(stored.key);
+  }
+  await StoredFile.updateMany(
+    { fileId: { $in: [file.fileId, ...variants.map(v => v.fileId)] } },
+    { $set: { deletedAt: new Date() } }
+  );
+  return { fileId: file.fileId };
+};
+
+// Only the uploader may delete a file
+const deleteFile = async (fileRefOrId, user) => {
+  const file = await findFile(fileRefOrId);
+  if (file.ownerId !== user.userId) {
+    throw new AuthorizationError('Only the user who uploaded a file can delete it');
+  }
+  return await removeFile(file);
+};
+
+// Delete a file for a server-side process (privacy erasure); no access check
+const purgeFile = async (fileRefOrId) => removeFile(await findFile(fileRefOrId));
+
+// Contents of a stored file for server-side use (certificates, image checks); no access check
+const readFile = async (fileRefOrId) => {
+  const file = await findFile(fileRefOrId);
+  return getStorageDriver(file.driver).get(file.key);
+};
+
+module.exports = {
+  FILE_REF_PREFIX,
+  getMaxFileBytes,
+  sniffContentType,
+  isFileRef,
+  toFileId,
+  toFileRef,
+  saveFile,
+  saveGeneratedFile,
+  readUpload,
+  saveUpload,
+  createDownloadUrl,
+  getDownloadUrl,
+  getDownloadUrls,
+  getSignedDownload,
+  deleteFile,
+  purgeFile,
+  readFile
+};
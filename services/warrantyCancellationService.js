@@ -0,0 +1,255 @@
+const { Claim, Company, Customer, User, UserHierarchy, WalletManagement } = require('../schemas');
+const { CompanyService, CustomerService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { getCoveragePeriods } = require('./coveragePeriodService');
+const { OPEN_CLAIM_STATUSES } = require('./claimEligibilityService');
+const { refreshStatsOwners } = require('./warrantyExpiryService');
+
+const DEFAULT_FREE_LOOK_DAYS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getCancellationPolicy = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.cancellationPolicy').lean();
+  const configured = company?.settings?.cancellationPolicy?.freeLookDays;
+  return { freeLookDays: typeof configured === 'number' ? configured : DEFAULT_FREE_LOOK_DAYS };
+};
+
+const getFreeLookDays = async (companyId) => (await getCancellationPolicy(companyId)).freeLookDays;
+
+const updateCancellationPolicy = async (companyId, policyData, updatedBy) => {
+  const oldPolicy = await getCancellationPolicy(companyId);
+  const policy = { freeLookDays: policyData.freeLookDays ?? oldPolicy.freeLookDays };
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.cancellationPolicy': policy, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { cancellationPolicy: oldPolicy },
+    { cancellationPolicy: policy },
+    companyId
+  );
+
+  return policy;
+};
+
+const elapsedShareOf = (startDate, expiryDate, now) => {
+  const coverageMs = new Date(expiryDate) - new Date(startDate);
+  if (coverageMs <= 0) return 1;
+  return Math.min(Math.max((now - new Date(startDate)) / coverageMs, 0), 1);
+};
+
+// Refund for cancelling a warranty at `now`:
+// - within the free-look window (days since the warranty was sold) with no paid claims: every premium paid
+// - otherwise: the premium for the unused share of each coverage period (renewals included),
+//   minus approved claim payouts
+const calculateRefund = (customer, freeLookDays, now = new Date()) => {
+  const periods = getCoveragePeriods(customer);
+  const premium = periods.reduce((sum, period) => sum + (period.premiumAmount || 0), 0);
+  const approvedClaimsAmount = customer.warrantyDetails?.coverageUsedAmount || 0;
+  const soldAt = new Date(customer.dates?.createdDate || customer.warrantyDetails.startDate);
+  const daysSinceSale = Math.max((now - soldAt) / DAY_MS, 0);
+  const isFreeLook = daysSinceSale <= freeLookDays && approvedClaimsAmount === 0;
+
+  const unusedPremium = periods.reduce((sum, period) =>
+    sum + (period.premiumAmount || 0) * (1 - elapsedShareOf(period.startDate, period.expiryDate, now)), 0);
+  const elapsedShare = periods.length
+    ? elapsedShareOf(periods[0].startDate, periods[periods.length - 1].expiryDate, now)
+    : 1;
+
+  const refundAmount = isFreeLook
+    ? premium
+    : Math.max(roundAmount(unusedPremium - approvedClaimsAmount), 0);
+
+  return {
+    premiumAmount: roundAmount(premium),
+    freeLookDays,
+    daysSinceSale: Math.floor(daysSinceSale),
+    isFreeLook,
+    elapsedCoveragePercent: roundAmount(elapsedShare * 100),
+    approvedClaimsAmount,
+    refundAmount: roundAmount(refundAmount)
+  };
+};
+
+const loadCancellableCustomer = async (customerId, user) => {
+  if (user.userType.includes('SUPPORT_EMPLOYEE')) {
+    throw new AuthorizationError('Support employees cannot cancel warranties (wallet operation)');
+  }
+  if (user.userType === 'REPAIR_CENTER') {
+    throw new AuthorizationError('Repair centers cannot cancel warranties');
+  }
+
+  const canAccess = await CustomerService.canAccessCustomer(user.userId, customerId);
+  if (!canAccess) throw new AuthorizationError('No permission to cancel this warranty');
+
+  const customer = await Customer.findOne({ customerId }).lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+  if (customer.cancellation?.isCancelled) throw new ValidationError('Warranty is already cancelled');
+  if (customer.status === 0 || !customer.isActive) throw new ValidationError('Warranty is not active');
+  if (new Date(customer.warrantyDetails.expiryDate) < new Date()) {
+    throw new ValidationError('Expired warranties cannot be cancelled');
+  }
+
+  const openClaims = await Claim.countDocuments({
+    customerId,
+    isActive: true,
+    claimStatus: { $in: OPEN_CLAIM_STATUSES }
+  });
+  if (openClaims > 0) {
+    throw new ValidationError('Warranty has open claims; complete or reject them before cancelling');
+  }
+
+  return customer;
+};
+
+// Preview the refund without cancelling anything
+const getCancellationQuote = async (customerId, user) => {
+  const customer = await loadCancellableCustomer(customerId, user);
+  const freeLookDays = await getFreeLookDays(customer.companyId);
+  return { customerId, warrantyKey: customer.warrantyKey, ...calculateRefund(customer, freeLookDays) };
+};
+
+// Cancel the warranty and credit the refund to the selling retailer's wallet as a REFUND transaction
+const cancelWarranty = async (customerId, user, reason) => {
+  const customer = await loadCancellableCustomer(customerId, user);
+  const freeLookDays = await getFreeLookDays(customer.companyId);
+  const quote = calculateRefund(customer, freeLookDays);
+  const now = new Date();
+  const transactionId = quote.refundAmount > 0
+    ? `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    : null;
+
+  // Flip the flag first and only once, so two concurrent requests cannot refund twice
+  const cancelled = await Customer.findOneAndUpdate(
+    { customerId, 'cancellation.isCancelled': { $ne: true } },
+    {
+      $set: {
+        status: 0,
+        cancellation: {
+          isCancelled: true,
+          cancelledAt: now,
+          cancelledBy: user.userId,
+          reason: reason || null,
+          isFreeLook: quote.isFreeLook,
+          elapsedCoveragePercent: quote.elapsedCoveragePercent,
+          approvedClaimsAmount: quote.approvedClaimsAmount,
+          refundAmount: quote.refundAmount,
+          refundTransactionId: transactionId
+        },
+        'dates.lastModifiedDate': now
+      }
+    },
+    { new: true }
+  );
+  if (!cancelled) throw new ValidationError('Warranty is already cancelled');
+
+  await User.updateOne(
+    { userId: customer.retailerId },
+    {
+      $inc: {
+        'walletBalance.usedAmount': -quote.refundAmount,
+        'walletBalance.remainingAmount': quote.refundAmount
+      }
+    }
+  );
+  await refreshStatsOwners(cancelled, now);
+
+  if (transactionId) {
+    const walletRecord = new WalletManagement({
+      transactionId,
+      companyId: customer.companyId,
+      transactionType: 'REFUND',
+      fromUserId: null,
+      toUserId: customer.retailerId,
+      amount: quote.refundAmount,
+      isActive: true,
+      isRestrictedOperation: true,
+      warrantyKey: customer.warrantyKey,
+      customerDetails: {
+        customerId,
+        customerName: customer.customerDetails?.name,
+        productModel: customer.productDetails?.modelName,
+        premiumAmount: quote.premiumAmount
+      },
+      notes: quote.isFreeLook ? 'Free-look cancellation' : 'Pro-rata cancellation refund'
+    });
+    await walletRecord.save();
+
+    await CompanyService.createAuditLog(user.userId, 'WALLET_REFUND', 'WALLET', transactionId, null, {
+      retailerId: customer.retailerId,
+      warrantyKey: customer.warrantyKey,
+      refundAmount: quote.refundAmount,
+      customerId
+    }, customer.companyId);
+  }
+
+  await CompanyService.createAuditLog(
+    user.userId,
+    'WARRANTY_CANCELLATION',
+    'CUSTOMER',
+    customerId,
+    { status: customer.status },
+    { status: 0, cancellation: cancelled.cancellation.toObject(), quote },
+    customer.companyId
+  );
+
+  return { customerId, warrantyKey: customer.warrantyKey, ...quote, refundTransactionId: transactionId, cancelledAt: now };
+};
+
+// Cancellation counts for the dashboard, scoped like the customer list of the user
+const getCancellationStats = async (user, companyId = null) => {
+  const match = { 'cancellation.isCancelled': true };
+
+  if (user.userType === 'MAIN_OWNER') {
+    if (companyId) match.companyId = companyId;
+  } else if (user.userType === 'RETAILER') {
+    match.retailerId = user.userId;
+  } else if (user.userType.includes('SUPPORT_EMPLOYEE')) {
+    match.companyId = user.companyId;
+  } else {
+    const downlineIds = await UserHierarchy.distinct('userId', { 'hierarchyPath.userId': user.userId });
+    match.companyId = user.companyId;
+    match.retailerId = { $in: [user.userId, ...downlineIds] };
+  }
+
+  const monthStart = new Date();
+  monthStart.setDate(1);
+  monthStart.setHours(0, 0, 0, 0);
+
+  const [stats] = await Customer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        cancelledWarranties: { $sum: 1 },
+        refundedAmount: { $sum: '$cancellation.refundAmount' },
+        cancelledThisMonth: { $sum: { $cond: [{ $gte: ['$cancellation.cancelledAt', monthStart] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    cancelledWarranties: stats?.cancelledWarranties || 0,
+    refundedAmount: roundAmount(stats?.refundedAmount || 0),
+    cancelledThisMonth: stats?.cancelledThisMonth || 0
+  };
+};
+
+module.exports = {
+  DEFAULT_FREE_LOOK_DAYS,
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  calculateRefund,
+  getCancellationQuote,
+  cancelWarranty,
+  getCancellationStats
+};
@@ -0,0 +1,180 @@
+const { Customer, User } = require('../schemas');
+const { CompanyService } = require('../services');
+const { EVENTS, emitAndWait } = require('../utils/events');
+
+const SYSTEM_USER_ID = 'SYSTEM';
+const LEASE_MS = 5 * 60 * 1000;
+
+// Recount eWarrantyStats of a retailer or distributor from the warranties sold under them.
+// Absolute counts rather than $inc, so refreshing the same user twice gives the same result.
+const refreshWarrantyStats = async (userId, now = new Date()) => {
+  const [counts] = await Customer.aggregate([
+    {
+      $match: {
+        isActive: true,
+        $or: [{ retailerId: userId }, { 'hierarchy.distributorChain.userId': userId }]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalWarranties: { $sum: 1 },
+        cancelledWarranties: { $sum: { $cond: [{ $eq: ['$cancellation.isCancelled', true] }, 1, 0] } },
+        expiredWarranties: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ['$cancellation.isCancelled', true] },
+                  { $or: [{ $eq: ['$expiry.isExpired', true] }, { $lt: ['$warrantyDetails.expiryDate', now] }] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const stats = {
+    totalWarranties: counts?.totalWarranties || 0,
+    expiredWarranties: counts?.expiredWarranties || 0,
+    cancelledWarranties: counts?.cancelledWarranties || 0
+  };
+  stats.activeWarranties = stats.totalWarranties - stats.expiredWarranties - stats.cancelledWarranties;
+
+  await User.updateOne(
+    { userId },
+    {
+      $set: {
+        'eWarrantyStats.totalWarranties': stats.totalWarranties,
+        'eWarrantyStats.activeWarranties': stats.activeWarranties,
+        'eWarrantyStats.expiredWarranties': stats.expiredWarranties,
+        'eWarrantyStats.cancelledWarranties': stats.cancelledWarranties
+      }
+    }
+  );
+
+  return stats;
+};
+
+// Retailer first, then every distributor above them
+const getStatsOwners = (customer) => [...new Set([
+  customer.retailerId,
+  ...(customer.hierarchy?.distributorChain || []).map(member => member.userId)
+].filter(Boolean))];
+
+// Recount the stats of everyone a warranty counts for, after it was cancelled or expired
+const refreshStatsOwners = async (customer, now = new Date()) => {
+  for (const userId of getStatsOwners(customer)) {
+    await refreshWarrantyStats(userId, now);
+  }
+};
+
+// Claim one expired warranty whose follow-ups have not run. The lease keeps overlapping runs
+// from handling the same warranty, and lets a later run pick it up if this one dies.
+const claimNextExpired = async (now) => {
+  return await Customer.findOneAndUpdate(
+    {
+      'expiry.isExpired': true,
+      'expiry.processedAt': null,
+      'expiry.lockedUntil': { $not: { $gt: now } }
+    },
+    { $set: { 'expiry.lockedUntil': new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  ).lean();
+};
+
+const handleExpiredWarranty = async (customer, now) => {
+  await CompanyService.createAuditLog(
+    SYSTEM_USER_ID,
+    'WARRANTY_EXPIRY',
+    'CUSTOMER',
+    customer.customerId,
+    { isExpired: false },
+    { isExpired: true, expiredAt: customer.expiry.expiredAt, expiryDate: customer.warrantyDetails.expiryDate },
+    customer.companyId
+  );
+
+  await emitAndWait(EVENTS.WARRANTY_EXPIRED, {
+    customerId: customer.customerId,
+    warrantyKey: customer.warrantyKey,
+    companyId: customer.companyId,
+    retailerId: customer.retailerId,
+    distributorChain: customer.hierarchy?.distributorChain || [],
+    expiryDate: customer.warrantyDetails.expiryDate,
+    expiredAt: customer.expiry.expiredAt
+  });
+
+  await Customer.updateOne(
+    { customerId: customer.customerId },
+    { $set: { 'expiry.processedAt': now, 'expiry.lockedUntil': null } }
+  );
+};
+
+// Scheduled job: mark warranties whose coverage has ended, then emit warranty.expired once per
+// warranty and recount eWarrantyStats for the retailer and distributor chain of each of them.
+// Safe to rerun: marking only touches unmarked warranties, each event is sent under a lease and
+// recorded with processedAt, and stats are recounted rather than incremented.
+const processExpiredWarranties = async (now = new Date()) => {
+  const marked = await Customer.updateMany(
+    {
+      isActive: true,
+      'cancellation.isCancelled': { $ne: true },
+      'expiry.isExpired': { $ne: true },
+      'warrantyDetails.expiryDate': { $lt: now }
+    },
+    { $set: { 'expiry.isExpired': true, 'expiry.expiredAt': now, 'expiry.processedAt': null } }
+  );
+
+  const statsOwners = new Set();
+  let processed = 0;
+  let failed = 0;
+  let customer;
+  while ((customer = await claimNextExpired(now))) {
+    try {
+      await handleExpiredWarranty(customer, now);
+      getStatsOwners(customer).forEach(userId => statsOwners.add(userId));
+      processed++;
+    } catch (error) {
+      // The lease runs out and the next run retries this warranty
+      console.error(`Expiry processing failed for ${customer.customerId}:`, error.message);
+      failed++;
+    }
+  }
+
+  for (const userId of statsOwners) {
+    await refreshWarrantyStats(userId, now);
+  }
+
+  return {
+    processedAt: now,
+    newlyExpired: marked.modifiedCount,
+    processed,
+    failed,
+    statsRefreshed: statsOwners.size
+  };
+};
+
+// Recount every retailer and distributor that has sold warranties, to repair drifted counters
+const rebuildWarrantyStats = async (now = new Date()) => {
+  const [retailerIds, distributorIds] = await Promise.all([
+    Customer.distinct('retailerId', { isActive: true }),
+    Customer.distinct('hierarchy.distributorChain.userId', { isActive: true })
+  ]);
+
+  const userIds = [...new Set([...retailerIds, ...distributorIds].filter(Boolean))];
+  for (const userId of userIds) {
+    await refreshWarrantyStats(userId, now);
+  }
+  return userIds.length;
+};
+
+module.exports = {
+  refreshWarrantyStats,
+  refreshStatsOwners,
+  rebuildWarrantyStats,
+  processExpiredWarranties
+};
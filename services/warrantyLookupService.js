@@ -0,0 +1,111 @@
+const { Claim, Customer } = require('../schemas');
+const { NotFoundError } = require('../middleware/errorHandler');
+const OtpService = require('./otpService');
+const { OPEN_CLAIM_STATUSES } = require('./claimEligibilityService');
+
+const PURPOSE = 'WARRANTY_LOOKUP';
+
+const maskValue = (value, visible = 4) => {
+  if (!value) return null;
+  const text = String(value);
+  return text.length > visible ? `${'*'.repeat(text.length - visible)}${text.slice(-visible)}` : text;
+};
+
+// The warranty registered to the mobile. A serial number may be covered by several companies,
+// so every warranty of the device is checked against the mobile.
+const findCustomer = async ({ warrantyKey, serialNumber, mobile }) => {
+  // Either IMEI of a dual-SIM phone finds its warranty
+  const query = warrantyKey
+    ? { warrantyKey }
+    : { $or: [{ 'productDetails.serialNumber': serialNumber }, { 'productDetails.imei2': serialNumber }] };
+  const customers = await Customer.find(query)
+    .select('customerId companyId warrantyKey customerDetails.mobile')
+    .sort({ 'dates.createdDate': -1 })
+    .lean();
+  return customers.find(customer =>
+    OtpService.normalizeMobile(customer.customerDetails?.mobile) === OtpService.normalizeMobile(mobile)
+  ) || null;
+};
+
+// Send an OTP to the customer's mobile if it matches the warranty. The response is the same
+// whether or not anything matched (a rate-limited match included), so the endpoint cannot be used
+// to probe warranties or numbers.
+const requestLookupOtp = async ({ warrantyKey, serialNumber, mobile }, requestIp) => {
+  OtpService.assertSmsAvailable();
+  const customer = await findCustomer({ warrantyKey, serialNumber, mobile });
+  if (!customer) return OtpService.createDecoyChallenge();
+
+  return await OtpService.createOtpChallenge({
+    purpose: PURPOSE,
+    customerId: customer.customerId,
+    companyId: customer.companyId,
+    mobile: customer.customerDetails.mobile,
+    requestIp,
+    message: 'Your warranty lookup code is',
+    decoyWhenLimited: true
+  });
+};
+
+const getWarrantyStatus = (customer) => {
+  const now = new Date();
+  if (customer.cancellation?.isCancelled) return 'CANCELLED';
+  if (!customer.isActive || customer.status === 0) return 'INACTIVE';
+  if (customer.warrantyDetails?.startDate && now < new Date(customer.warrantyDetails.startDate)) return 'NOT_STARTED';
+  if (customer.warrantyDetails?.expiryDate && now > new Date(customer.warrantyDetails.expiryDate)) return 'EXPIRED';
+  return 'ACTIVE';
+};
+
+// Verify the OTP and return a masked warranty summary with its open claims.
+// Only whitelisted fields leave this function: no customer details beyond the masked mobile, no hierarchy data.
+const verifyLookupOtp = async (challengeId, otp) => {
+  const challenge = await OtpService.verifyOtpChallenge(challengeId, PURPOSE, otp);
+
+  const customer = await Customer.findOne({ customerId: challenge.customerId })
+    .select('warrantyKey status isActive cancellation.isCancelled customerDetails.mobile productDetails.brand productDetails.modelName productDetails.category productDetails.serialNumber warrantyDetails.planName warrantyDetails.warrantyPeriod warrantyDetails.startDate warrantyDetails.expiryDate')
+    .lean();
+  if (!customer) throw new NotFoundError('Warranty not found');
+
+  const openClaims = await Claim.find({
+    customerId: challenge.customerId,
+    isActive: true,
+    claimStatus: { $in: OPEN_CLAIM_STATUSES }
+  })
+    .select('claimId claimType claimStatus claimDate statusHistory.changedAt')
+    .sort({ claimDate: -1 })
+    .lean();
+
+  return {
+    warranty: {
+      warrantyKey: maskValue(customer.warrantyKey),
+      status: getWarrantyStatus(customer),
+      mobile: OtpService.maskMobile(customer.customerDetails?.mobile),
+      product: {
+        brand: customer.productDetails?.brand || null,
+        modelName: customer.productDetails?.modelName || null,
+        category: customer.productDetails?.category || null,
+        serialNumber: maskValue(customer.productDetails?.serialNumber)
+      },
+      plan: {
+        planName: customer.warrantyDetails?.planName || null,
+        warrantyPeriod: customer.warrantyDetails?.warrantyPeriod || null
+      },
+      startDate: customer.warrantyDetails?.startDate || null,
+      expiryDate: customer.warrantyDetails?.expiryDate || null
+    },
+    openClaims: openClaims.map(claim => ({
+      claimId: claim.claimId,
+      claimType: claim.claimType,
+      claimStatus: claim.claimStatus,
+      claimDate: claim.claimDate,
+      lastUpdated: claim.statusHistory?.length
+        ? claim.statusHistory[claim.statusHistory.length - 1].changedAt
+        : claim.claimDate
+    }))
+  };
+};
+
+module.exports = {
+  getWarrantyStatus,
+  requestLookupOtp,
+  verifyLookupOtp
+};
@@ -0,0 +1,189 @@
+const { Customer, User, WalletManagement, WarrantyPlan } = require('../schemas');
+const { CompanyService, CustomerService } = require('../services');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { getPeriodId, getCoveragePeriods } = require('./coveragePeriodService');
+const PremiumService = require('./premiumService');
+const CertificateService = require('./certificateService');
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const loadRenewal = async (customerId, planId, user) => {
+  const canAccess = await CustomerService.canAccessCustomer(user.userId, customerId);
+  if (!canAccess) throw new AuthorizationError('No permission to renew this warranty');
+
+  const customer = await Customer.findOne({ customerId }).lean();
+  if (!customer) throw new NotFoundError('Customer not found');
+  if (customer.cancellation?.isCancelled) throw new ValidationError('Cancelled warranties cannot be renewed');
+  if (customer.status === 0 || !customer.isActive) throw new ValidationError('Warranty is not active');
+  if (new Date(customer.warrantyDetails.expiryDate) < new Date()) {
+    throw new ValidationError('Warranty has already expired and can no longer be renewed');
+  }
+
+  const plan = await WarrantyPlan.findOne({ planId, companyId: customer.companyId, isActive: true }).lean();
+  if (!plan) throw new NotFoundError('Warranty plan not found for this company');
+  const category = customer.productDetails?.category;
+  if (plan.eligibleCategories?.length && category && !plan.eligibleCategories.includes(category)) {
+    throw new ValidationError(`Plan "${plan.planName}" does not cover the ${category} category`);
+  }
+
+  return { customer, plan };
+};
+
+// Price and dates of a renewal: the new period starts where the current coverage ends
+const buildRenewalQuote = async (customer, plan) => {
+  const pricing = await PremiumService.calculateCategoryPremium({
+    productDetails: customer.productDetails,
+    durationMonths: plan.duration,
+    companyId: customer.companyId
+  });
+  const startDate = new Date(customer.warrantyDetails.expiryDate);
+
+  return {
+    customerId: customer.customerId,
+    warrantyKey: customer.warrantyKey,
+    planId: plan.planId,
+    planName: plan.planName,
+    durationMonths: plan.duration,
+    currentExpiryDate: customer.warrantyDetails.expiryDate,
+    startDate,
+    expiryDate: addMonths(startDate, plan.duration),
+    pricing,
+    premiumAmount: pricing.premiumAmount
+  };
+};
+
+const getRenewalQuote = async (customerId, planId, user) => {
+  const { customer, plan } = await loadRenewal(customerId, planId, user);
+  return await buildRenewalQuote(customer, plan);
+};
+
+// Debit the renewal premium from the retailer's wallet; the balance check and debit are one update
+const debitRenewalPremium = async (retailerId, customer, quote) => {
+  const debited = await User.updateOne(
+    { userId: retailerId, 'walletBalance.remainingAmount': { $gte: quote.premiumAmount } },
+    {
+      $inc: {
+        'walletBalance.usedAmount': quote.premiumAmount,
+        'walletBalance.remainingAmount': -quote.premiumAmount
+      }
+    }
+  );
+  if (debited.modifiedCount === 0) {
+    throw new ValidationError('Insufficient wallet balance to renew warranty');
+  }
+
+  const walletRecord = new WalletManagement({
+    transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    companyId: customer.companyId,
+    transactionType: 'WARRANTY_USAGE',
+    fromUserId: null,
+    toUserId: retailerId,
+    amount: quote.premiumAmount,
+    isActive: true,
+    isRestrictedOperation: true,
+    warrantyKey: customer.warrantyKey,
+    customerDetails: {
+      customerId: customer.customerId,
+      customerName: customer.customerDetails?.name,
+      productModel: customer.productDetails?.modelName,
+      premiumAmount: quote.premiumAmount
+    },
+    notes: `Warranty renewal: ${quote.planName} (${quote.durationMonths} months)`
+  });
+  await walletRecord.save();
+
+  await CompanyService.createAuditLog(retailerId, 'WALLET_WARRANTY_USAGE', 'WALLET', walletRecord.transactionId, null, {
+    retailerId,
+    warrantyKey: customer.warrantyKey,
+    premiumAmount: quote.premiumAmount,
+    customerId: customer.customerId,
+    renewal: true
+  }, customer.companyId);
+
+  return walletRecord;
+};
+
+const reverseRenewalPremium = async (retailerId, walletRecord) => {
+  await User.updateOne(
+    { userId: retailerId },
+    { $inc: { 'walletBalance.usedAmount': -walletRecord.amount, 'walletBalance.remainingAmount': walletRecord.amount } }
+  );
+  await WalletManagement.updateOne(
+    { transactionId: walletRecord.transactionId },
+    { $set: { isActive: false, notes: 'Renewal premium reversed: renewal did not complete' } }
+  );
+};
+
+// Extend an existing warranty under a plan. The renewing retailer's wallet pays the category-priced
+// premium and the new coverage period is appended, so earlier claims keep their original period.
+const renewWarranty = async (customerId, planId, user) => {
+  const { customer, plan } = await loadRenewal(customerId, planId, user);
+  const quote = await buildRenewalQuote(customer, plan);
+  const walletRecord = await debitRenewalPremium(user.userId, customer, quote);
+
+  const periods = getCoveragePeriods(customer);
+  const period = {
+    periodId: getPeriodId(customer.warrantyKey, periods.length + 1),
+    type: 'RENEWAL',
+    planId: plan.planId,
+    planName: plan.planName,
+    durationMonths: plan.duration,
+    startDate: quote.startDate,
+    expiryDate: quote.expiryDate,
+    premiumAmount: quote.premiumAmount,
+    transactionId: walletRecord.transactionId,
+    createdBy: user.userId,
+    createdAt: new Date()
+  };
+  // Warranties sold before periods were recorded get their original period stored first
+  const newPeriods = customer.coveragePeriods?.length ? [period] : [...periods, period];
+
+  // Guard on the current expiry so two concurrent renewals cannot both extend the warranty
+  let updated;
+  try {
+    updated = await Customer.findOneAndUpdate(
+      { customerId, 'warrantyDetails.expiryDate': customer.warrantyDetails.expiryDate },
+      {
+        $set: {
+          'warrantyDetails.expiryDate': quote.expiryDate,
+          'warrantyDetails.planId': plan.planId,
+          'warrantyDetails.planName': plan.planName,
+          'dates.lastModifiedDate': new Date()
+        },
+        $push: { coveragePeriods: { $each: newPeriods } }
+      },
+      { new: true }
+    );
+    if (!updated) throw new ValidationError('Warranty was renewed concurrently, please retry');
+  } catch (error) {
+    await reverseRenewalPremium(user.userId, walletRecord);
+    throw error;
+  }
+
+  await CompanyService.createAuditLog(
+    user.userId,
+    'UPDATE',
+    'CUSTOMER',
+    customerId,
+    { warrantyDetails: customer.warrantyDetails },
+    { warrantyDetails: updated.warrantyDetails.toObject(), coveragePeriod: period },
+    customer.companyId
+  );
+
+  try {
+    await CertificateService.generateCertificate(customerId, user.userId);
+  } catch (error) {
+    console.error(`Certificate regeneration failed for ${customerId}:`, error.message);
+  }
+
+  return { customer: updated, coveragePeriod: period };
+};
+
+module.exports = {
+  getRenewalQuote,
+  renewWarranty
+};
@@ -0,0 +1,140 @@
+const { Brand, Company, WarrantyPlan } = require('../schemas');
+const { ValidationError } = require('../middleware/errorHandler');
+const { findProductCategory } = require('./premiumService');
+
+const DEFAULT_MANUFACTURER_WARRANTY_MONTHS = 12;
+const START_RULES = ['AFTER_MANUFACTURER_WARRANTY', 'IMMEDIATE'];
+
+const normalize = (value) => (value === undefined || value === null ? null : String(value).trim().toLowerCase());
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Most specific rule whose set fields all match the product; fields left null match anything
+const findMostSpecific = (rules, product, fields) => {
+  let best = null;
+  let bestScore = -1;
+  rules.forEach(rule => {
+    let score = 0;
+    const matches = fields.every(field => {
+      const expected = normalize(rule[field]);
+      if (expected === null) return true;
+      score++;
+      return expected === normalize(product[field]);
+    });
+    if (matches && score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+const getWarrantyStartSettings = async (companyId) => {
+  const company = await Company.findOne({ companyId }).select('settings.warrantyStart').lean();
+  const configured = company?.settings?.warrantyStart || {};
+  return {
+    defaultManufacturerWarrantyMonths: typeof configured.defaultManufacturerWarrantyMonths === 'number'
+      ? configured.defaultManufacturerWarrantyMonths
+      : DEFAULT_MANUFACTURER_WARRANTY_MONTHS,
+    overrides: configured.overrides || []
+  };
+};
+
+const updateWarrantyStartSettings = async (companyId, settingsData, updatedBy) => {
+  // services.js loads this module, so CompanyService is only required once it is needed
+  const { CompanyService } = require('../services');
+  const oldSettings = await getWarrantyStartSettings(companyId);
+  const settings = {
+    defaultManufacturerWarrantyMonths: settingsData.defaultManufacturerWarrantyMonths ?? oldSettings.defaultManufacturerWarrantyMonths,
+    overrides: settingsData.overrides ?? oldSettings.overrides
+  };
+
+  await Company.updateOne(
+    { companyId },
+    { $set: { 'settings.warrantyStart': settings, updatedAt: new Date() } },
+    { runValidators: true }
+  );
+
+  await CompanyService.createAuditLog(
+    updatedBy,
+    'UPDATE',
+    'COMPANY',
+    companyId,
+    { warrantyStart: oldSettings },
+    { warrantyStart: settings },
+    companyId
+  );
+
+  return settings;
+};
+
+// Manufacturer warranty length of a product, most specific source first:
+// plan override, company override, brand (model, then category, then brand-wide), category,
+// the length given at registration, and finally the company default
+const resolveManufacturerWarranty = async (productDetails = {}, companyId, plan = null) => {
+  if (typeof plan?.startRule?.manufacturerWarrantyMonths === 'number') {
+    return { months: plan.startRule.manufacturerWarrantyMonths, source: 'PLAN' };
+  }
+
+  const settings = await getWarrantyStartSettings(companyId);
+  const override = findMostSpecific(settings.overrides, productDetails, ['category', 'brand', 'modelName']);
+  if (override) return { months: override.manufacturerWarrantyMonths, source: 'COMPANY' };
+
+  const category = await findProductCategory(productDetails);
+
+  if (productDetails.brand) {
+    const brand = await Brand.findOne({ brandName: productDetails.brand }).select('manufacturerWarranties').lean();
+    const brandRule = findMostSpecific(
+      brand?.manufacturerWarranties || [],
+      { categoryId: category?.categoryId, modelName: productDetails.modelName },
+      ['categoryId', 'modelName']
+    );
+    if (brandRule) return { months: brandRule.months, source: 'BRAND' };
+  }
+
+  if (typeof category?.manufacturerWarrantyMonths === 'number') {
+    return { months: category.manufacturerWarrantyMonths, source: 'CATEGORY' };
+  }
+  if (productDetails.orignalWarranty > 0) {
+    return { months: productDetails.orignalWarranty, source: 'PRODUCT' };
+  }
+  return { months: settings.defaultManufacturerWarrantyMonths, source: 'COMPANY_DEFAULT' };
+};
+
+// Coverage dates of a new warranty. Immediate-start plans begin on the invoice date; otherwise cover
+// begins when the manufacturer warranty ends and runs for warrantyPeriod months.
+const calculateWarrantyDates = async ({ invoiceDate, warrantyPeriod, productDetails, planId }, companyId) => {
+  const invoiced = new Date(invoiceDate);
+  if (Number.isNaN(invoiced.getTime())) throw new ValidationError('A valid invoice date is required');
+
+  const plan = planId
+    ? await WarrantyPlan.findOne({ planId, companyId }).select('planId startRule').lean()
+    : null;
+  const startRule = START_RULES.includes(plan?.startRule?.type) ? plan.startRule.type : START_RULES[0];
+
+  const manufacturerWarranty = startRule === 'IMMEDIATE'
+    ? { months: 0, source: 'PLAN' }
+    : await resolveManufacturerWarranty(productDetails, companyId, plan);
+
+  const startDate = addMonths(invoiced, manufacturerWarranty.months);
+  return {
+    startRule,
+    manufacturerWarrantyMonths: manufacturerWarranty.months,
+    manufacturerWarrantySource: manufacturerWarranty.source,
+    startDate,
+    expiryDate: addMonths(startDate, warrantyPeriod)
+  };
+};
+
+module.exports = {
+  DEFAULT_MANUFACTURER_WARRANTY_MONTHS,
+  START_RULES,
+  getWarrantyStartSettings,
+  updateWarrantyStartSettings,
+  resolveManufacturerWarranty,
+  calculateWarrantyDates
+};
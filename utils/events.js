@@ -0,0 +1,23 @@
+const { EventEmitter } = require('events');
+
+// Process-wide bus for domain events. Listeners must be registered in the process that emits,
+// so hooks for scheduled jobs belong in modules the job script loads.
+const events = new EventEmitter();
+
+const EVENTS = {
+  WARRANTY_EXPIRED: 'warranty.expired'
+};
+
+// Call every listener and wait for async ones; a failing listener is logged and never rethrown
+const emitAndWait = async (event, payload) => {
+  const results = await Promise.allSettled(events.listeners(event).map(listener => listener(payload)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error(`Listener for ${event} failed:`, result.reason?.message || result.reason));
+};
+
+module.exports = {
+  events,
+  EVENTS,
+  emitAndWait
+};
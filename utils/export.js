@@ -0,0 +1,121 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Column definitions are [{ header, key, width? }]; rows are flat objects keyed by column key
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  let text = String(formatCell(value));
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Wait until the consumer has taken the buffered output. A client that disconnects destroys the
+// output without an error and never drains it, so closing fails the export instead of hanging it.
+const waitForDrain = async (output) => {
+  if (output.destroyed) throw new Error('Export output was closed');
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal }).then(() => {
+        throw new Error('Export output was closed');
+      })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Wait for the consumer when the output buffer is full, so a large export is never held in memory
+const writeChunk = async (output, chunk) => {
+  if (output.destroyed) throw new Error('Export output was closed');
+  if (!output.write(chunk)) await waitForDrain(output);
+};
+
+// start() writes the header, write(row) one row, end() finishes and closes the output
+const createExportWriter = (format, output, columns, sheetName = 'Sheet1') => {
+  if (format === 'csv') {
+    return {
+      // The BOM makes Excel read the file as UTF-8
+      start: () => writeChunk(output, `\ufeff${columns.map(column => escapeCsvValue(column.header)).join(',')}\r\n`),
+      write: (row) => writeChunk(output, `${columns.map(column => escapeCsvValue(row[column.key])).join(',')}\r\n`),
+      end: async () => output.end()
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      start: async () => {},
+      write: (row) => writeChunk(output, `${JSON.stringify(Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null])))}\n`),
+      end: async () => output.end()
+    };
+  }
+
+  // Rows are committed as they are written; the workbook is zipped straight into the output
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 18 }));
+  sheet.getRow(1).font = { bold: true };
+  return {
+    start: async () => {},
+    write: async (row) => {
+      sheet.addRow(row).commit();
+      if (output.writableNeedDrain || output.destroyed) await waitForDrain(output);
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit(); // ends the output
+    }
+  };
+};
+
+// Send a streamed export (see createExportWriter) as a download
+const sendExportStream = (reply, { stream, format, filename }) => {
+  reply.header('Content-Type', EXPORT_FORMATS[format].contentType);
+  reply.header('Content-Disposition', `attachment; filename="${filename}"`);
+  reply.header('Cache-Control', 'no-cache');
+  return reply.send(stream);
+};
+
+// Answer a list endpoint's export started with ExportService.startExport: a background job is
+// started and acknowledged with 202, anything else is streamed as a download
+const replyWithExport = (reply, result) => {
+  if (result.job) {
+    // The export service loads this module, so it is only required once a job has to run
+    const { processExportJob } = require('../services/exportService');
+    processExportJob(result.job.jobId).catch(error =>
+      reply.log.error(error, `Export job ${result.job.jobId} failed`)
+    );
+    return reply.code(202).send({
+      success: true,
+      message: 'Export job created',
+      data: { jobId: result.job.jobId, status: result.job.status, totalRows: result.job.totalRows }
+    });
+  }
+  return sendExportStream(reply, { stream: result.stream, format: result.format, filename: result.fileName });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatCell,
+  createExportWriter,
+  replyWithExport
+};
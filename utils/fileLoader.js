@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const StorageService = require('../services/storageService');
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+const isRemoteUrl = (url) => /^[a-z][a-z0-9+.-]*:/i.test(url);
+
+// "public/<file>" references from before the storage service (not storage refs, not URLs)
+const isPublicPath = (url) => typeof url === 'string' && url.length > 0 &&
+  !StorageService.isFileRef(url) && !isRemoteUrl(url);
+
+// Absolute path of a "public/<file>" reference; anything resolving outside public/ is refused
+const resolvePublicPath = (url) => {
+  const filePath = path.resolve(process.cwd(), url.replace(/^\//, ''));
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+    throw new Error(`File path outside public directory: ${url}`);
+  }
+  return filePath;
+};
+
+// Load a stored file: "storage://<fileId>" comes from the storage driver, older uploads are referenced
+// as "public/<file>". Remote files are only fetched over HTTPS from the hosts a caller allows
+// (e.g. CERTIFICATE_LOGO_HOSTS), never from an address a client chose.
+const loadFile = async (url, { allowedHosts = [] } = {}) => {
+  if (StorageService.isFileRef(url)) return StorageService.readFile(url);
+
+  if (isRemoteUrl(url)) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:' || !allowedHosts.includes(hostname.toLowerCase())) {
+      throw new Error(`Remote file host is not allowed: ${url}`);
+    }
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      maxRedirects: 0, // a redirect could leave the allowed host
+      maxContentLength: MAX_FILE_BYTES
+    });
+    return Buffer.from(response.data);
+  }
+
+  return fs.promises.readFile(resolvePublicPath(url));
+};
+
+// Comma-separated host list from an environment variable
+const parseHostList = (value) => (value || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  isPublicPath,
+  resolvePublicPath,
+  loadFile,
+  parseHostList
+};
@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// SMTP transport from the EMAIL_* settings; null when email is not configured
+const getTransporter = () => {
+  if (!process.env.EMAIL_HOST) return null;
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send an email; returns false instead of throwing when email is not configured
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const mailTransporter = getTransporter();
+  if (!mailTransporter) {
+    console.warn(`Email not configured, skipped "${subject}" to ${to}`);
+    return false;
+  }
+
+  await mailTransporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+  return true;
+};
+
+module.exports = {
+  sendMail
+};
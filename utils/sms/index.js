@@ -0,0 +1,37 @@
+const { createTwilioDriver } = require('./twilio');
+const { createStubDriver } = require('./stub');
+
+// SMS drivers share one interface: send(to, body) -> true when the message was handed to the
+// provider, false when it was skipped, and isConfigured(). SMS_PROVIDER picks the driver: twilio (default) or stub.
+const DRIVERS = {
+  twilio: createTwilioDriver,
+  stub: createStubDriver
+};
+
+const drivers = {};
+
+const getSmsDriver = (name = process.env.SMS_PROVIDER || 'twilio') => {
+  const driverName = name.toLowerCase();
+  if (!DRIVERS[driverName]) throw new Error(`Unknown SMS provider "${driverName}"`);
+  if (!drivers[driverName]) drivers[driverName] = DRIVERS[driverName]();
+  return drivers[driverName];
+};
+
+// Numbers stored without a country code get SMS_DEFAULT_COUNTRY_CODE (e.g. +91)
+const toE164 = (mobile) => {
+  const number = String(mobile).replace(/[^\d+]/g, '');
+  if (number.startsWith('+')) return number;
+  return `${process.env.SMS_DEFAULT_COUNTRY_CODE || ''}${number}`;
+};
+
+// Send an SMS through the configured provider; returns false instead of throwing when it is not configured
+const sendSms = async (to, body) => getSmsDriver().send(toE164(to), body);
+
+// Whether messages can be sent at all, so a caller can refuse a request before doing anything for it
+const canSendSms = () => getSmsDriver().isConfigured();
+
+module.exports = {
+  getSmsDriver,
+  sendSms,
+  canSendSms
+};
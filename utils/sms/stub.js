@@ -0,0 +1,27 @@
+const MAX_OUTBOX_SIZE = 50;
+
+// Local development driver: messages (OTP codes included) are written to the console and kept in
+// memory instead of being sent. Refuses to start in production so codes never end up in logs there.
+const createStubDriver = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The stub SMS driver cannot be used in production');
+  }
+
+  const outbox = [];
+
+  const send = async (to, body) => {
+    console.info(`[sms:stub] to ${to}: ${body}`);
+    outbox.push({ to, body, sentAt: new Date() });
+    if (outbox.length > MAX_OUTBOX_SIZE) outbox.shift();
+    return true;
+  };
+
+  // Most recent messages first
+  const getOutbox = () => [...outbox].reverse();
+
+  return { name: 'stub', send, getOutbox, isConfigured: () => true };
+};
+
+module.exports = {
+  createStubDriver
+};
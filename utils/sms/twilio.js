@@ -0,0 +1,38 @@
+// Twilio Programmable SMS; needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER.
+// Without credentials the driver reports every message as not sent instead of throwing.
+const createTwilioDriver = ({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_PHONE_NUMBER
+} = {}) => {
+  let client = null;
+
+  const getClient = () => {
+    if (!accountSid || !authToken) return null;
+
+    if (!client) {
+      const twilio = require('twilio');
+      client = twilio(accountSid, authToken);
+    }
+    return client;
+  };
+
+  const send = async (to, body) => {
+    const twilioClient = getClient();
+    if (!twilioClient) {
+      console.warn(`SMS not configured, skipped message to ${to}`);
+      return false;
+    }
+
+    await twilioClient.messages.create({ from, to, body });
+    return true;
+  };
+
+  const isConfigured = () => Boolean(accountSid && authToken && from);
+
+  return { name: 'twilio', send, isConfigured };
+};
+
+module.exports = {
+  createTwilioDriver
+};
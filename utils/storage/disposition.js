@@ -0,0 +1,16 @@
+// Content-Disposition header value for a stored file. Header values must be Latin-1, so the name is sent
+// twice: an ASCII fallback in filename and the exact UTF-8 name in filename* (RFC 5987 / RFC 6266)
+const contentDisposition = (type, fileName) => {
+  const name = String(fileName || 'file');
+  const fallback = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '_')
+    .replace(/["\\]/g, '') || 'file';
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  contentDisposition
+};
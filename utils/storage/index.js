@@ -0,0 +1,28 @@
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+const { contentDisposition } = require('./disposition');
+
+// Storage drivers share one interface:
+//   put(key, body, { contentType, contentLength }), get(key) -> Buffer, remove(key)
+// where body is a Buffer or a readable stream of contentLength bytes
+// and optionally getSignedUrl(key, { expiresIn, contentType, fileName }) when the backend can serve
+// downloads itself. STORAGE_TYPE picks the driver: local (default) or s3.
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const drivers = {};
+
+// Files remember the driver they were stored with, so a file is always read back through its own driver
+const getStorageDriver = (name = process.env.STORAGE_TYPE || 'local') => {
+  const driverName = name.toLowerCase();
+  if (!DRIVERS[driverName]) throw new Error(`Unknown storage driver "${driverName}"`);
+  if (!drivers[driverName]) drivers[driverName] = DRIVERS[driverName]();
+  return drivers[driverName];
+};
+
+module.exports = {
+  getStorageDriver,
+  contentDisposition
+};
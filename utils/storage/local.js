@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Files on local disk under STORAGE_LOCAL_ROOT (default ./storage/files). The folder is not served statically;
+// downloads go through signed URLs checked by the app.
+const createLocalDriver = ({ root = process.env.STORAGE_LOCAL_ROOT || 'storage/files' } = {}) => {
+  const baseDir = path.resolve(process.cwd(), root);
+
+  // Keys are generated by the storage service, but never let one escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Storage key outside storage root: ${key}`);
+    }
+    return filePath;
+  };
+
+  // body is a Buffer or a readable stream
+  const put = async (key, body) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // wx: generated keys are unique, so an existing file means something is wrong
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body, { flag: 'wx' });
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath, { flags: 'wx' }));
+    }
+  };
+
+  const get = async (key) => fs.promises.readFile(resolveKey(key));
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return { name: 'local', put, get, remove };
+};
+
+module.exports = {
+  createLocalDriver
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { contentDisposition } = require('./disposition');
+
+// S3-compatible object storage (AWS S3, MinIO, ...) over plain HTTP with AWS Signature Version 4.
+// For a local MinIO: AWS_S3_ENDPOINT=http://localhost:9000 with path-style addressing (the default
+// whenever an endpoint is set).
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it; slashes are kept in object paths
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodePath = (value) => value.split('/').map(encode).join('/');
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (query) => Object.keys(query)
+  .sort()
+  .map(key => `${encode(key)}=${encode(query[key])}`)
+  .join('&');
+
+const createS3Driver = ({
+  endpoint = process.env.AWS_S3_ENDPOINT,
+  region = process.env.AWS_REGION || 'us-east-1',
+  bucket = process.env.AWS_BUCKET_NAME,
+  accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.AWS_S3_FORCE_PATH_STYLE ? process.env.AWS_S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint)
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs AWS_BUCKET_NAME, AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const objectPath = (key) => (forcePathStyle ? `/${encode(bucket)}/${encodePath(key)}` : `/${encodePath(key)}`);
+  const objectUrl = (key, query = '') => `${base.protocol}//${host}${objectPath(key)}${query ? `?${query}` : ''}`;
+
+  const credentialScope = (date) => `${toAmzDate(date).substr(0, 8)}/${region}/s3/aws4_request`;
+
+  const sign = (date, canonicalRequest) => {
+    const stringToSign = [ALGORITHM, toAmzDate(date), credentialScope(date), sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, toAmzDate(date).substr(0, 8)), region)
+    );
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  };
+
+  // Signed request with the signature in the Authorization header. A stream body is sent unsigned
+  // (its hash is not known up front) and needs its length.
+  const request = async (method, key, { body, contentType, contentLength, responseType } = {}) => {
+    const date = new Date();
+    const isStream = body && !Buffer.isBuffer(body);
+    const payloadHash = isStream ? UNSIGNED_PAYLOAD : sha256(body || '');
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': toAmzDate(date)
+    };
+    if (contentType) headers['content-type'] = contentType;
+    if (isStream) headers['content-length'] = String(contentLength);
+
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      '',
+      names.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    // axios sets Host from the URL
+    const sentHeaders = Object.fromEntries(Object.entries(headers).filter(([name]) => name !== 'host'));
+    return axios({
+      method,
+      url: objectUrl(key),
+      data: body,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      headers: {
+        ...sentHeaders,
+        Authorization: `${ALGORITHM} Credential=${accessKeyId}/${credentialScope(date)}, SignedHeaders=${signedHeaders}, Signature=${sign(date, canonicalRequest)}`
+      }
+    });
+  };
+
+  // body is a Buffer, or a readable stream together with contentLength
+  const put = async (key, body, { contentType, contentLength } = {}) => {
+    await request('PUT', key, { body, contentType, contentLength });
+  };
+
+  const get = async (key) => {
+    const response = await request('GET', key, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  };
+
+  const remove = async (key) => {
+    await request('DELETE', key); // S3 answers 204 for missing keys too
+  };
+
+  // Presigned GET URL; the bucket itself stays private
+  const getSignedUrl = (key, { expiresIn, contentType, fileName, now = new Date() } = {}) => {
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${accessKeyId}/${credentialScope(now)}`,
+      'X-Amz-Date': toAmzDate(now),
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (contentType) query['response-content-type'] = contentType;
+    if (fileName) query['response-content-disposition'] = contentDisposition('inline', fileName);
+
+    const canonicalRequest = [
+      'GET',
+      objectPath(key),
+      canonicalQuery(query),
+      `host:${host}\n`,
+      'host',
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    return objectUrl(key, `${canonicalQuery(query)}&X-Amz-Signature=${sign(now, canonicalRequest)}`);
+  };
+
+  return { name: 's3', put, get, remove, getSignedUrl };
+};
+
+module.exports = {
+  createS3Driver
+};